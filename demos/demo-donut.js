@@ -50,6 +50,11 @@ function createDonutChart(dataset, optionalColorSchema) {
 
         donutContainer.datum(datasetNoPercentages).call(donutChart);
 
+        // Clicking the legend entries hides and shows the slices
+        if (legendChart) {
+            legendChart.bindChart(donutChart, donutContainer);
+        }
+
         d3Selection.select('#button').on('click', function() {
             donutChart.exportChart('donut.png', 'Britecharts Donut Chart');
         });
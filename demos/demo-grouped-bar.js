@@ -0,0 +1,142 @@
+'use strict';
+
+var d3Selection = require('d3-selection'),
+
+    PubSub = require('pubsub-js'),
+
+    groupedBarChart = require('./../src/charts/grouped-bar'),
+    tooltip = require('./../src/charts/tooltip'),
+    groupedDataBuilder = require('./../test/fixtures/groupedBarDataBuilder'),
+    colorSelectorHelper = require('./helpers/colorSelector');
+    require('./helpers/resizeHelper');
+
+function createGroupedBarChartWithTooltip(optionalColorSchema) {
+    var groupedBar = groupedBarChart(),
+        chartTooltip = tooltip(),
+        testDataSet = new groupedDataBuilder.GroupedBarDataBuilder(),
+        container = d3Selection.select('.js-grouped-bar-chart-tooltip-container'),
+        containerWidth = container.node() ? container.node().getBoundingClientRect().width : false,
+        tooltipContainer,
+        dataset;
+
+    if (containerWidth) {
+        dataset = testDataSet.with3Groups().build();
+
+        // GroupedBarChart Setup and start
+        groupedBar
+            .tooltipThreshold(600)
+            .width(containerWidth)
+            .grid('horizontal')
+            .isAnimated(true)
+            .groupLabel('stack')
+            .nameLabel('name')
+            .valueLabel('value')
+            .on('customMouseOver', function() {
+                chartTooltip.show();
+            })
+            .on('customMouseMove', function(dataPoint, topicColorMap, x, y) {
+                chartTooltip.update(dataPoint, topicColorMap, x, y);
+            })
+            .on('customMouseOut', function() {
+                chartTooltip.hide();
+            });
+
+        if (optionalColorSchema) {
+            groupedBar.colorSchema(optionalColorSchema);
+        }
+
+        container.datum(dataset.data).call(groupedBar);
+
+        // Tooltip Setup and start
+        chartTooltip
+            .topicLabel('values')
+            .dateLabel('key')
+            .nameLabel('group')
+            .title('Testing tooltip');
+
+        // Note that if the viewport width is less than the tooltipThreshold value,
+        // this container won't exist, and the tooltip won't show up
+        tooltipContainer = d3Selection.select('.js-grouped-bar-chart-tooltip-container .metadata-group');
+        tooltipContainer.datum([]).call(chartTooltip);
+
+        d3Selection.select('#button').on('click', function() {
+            groupedBar.exportChart('grouped-bar.png', 'Britecharts Grouped Bar');
+        });
+    }
+}
+
+function createHorizontalGroupedBarChart(optionalColorSchema) {
+    var groupedBar = groupedBarChart(),
+        chartTooltip = tooltip(),
+        testDataSet = new groupedDataBuilder.GroupedBarDataBuilder(),
+        container = d3Selection.select('.js-grouped-bar-chart-fixed-container'),
+        containerWidth = container.node() ? container.node().getBoundingClientRect().width : false,
+        tooltipContainer,
+        dataset;
+
+    if (containerWidth) {
+        dataset = testDataSet.with3Groups().build();
+
+        // GroupedBarChart Setup and start
+        groupedBar
+            .tooltipThreshold(600)
+            .grid('vertical')
+            .width(containerWidth)
+            .horizontal(true)
+            .isAnimated(true)
+            .margin({
+                left: 80,
+                top: 40,
+                right: 30,
+                bottom: 20
+            })
+            .on('customMouseOver', function() {
+                chartTooltip.show();
+            })
+            .on('customMouseMove', function(dataPoint, topicColorMap, x, y) {
+                chartTooltip.update(dataPoint, topicColorMap, x, y);
+            })
+            .on('customMouseOut', function() {
+                chartTooltip.hide();
+            });
+
+        if (optionalColorSchema) {
+            groupedBar.colorSchema(optionalColorSchema);
+        }
+
+        container.datum(dataset.data).call(groupedBar);
+
+        // Tooltip Setup and start
+        chartTooltip
+            .topicLabel('values')
+            .dateLabel('key')
+            .nameLabel('group')
+            .title('Dummy Tooltip Title');
+
+        // Note that if the viewport width is less than the tooltipThreshold value,
+        // this container won't exist, and the tooltip won't show up
+        tooltipContainer = d3Selection.select('.js-grouped-bar-chart-fixed-container .metadata-group');
+        tooltipContainer.datum([]).call(chartTooltip);
+    }
+}
+
+if (d3Selection.select('.js-grouped-bar-chart-tooltip-container').node()){
+    // Chart creation
+    createGroupedBarChartWithTooltip();
+    createHorizontalGroupedBarChart();
+
+    // For getting a responsive behavior on our chart,
+    // we'll need to listen to the window resize event
+    var redrawCharts = function(){
+        d3Selection.selectAll('.grouped-bar').remove();
+
+        createGroupedBarChartWithTooltip();
+        createHorizontalGroupedBarChart();
+    };
+
+    // Redraw charts on window resize
+    PubSub.subscribe('resize', redrawCharts);
+
+    // Color schema selector
+    colorSelectorHelper.createColorSelector('.js-color-selector-container', '.grouped-bar', createGroupedBarChartWithTooltip);
+}
@@ -15,7 +15,7 @@ var _ = require('underscore'),
     lineMargin = {top:60, bottom: 50, left: 50, right: 30};
     require('./helpers/resizeHelper');
 
-function createBrushChart(optionalColorSchema) {
+function createBrushChart(focusChart) {
     var brushChart = brush(),
         brushMargin = {top:0, bottom: 40, left: 50, right: 30},
         testDataSet = new dataBuilder.LineDataBuilder(),
@@ -30,6 +30,7 @@ function createBrushChart(optionalColorSchema) {
             .width(containerWidth)
             .height(100)
             .margin(brushMargin)
+            .focusChart(focusChart)
             .onBrush(function(brushExtent) {
                 var format = d3TimeFormat.timeFormat('%m/%d/%Y');
 
@@ -37,17 +38,13 @@ function createBrushChart(optionalColorSchema) {
                 d3Selection.select('.js-end-date').text(format(brushExtent[1]));
 
                 d3Selection.select('.js-date-range').classed('is-hidden', false);
-
-                // Filter
-                d3Selection.selectAll('.js-line-chart-container .line-chart').remove();
-                createLineChart(optionalColorSchema ? optionalColorSchema : null, filterData(brushExtent[0], brushExtent[1]));
             });
 
         brushContainer.datum(brushDataAdapter(dataset)).call(brushChart);
     }
 }
 
-function createLineChart(optionalColorSchema, optionalData) {
+function createLineChart(optionalColorSchema) {
     var lineChart1 = line(),
         chartTooltip = tooltip(),
         testDataSet = new dataBuilder.LineDataBuilder(),
@@ -66,6 +63,7 @@ function createLineChart(optionalColorSchema, optionalData) {
         // LineChart Setup and start
         lineChart1
             .isAnimated(true)
+            .isZoomable(true)
             .aspectRatio(0.7)
             .grid('horizontal')
             .tooltipThreshold(600)
@@ -80,11 +78,7 @@ function createLineChart(optionalColorSchema, optionalData) {
             lineChart1.colorSchema(optionalColorSchema);
         }
 
-        if (optionalData) {
-            container.datum(optionalData).call(lineChart1);
-        } else {
-            container.datum(dataset).call(lineChart1);
-        }
+        container.datum(dataset).call(lineChart1);
 
         // Tooltip Setup and start
         chartTooltip
@@ -100,6 +94,8 @@ function createLineChart(optionalColorSchema, optionalData) {
         tooltipContainer = d3Selection.select('.js-line-chart-container .metadata-group .hover-marker');
         tooltipContainer.datum([]).call(chartTooltip);
     }
+
+    return lineChart1;
 }
 
 function createLineChartWithSingleLine() {
@@ -214,29 +210,9 @@ function brushDataAdapter(dataLine) {
     })
 }
 
-function filterData(d0, d1) {
-    var testDataSet = new dataBuilder.LineDataBuilder(),
-        data = JSON.parse(JSON.stringify(testDataSet.with5Topics().build()));
-
-    data.dataByDate = data.dataByDate.filter(isInRange.bind(null, d0, d1));
-
-    data.dataByTopic = data.dataByTopic.map((topic) => {
-        topic.dates = topic.dates.filter(isInRange.bind(null, d0, d1));
-
-        return topic;
-    });
-
-    return data;
-}
-
-function isInRange(d0, d1, d) {
-    return new Date(d.date) >= d0 && new Date(d.date) <= d1;
-}
-
 // Show charts if container available
 if (d3Selection.select('.js-line-chart-container').node()) {
-    createLineChart();
-    createBrushChart();
+    createBrushChart(createLineChart());
     createLineChartWithSingleLine();
     createLineChartWithFixedHeight();
 
@@ -244,8 +220,7 @@ if (d3Selection.select('.js-line-chart-container').node()) {
         d3Selection.selectAll('.line-chart').remove();
         d3Selection.selectAll('.brush-chart').remove();
 
-        createLineChart();
-        createBrushChart();
+        createBrushChart(createLineChart());
         createLineChartWithSingleLine();
         createLineChartWithFixedHeight();
     };
@@ -255,8 +230,9 @@ if (d3Selection.select('.js-line-chart-container').node()) {
 
     // Color schema selector
     colorSelectorHelper.createColorSelector('.js-color-selector-container', '.line-chart', function(newSchema) {
-        createLineChart(newSchema);
+        var lineChart = createLineChart(newSchema);
+
         d3Selection.selectAll('.brush-chart').remove();
-        createBrushChart(newSchema);
+        createBrushChart(lineChart);
     });
 }
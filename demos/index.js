@@ -7,3 +7,4 @@ require('./demo-sparkline');
 require('./demo-step');
 require('./demo-brush');
 require('./demo-stacked-bar');
+require('./demo-grouped-bar');
@@ -1,5 +1,6 @@
 import bar from './charts/bar.js';
 import donut from './charts/donut.js';
+import groupedBar from './charts/grouped-bar.js';
 import legend from './charts/legend.js';
 import line from './charts/line.js';
 import tooltip from './charts/tooltip.js';
@@ -13,6 +14,7 @@ import colors from './charts/helpers/colors.js';
 export {
         bar,
         donut,
+        groupedBar,
         legend,
         line,
         tooltip,
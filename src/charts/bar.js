@@ -14,6 +14,16 @@ define(function(require) {
     const textHelper = require('./helpers/text');
     const {exportChart} = require('./helpers/exportChart');
     const colorHelper = require('./helpers/colors');
+    const {
+        getPointerPosition,
+        getTouchedElement
+    } = require('./helpers/common');
+    const {
+        addKeyboardNavigation,
+        buildLiveRegion,
+        describeChart
+    } = require('./helpers/accessibility');
+    const {formatValue} = require('./helpers/formatHelpers');
 
 
     const PERCENTAGE_FORMAT = '%';
@@ -107,6 +117,13 @@ define(function(require) {
 
             maskGridLines,
             baseLine,
+            zeroLine,
+
+            touchedBar = null,
+
+            title = null,
+            desc = null,
+            liveRegion,
 
             // Dispatcher object to broadcast the mouse events
             // Ref: https://github.com/mbostock/d3/wiki/Internals#d3_dispatch
@@ -116,11 +133,23 @@ define(function(require) {
             getName = ({name}) => name,
             getValue = ({value}) => value,
 
-            _percentageLabelHorizontalX = ({value}) => xScale(value) + percentageLabelMargin,
+            // bars grow from the zero baseline, so negative values diverge from it
+            _barHorizontalX = ({value}) => xScale(Math.min(0, value)),
+            _barHorizontalWidth = ({value}) => Math.abs(xScale(value) - xScale(0)),
+            _barVerticalY = ({value}) => yScale(Math.max(0, value)),
+            _barVerticalHeight = ({value}) => Math.abs(yScale(value) - yScale(0)),
+
+            _percentageLabelHorizontalX = ({value}) => value < 0 ?
+                xScale(value) - percentageLabelMargin :
+                xScale(value) + percentageLabelMargin,
             _percentageLabelHorizontalY= ({name}) => yScale(name) + (yScale.bandwidth() / 2) + (percentageLabelSize * (3/8)),
+            _percentageLabelHorizontalAnchor = ({value}) => value < 0 ? 'end' : 'start',
 
             _percentageLabelVerticalX = ({name}) => xScale(name),
-            _percentageLabelVerticalY = ({value}) => yScale(value) - percentageLabelMargin,
+            _percentageLabelVerticalY = ({value}) => value < 0 ?
+                yScale(value) + percentageLabelMargin + percentageLabelSize :
+                yScale(value) - percentageLabelMargin,
+            _percentageLabelVerticalAnchor = () => 'start',
 
             _percentageLabelHorizontalFormatValue = ({value}) => d3Format.format(horizontalLabelFormat)(value),
             _percentageLabelVerticalFormatValue = ({value}) => d3Format.format(verticalLabelFormat)(parseFloat(value) * 100);
@@ -143,12 +172,46 @@ define(function(require) {
                 drawGridLines();
                 drawBars();
                 drawAxis();
+                addTouchEvents();
+                addAccessibility();
                 if (enablePercentageLabels) {
                     drawPercentageLabels();
                 }
             });
         }
 
+        /**
+         * Labels the chart and its bars for screen readers, and makes the bars focusable,
+         * so the arrow keys move across them announcing their values
+         * @private
+         */
+        function addAccessibility() {
+            let bars = svg.selectAll('.bar');
+
+            if (!liveRegion) {
+                liveRegion = buildLiveRegion(svg);
+            }
+            describeChart(svg, getAriaLabel(), title, desc);
+
+            bars
+                .attr('aria-label', getBarLabel)
+                .on('focus', handleFocus)
+                .on('blur', handleMouseOut);
+
+            addKeyboardNavigation(bars);
+        }
+
+        /**
+         * Adds the touch events to the chart, so tapping a bar inspects it
+         * and dragging the finger across the bars scrubs through them
+         * @private
+         */
+        function addTouchEvents() {
+            svg
+                .on('touchstart', handleTouch)
+                .on('touchmove', handleTouch);
+        }
+
         /**
          * Creates the d3 x and y axis, setting orientations
          * @private
@@ -198,7 +261,8 @@ define(function(require) {
          * @private
          */
         function buildScales() {
-            let percentageAxis = Math.min(percentageAxisToMaxRatio * d3Array.max(data, getValue))
+            let percentageAxis = Math.max(0, percentageAxisToMaxRatio * d3Array.max(data, getValue)),
+                negativePercentageAxis = Math.min(0, percentageAxisToMaxRatio * d3Array.min(data, getValue));
 
             if (!horizontal) {
                 xScale = d3Scale.scaleBand()
@@ -207,11 +271,11 @@ define(function(require) {
                     .padding(0.1);
 
                 yScale = d3Scale.scaleLinear()
-                    .domain([0, percentageAxis])
+                    .domain([negativePercentageAxis, percentageAxis])
                     .rangeRound([chartHeight, 0]);
             } else {
                 xScale = d3Scale.scaleLinear()
-                    .domain([0, percentageAxis])
+                    .domain([negativePercentageAxis, percentageAxis])
                     .rangeRound([0, chartWidth]);
 
                 yScale = d3Scale.scaleBand()
@@ -305,26 +369,18 @@ define(function(require) {
               .append('rect')
                 .classed('bar', true)
                 .attr('y', chartHeight)
-                .attr('x', 0)
+                .attr('x', _barHorizontalX)
                 .attr('height', yScale.bandwidth())
-                .attr('width', ({value}) => xScale(value))
+                .attr('width', _barHorizontalWidth)
                 .attr('fill', ({name}) => colorMap(name))
-                .on('mouseover', function() {
-                    dispatcher.call('customMouseOver', this);
-                    d3Selection.select(this).attr('fill', ({name}) => d3Color.color(colorMap(name)).darker());
-                })
-                .on('mousemove', function(d) {
-                    dispatcher.call('customMouseMove', this, d, d3Selection.mouse(this), [chartWidth, chartHeight]);
-                })
-                .on('mouseout', function() {
-                    dispatcher.call('customMouseOut', this);
-                    d3Selection.select(this).attr('fill', ({name}) => colorMap(name))
-                })
+                .on('mouseover', handleMouseOver)
+                .on('mousemove', handleMouseMove)
+                .on('mouseout', handleMouseOut)
               .merge(bars)
-                .attr('x', 0)
+                .attr('x', _barHorizontalX)
                 .attr('y', ({name}) => yScale(name))
                 .attr('height', yScale.bandwidth())
-                .attr('width', ({value}) => xScale(value));
+                .attr('width', _barHorizontalWidth);
         }
 
         /**
@@ -337,32 +393,24 @@ define(function(require) {
             bars.enter()
               .append('rect')
                 .classed('bar', true)
-                .attr('x', 0)
+                .attr('x', _barHorizontalX)
                 .attr('y', chartHeight)
                 .attr('height', yScale.bandwidth())
-                .attr('width', ({value}) => xScale(value))
+                .attr('width', _barHorizontalWidth)
                 .attr('fill', ({name}) => colorMap(name))
-                .on('mouseover', function() {
-                    dispatcher.call('customMouseOver', this);
-                    d3Selection.select(this).attr('fill', ({name}) => d3Color.color(colorMap(name)).darker());
-                })
-                .on('mousemove', function(d) {
-                    dispatcher.call('customMouseMove', this, d, d3Selection.mouse(this), [chartWidth, chartHeight]);
-                })
-                .on('mouseout', function() {
-                    dispatcher.call('customMouseOut', this);
-                    d3Selection.select(this).attr('fill', ({name}) => colorMap(name))
-                });
+                .on('mouseover', handleMouseOver)
+                .on('mousemove', handleMouseMove)
+                .on('mouseout', handleMouseOut);
 
             bars
-                .attr('x', 0)
                 .attr('y', ({name}) => yScale(name))
                 .attr('height', yScale.bandwidth())
                 .transition()
                 .duration(animationDuration)
                 .delay(interBarDelay)
                 .ease(ease)
-                .attr('width', ({value}) => xScale(value));
+                .attr('x', _barHorizontalX)
+                .attr('width', _barHorizontalWidth);
         }
 
         /**
@@ -376,21 +424,13 @@ define(function(require) {
               .append('rect')
                 .classed('bar', true)
                 .attr('x', chartWidth)
-                .attr('y', ({value}) => yScale(value))
+                .attr('y', _barVerticalY)
                 .attr('width', xScale.bandwidth())
-                .attr('height', ({value}) => chartHeight - yScale(value))
+                .attr('height', _barVerticalHeight)
                 .attr('fill', ({name}) => colorMap(name))
-                .on('mouseover', function() {
-                    dispatcher.call('customMouseOver', this);
-                    d3Selection.select(this).attr('fill', ({name}) => d3Color.color(colorMap(name)).darker())
-                })
-                .on('mousemove', function(d) {
-                    dispatcher.call('customMouseMove', this, d, d3Selection.mouse(this), [chartWidth, chartHeight]);
-                })
-                .on('mouseout', function() {
-                    dispatcher.call('customMouseOut', this);
-                    d3Selection.select(this).attr('fill', ({name}) => colorMap(name))
-                })
+                .on('mouseover', handleMouseOver)
+                .on('mousemove', handleMouseMove)
+                .on('mouseout', handleMouseOut)
               .merge(bars)
                 .attr('x', ({name}) => xScale(name))
                 .attr('width', xScale.bandwidth())
@@ -398,8 +438,8 @@ define(function(require) {
                 .duration(animationDuration)
                 .delay(interBarDelay)
                 .ease(ease)
-                .attr('y', ({value}) => yScale(value))
-                .attr('height', ({value}) => chartHeight - yScale(value));
+                .attr('y', _barVerticalY)
+                .attr('height', _barVerticalHeight);
         }
 
         /**
@@ -413,26 +453,18 @@ define(function(require) {
               .append('rect')
                 .classed('bar', true)
                 .attr('x', chartWidth)
-                .attr('y', ({value}) => yScale(value))
+                .attr('y', _barVerticalY)
                 .attr('width', xScale.bandwidth())
-                .attr('height', ({value}) => chartHeight - yScale(value))
+                .attr('height', _barVerticalHeight)
                 .attr('fill', ({name}) => colorMap(name))
-                .on('mouseover', function() {
-                    dispatcher.call('customMouseOver', this);
-                    d3Selection.select(this).attr('fill', ({name}) => d3Color.color(colorMap(name)).darker())
-                })
-                .on('mousemove', function(d) {
-                    dispatcher.call('customMouseMove', this, d, d3Selection.mouse(this), [chartWidth, chartHeight]);
-                })
-                .on('mouseout', function() {
-                    dispatcher.call('customMouseOut', this);
-                    d3Selection.select(this).attr('fill', ({name}) => colorMap(name))
-                })
+                .on('mouseover', handleMouseOver)
+                .on('mousemove', handleMouseMove)
+                .on('mouseout', handleMouseOut)
               .merge(bars)
                 .attr('x', ({name}) => xScale(name))
-                .attr('y', ({value}) => yScale(value))
+                .attr('y', _barVerticalY)
                 .attr('width', xScale.bandwidth())
-                .attr('height', ({value}) => chartHeight - yScale(value));
+                .attr('height', _barVerticalHeight);
         }
 
         /**
@@ -441,9 +473,10 @@ define(function(require) {
          * @return {void}
          */
         function drawPercentageLabels() {
-            let labelXPosition = horizontal ? _percentageLabelHorizontalX : _percentageLabelVerticalX;
-            let labelYPosition = horizontal ? _percentageLabelHorizontalY : _percentageLabelVerticalY;
-            let text = horizontal ? _percentageLabelHorizontalFormatValue : _percentageLabelVerticalFormatValue;
+            let labelXPosition = horizontal ? _percentageLabelHorizontalX : _percentageLabelVerticalX,
+                labelYPosition = horizontal ? _percentageLabelHorizontalY : _percentageLabelVerticalY,
+                text = horizontal ? _percentageLabelHorizontalFormatValue : _percentageLabelVerticalFormatValue,
+                textAnchor = horizontal ? _percentageLabelHorizontalAnchor : _percentageLabelVerticalAnchor;
 
             let percentageLabels = svg.select('.metadata-group')
               .append('g')
@@ -457,6 +490,7 @@ define(function(require) {
                 .classed('percentage-label', true)
                 .attr('x', labelXPosition)
                 .attr('y', labelYPosition)
+                .attr('text-anchor', textAnchor)
                 .text(text)
                 .attr('font-size', percentageLabelSize + 'px')
         }
@@ -514,6 +548,7 @@ define(function(require) {
             } else {
                 drawHorizontalGridLines();
             }
+            drawZeroLine();
         }
 
         /**
@@ -574,6 +609,139 @@ define(function(require) {
                     .attr('y2', height - margin.bottom - margin.top);
         }
 
+        /**
+         * Draws a highlighted line on the zero baseline when the data has negative values
+         * @return {void}
+         */
+        function drawZeroLine() {
+            let hasNegativeValues = d3Array.min(data, getValue) < 0;
+
+            zeroLine = svg.select('.grid-lines-group')
+                .selectAll('line.zero-line')
+                .data(hasNegativeValues ? [0] : []);
+
+            zeroLine.exit().remove();
+
+            if (!horizontal) {
+                zeroLine.enter()
+                  .append('line')
+                    .attr('class', 'zero-line')
+                  .merge(zeroLine)
+                    .attr('x1', (xAxisPadding.left))
+                    .attr('x2', chartWidth)
+                    .attr('y1', (d) => yScale(d))
+                    .attr('y2', (d) => yScale(d));
+            } else {
+                zeroLine.enter()
+                  .append('line')
+                    .attr('class', 'zero-line')
+                  .merge(zeroLine)
+                    .attr('y1', (xAxisPadding.left))
+                    .attr('y2', chartHeight)
+                    .attr('x1', (d) => xScale(d))
+                    .attr('x2', (d) => xScale(d));
+            }
+        }
+
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            let [minValue, maxValue] = d3Array.extent(data, getValue);
+
+            return `Bar chart with ${data.length} bars, with values from ${formatValue(minValue)} to ${formatValue(maxValue)}`;
+        }
+
+        /**
+         * Gets the text that describes a bar to screen readers
+         * @param  {Object} d Data of the bar
+         * @return {String}   Name and value of the bar
+         * @private
+         */
+        function getBarLabel({name, value}) {
+            return `${name}: ${formatValue(value)}`;
+        }
+
+        /**
+         * Gets the position of the center of a bar, the same way the mouse position is given
+         * @param  {Object} d Data of the bar
+         * @return {Number[]} X and Y position of the center of the bar
+         * @private
+         */
+        function getBarCenter(d) {
+            if (horizontal) {
+                return [xScale(d.value), yScale(d.name) + yScale.bandwidth() / 2];
+            }
+
+            return [xScale(d.name) + xScale.bandwidth() / 2, _barVerticalY(d) + _barVerticalHeight(d) / 2];
+        }
+
+        /**
+         * Focus handler, that inspects the focused bar as if it was hovered
+         * and announces its value
+         * @param  {Object} d Data of the bar
+         * @private
+         */
+        function handleFocus(d) {
+            handleMouseOver.call(this);
+            dispatcher.call('customMouseMove', this, d, getBarCenter(d), [chartWidth, chartHeight]);
+            liveRegion.text(getBarLabel(d));
+        }
+
+        /**
+         * Mouseover handler, that darkens the bar and triggers the customMouseOver event
+         * @private
+         */
+        function handleMouseOver() {
+            dispatcher.call('customMouseOver', this);
+            d3Selection.select(this).attr('fill', ({name}) => d3Color.color(colorMap(name)).darker());
+        }
+
+        /**
+         * Mousemove handler, that triggers the customMouseMove event with the position of the pointer
+         * @param  {Object} d Data of the bar
+         * @private
+         */
+        function handleMouseMove(d) {
+            dispatcher.call('customMouseMove', this, d, getPointerPosition(this), [chartWidth, chartHeight]);
+        }
+
+        /**
+         * Mouseout handler, that restores the color of the bar and triggers the customMouseOut event
+         * @private
+         */
+        function handleMouseOut() {
+            dispatcher.call('customMouseOut', this);
+            d3Selection.select(this).attr('fill', ({name}) => colorMap(name));
+        }
+
+        /**
+         * Touch handler, that hovers the bar under the finger, leaving the previous one.
+         * While dragging over the bars it prevents the page from scrolling
+         * @private
+         */
+        function handleTouch() {
+            let bar = getTouchedElement(svg.node(), '.bar');
+
+            if (d3Selection.event.type === 'touchmove' && touchedBar) {
+                d3Selection.event.preventDefault();
+            }
+            if (bar !== touchedBar) {
+                if (touchedBar) {
+                    handleMouseOut.call(touchedBar);
+                }
+                if (bar) {
+                    handleMouseOver.call(bar);
+                }
+                touchedBar = bar;
+            }
+            if (bar) {
+                handleMouseMove.call(bar, d3Selection.select(bar).datum());
+            }
+        }
+
         /**
          * Chart exported to png and a download action is fired
          * @public
@@ -791,6 +959,35 @@ define(function(require) {
             return this;
         };
 
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+            return this;
+        };
+
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+            return this;
+        };
+
         return exports;
     };
 
@@ -4,7 +4,9 @@ define(function(require) {
     const d3Array = require('d3-array');
     const d3Axis = require('d3-axis');
     const d3Brush = require('d3-brush');
+    const d3Dispatch = require('d3-dispatch');
     const d3Ease = require('d3-ease');
+    const d3Interpolate = require('d3-interpolate');
     const d3Scale = require('d3-scale');
     const d3Shape = require('d3-shape');
     const d3Selection = require('d3-selection');
@@ -13,9 +15,45 @@ define(function(require) {
     const d3TimeFormat = require('d3-time-format');
 
     const colorHelper = require('./helpers/colors');
+    const {
+        describeChart,
+        formatDate
+    } = require('./helpers/accessibility');
     const timeAxisHelper = require('./helpers/timeAxis');
 
-    const {axisTimeCombinations} = require('./helpers/constants');
+    const {
+        axisTimeCombinations,
+        brushPresets,
+        snapIntervals,
+        timeBenchmarks
+    } = require('./helpers/constants');
+
+    const snapIntervalsMap = {
+        [snapIntervals.HOUR]: d3Time.timeHour,
+        [snapIntervals.DAY]: d3Time.timeDay,
+        [snapIntervals.WEEK]: d3Time.timeWeek,
+        [snapIntervals.MONTH]: d3Time.timeMonth,
+        [snapIntervals.QUARTER]: d3Time.timeMonth.every(3),
+        [snapIntervals.YEAR]: d3Time.timeYear
+    };
+
+    const defaultPresets = [
+        {
+            id: brushPresets.LAST_7_DAYS,
+            label: 'Last 7 days',
+            getRange: (lastDate) => [d3Time.timeDay.offset(lastDate, -7), lastDate]
+        },
+        {
+            id: brushPresets.LAST_30_DAYS,
+            label: 'Last 30 days',
+            getRange: (lastDate) => [d3Time.timeDay.offset(lastDate, -30), lastDate]
+        },
+        {
+            id: brushPresets.YEAR_TO_DATE,
+            label: 'YTD',
+            getRange: (lastDate) => [d3Time.timeYear.floor(lastDate), lastDate]
+        }
+    ];
 
 
     /**
@@ -43,14 +81,17 @@ define(function(require) {
      *
      * @module Brush
      * @tutorial brush
-     * @requires d3-array, d3-axis, d3-brush, d3-ease, d3-scale, d3-shape, d3-selection, d3-time, d3-time-format
+     * @requires d3-array, d3-axis, d3-brush, d3-dispatch, d3-ease, d3-interpolate, d3-scale, d3-shape, d3-selection, d3-time, d3-time-format
      *
      * @example
      * let brushChart = brush();
      *
      * brushChart
      *     .height(500)
-     *     .width(800);
+     *     .width(800)
+     *     .on('brushEnd', function(dateExtent) {
+     *         console.log('Selected dates', dateExtent);
+     *     });
      *
      * d3Selection.select('.css-selector')
      *     .datum(dataset)
@@ -71,6 +112,9 @@ define(function(require) {
             data,
             svg,
 
+            title = null,
+            desc = null,
+
             ease = d3Ease.easeQuadOut,
 
             dateLabel = 'date',
@@ -89,13 +133,26 @@ define(function(require) {
             brush,
             chartBrush,
             handle,
+            handleWidth = 6,
 
             tickPadding = 5,
 
             onBrush = null,
 
+            snapInterval = null,
+
+            presets = defaultPresets,
+
+            focusChart = null,
+            focusTransitionDuration = 750,
+            focusDateRange = null,
+            isSyncingFocus = false,
+
             gradient = colorHelper.colorGradients.greenBlueGradient,
 
+            // Dispatcher object to broadcast the brushing interactions
+            dispatcher = d3Dispatch.dispatch('brushStart', 'brush', 'brushEnd', 'brushClear'),
+
             // extractors
             getValue = ({value}) => value,
             getDate = ({date}) => date;
@@ -122,9 +179,25 @@ define(function(require) {
                 drawAxis();
                 drawBrush();
                 drawHandles();
+                describeChart(svg, getAriaLabel(), title, desc);
             });
         }
 
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            let [startDate, endDate] = d3Array.extent(data, ({date}) => date);
+
+            if (!data.length) {
+                return 'Brush chart with no data';
+            }
+
+            return `Brush chart from ${formatDate(startDate)} to ${formatDate(endDate)}`;
+        }
+
         /**
          * Creates the d3 x axis, setting orientation
          * @private
@@ -155,6 +228,7 @@ define(function(require) {
         function buildBrush() {
             brush = d3Brush.brushX()
                 .extent([[0, 0], [chartWidth, chartHeight]])
+                .on('start', handleBrushStart)
                 .on('brush', handleBrush)
                 .on('end', handleBrushEnded);
         }
@@ -313,16 +387,77 @@ define(function(require) {
         }
 
         /**
-         * Draws a handle for the Brush section
+         * Draws the grips of the Brush handles, placing them on the current selection
          * @return {void}
          */
         function drawHandles() {
             let handleFillColor = colorHelper.colorSchemasHuman.britechartsGreySchema[1];
 
-            // Styling
             handle = chartBrush
-                        .selectAll('.handle.brush-rect')
-                        .style('fill', handleFillColor);
+                .selectAll('.brush-handle')
+                .data([{type: 'w'}, {type: 'e'}]);
+
+            // Grips don't catch the pointer, so the brush handles below keep the dragging
+            handle = handle.enter()
+              .append('rect')
+                .attr('class', ({type}) => `brush-handle brush-handle--${type}`)
+                .attr('x', -handleWidth / 2)
+                .attr('width', handleWidth)
+                .attr('rx', handleWidth / 2)
+                .style('pointer-events', 'none')
+              .merge(handle)
+                .attr('y', -chartHeight / 4)
+                .attr('height', chartHeight / 2)
+                .style('fill', handleFillColor);
+
+            updateHandlers(d3Brush.brushSelection(chartBrush.node()));
+        }
+
+        /**
+         * Figures out a sensible snapping interval for the time span of the data
+         * @return {String} Snap interval for the data
+         * @private
+         */
+        function getDefaultSnapInterval() {
+            let {
+                FIVE_YEARS,
+                ONE_AND_A_HALF_YEARS,
+                ONE_WEEK,
+                ONE_DAY
+            } = timeBenchmarks,
+                [firstDate, lastDate] = xScale.domain(),
+                dateTimeSpan = lastDate - firstDate,
+                interval;
+
+            if (dateTimeSpan < ONE_DAY) {
+                interval = snapIntervals.NONE;
+            } else if (dateTimeSpan < ONE_WEEK) {
+                interval = snapIntervals.HOUR;
+            } else if (dateTimeSpan < ONE_AND_A_HALF_YEARS) {
+                interval = snapIntervals.DAY;
+            } else if (dateTimeSpan < FIVE_YEARS) {
+                interval = snapIntervals.MONTH;
+            } else {
+                interval = snapIntervals.YEAR;
+            }
+
+            return interval;
+        }
+
+        /**
+         * Gets the d3 time interval the brush selection snaps to,
+         * null when the selection shouldn't snap
+         * @return {d3Interval | null} Interval to snap to
+         * @private
+         */
+        function getSnapTimeInterval() {
+            let interval = snapInterval || getDefaultSnapInterval();
+
+            if (typeof interval.round === 'function') {
+                return interval;
+            }
+
+            return snapIntervalsMap[interval] || null;
         }
 
         /**
@@ -333,37 +468,110 @@ define(function(require) {
          */
         function handleBrush() {
             let s = d3Selection.event.selection,
-                dateExtent = s.map(xScale.invert);
+                dateExtent;
+
+            if (!s) return; // Clearing is handled when the brushing ends.
+
+            dateExtent = s.map(xScale.invert);
+            updateHandlers(s);
 
             if (typeof onBrush === 'function') {
                 onBrush.call(null, dateExtent);
             }
 
-            // updateHandlers(dateExtent);
+            dispatcher.call('brush', this, dateExtent);
+
+            // Only user brushing updates the focus chart, the rest of moves come from it
+            if (focusChart && d3Selection.event.sourceEvent && !isSyncingFocus) {
+                updateFocusChart(dateExtent);
+            }
         }
 
         /**
-         * Processes the end brush event, snapping the boundaries to days
+         * Processes the end brush event, snapping the boundaries to the snap interval
          * as showed on the example on https://bl.ocks.org/mbostock/6232537
+         * It also calls onBrush and dispatches brushEnd with the snapped extent,
+         * or dispatches brushClear when the selection was removed
          * @return {void}
          * @private
          */
         function handleBrushEnded() {
+            if (!d3Selection.event.selection) {
+                updateHandlers(null);
+                dispatcher.call('brushClear', this);
+
+                if (focusChart && !isSyncingFocus) {
+                    updateFocusChart(null);
+                }
+
+                return;
+            }
             if (!d3Selection.event.sourceEvent) return; // Only transition after input.
-            if (!d3Selection.event.selection) return; // Ignore empty selections.
+            if (isSyncingFocus) return; // Ignore moves following the focus chart.
+
+            let interval = getSnapTimeInterval(),
+                d0 = d3Selection.event.selection.map(xScale.invert),
+                d1 = d0;
+
+            if (interval) {
+                d1 = d0.map((date) => interval.round(date));
+
+                // If empty when rounded, use floor & ceil instead.
+                if (d1[0] >= d1[1]) {
+                    d1[0] = interval.floor(d0[0]);
+                    d1[1] = interval.offset(d1[0]);
+                }
+
+                d3Selection.select(this)
+                    .transition()
+                    .call(d3Selection.event.target.move, d1.map(xScale));
+            }
+
+            if (typeof onBrush === 'function') {
+                onBrush.call(null, d1);
+            }
 
-            let d0 = d3Selection.event.selection.map(xScale.invert),
-                d1 = d0.map(d3Time.timeDay.round);
+            dispatcher.call('brushEnd', this, d1);
 
-            // If empty when rounded, use floor & ceil instead.
-            if (d1[0] >= d1[1]) {
-                d1[0] = d3Time.timeDay.floor(d0[0]);
-                d1[1] = d3Time.timeDay.offset(d1[0]);
+            if (focusChart) {
+                updateFocusChart(d1, focusTransitionDuration);
             }
+        }
+
+        /**
+         * Dispatches the brushStart event with the dates of the selection
+         * when the user starts brushing
+         * @return {void}
+         * @private
+         */
+        function handleBrushStart() {
+            let s = d3Selection.event.selection;
+
+            if (!d3Selection.event.sourceEvent) return; // Only notify user brushing.
 
-            d3Selection.select(this)
-                .transition()
-                .call(d3Selection.event.target.move, d1.map(xScale));
+            dispatcher.call('brushStart', this, s ? s.map(xScale.invert) : null);
+        }
+
+        /**
+         * Handles the zoom changes of the focus chart, moving the brush
+         * to the date range visible on it
+         * @param  {Date[]} visibleDateRange Date range shown by the focus chart
+         * @return {void}
+         * @private
+         */
+        function handleFocusZoom(visibleDateRange) {
+            focusDateRange = visibleDateRange;
+
+            if (isSyncingFocus || !chartBrush) {
+                return;
+            }
+
+            // The focus chart was zoomed from somewhere else, so the brush stops animating it
+            chartBrush.interrupt('focus');
+
+            isSyncingFocus = true;
+            setBrushByDates(...visibleDateRange);
+            isSyncingFocus = false;
         }
 
         /**
@@ -394,25 +602,136 @@ define(function(require) {
                 .move(chartBrush, [x0, x1]);
         }
 
+        /**
+         * Zooms the focus chart into the given date range, or resets its zoom
+         * when there is no range. With a duration, the brush animates the zoom
+         * itself, moving from the date range the focus chart shows
+         * @param  {Date[]} dateExtent  Date range to show on the focus chart
+         * @param  {Number} duration    Duration of the transition in ms
+         * @return {void}
+         * @private
+         */
+        function updateFocusChart(dateExtent, duration = 0) {
+            chartBrush.interrupt('focus');
+
+            if (!dateExtent || !duration) {
+                zoomFocusChart(dateExtent);
+
+                return;
+            }
+
+            chartBrush.transition('focus')
+                .duration(duration)
+                .ease(ease)
+                .tween('focus', function() {
+                    let i = d3Interpolate.interpolate(focusDateRange || xScale.domain(), dateExtent);
+
+                    return (t) => zoomFocusChart(i(t));
+                });
+        }
+
+        /**
+         * Zooms the focus chart into the given date range, or resets its zoom
+         * when there is no range. The brush doesn't follow the zoom events this triggers
+         * @param  {Date[]} dateExtent  Date range to show on the focus chart
+         * @return {void}
+         * @private
+         */
+        function zoomFocusChart(dateExtent) {
+            isSyncingFocus = true;
+
+            if (dateExtent) {
+                focusChart.zoomTo(dateExtent[0], dateExtent[1]);
+            } else {
+                focusChart.resetZoom();
+            }
+
+            isSyncingFocus = false;
+        }
+
         /**
          * Updates visibility and position of the brush handlers
-         * @param  {Number[]} dateExtent Date range
+         * @param  {Number[]} selection Pixel extent of the brush selection, null when empty
          * @return {void}
          */
-        function updateHandlers(dateExtent) {
-            if (dateExtent == null) {
+        function updateHandlers(selection) {
+            if (!handle) {
+                return;
+            }
+
+            if (selection == null) {
                 handle.attr('display', 'none');
             } else {
                 handle
                     .attr('display', null)
                     .attr('transform', function(d, i) {
-                        return `translate(${dateExtent[i]},${chartHeight / 2})`;
+                        return `translate(${selection[i]},${chartHeight / 2})`;
                     });
             }
         }
 
         // API
 
+        /**
+         * Moves the brush to the date range of one of the presets, counting back from the
+         * last date of the data. The range is clipped to the dates of the data.
+         * It dispatches brushEnd with the new range and updates the focus chart, if any
+         * @param  {String} presetId Id of the preset to apply
+         * @return {module} Chart module to chain calls
+         * @public
+         * @example
+         *     brushChart.applyPreset(brushChart.brushPresets.LAST_30_DAYS)
+         */
+        exports.applyPreset = function(presetId) {
+            let preset = presets.find(({id}) => id === presetId),
+                firstDate, lastDate, range;
+
+            if (!preset || !chartBrush) {
+                return this;
+            }
+
+            [firstDate, lastDate] = xScale.domain();
+            range = preset.getRange(lastDate);
+            range = [
+                new Date(Math.max(range[0], firstDate)),
+                new Date(Math.min(range[1], lastDate))
+            ];
+            dateRange = range;
+
+            setBrushByDates(...range);
+            dispatcher.call('brushEnd', this, range);
+
+            if (focusChart) {
+                updateFocusChart(range, focusTransitionDuration);
+            }
+
+            return this;
+        };
+
+        /**
+         * Exposes the ids of the default presets
+         * current options: LAST_7_DAYS, LAST_30_DAYS, YEAR_TO_DATE
+         * @example
+         *     brushChart.applyPreset(brushChart.brushPresets.YEAR_TO_DATE)
+         */
+        exports.brushPresets = brushPresets;
+
+        /**
+         * Removes the brush selection, dispatching brushClear and resetting
+         * the zoom of the focus chart, if any
+         * @return {module} Chart module to chain calls
+         * @public
+         */
+        exports.clear = function() {
+            dateRange = [null, null];
+
+            if (chartBrush) {
+                brush.move(chartBrush, null);
+            }
+
+            return this;
+        };
+
         /**
          * Gets or Sets the dateRange for the selected part of the brush
          * @param  {String[]} _x Desired dateRange for the graph
@@ -432,6 +751,40 @@ define(function(require) {
             return this;
         };
 
+        /**
+         * Gets or Sets the line or stacked area chart that the brush controls.
+         * Brushing zooms the focus chart into the selected dates, and zooming the focus chart
+         * moves the brush selection. It makes the focus chart zoomable, so it needs to be
+         * set before the focus chart is rendered.
+         *
+         * @param  {Module} _x Line or Stacked Area chart to bind, null to unbind the current one
+         * @return { focusChart | module} Current focus chart or Chart module to chain calls
+         * @public
+         * @example
+         *     brushChart.focusChart(lineChart)
+         */
+        exports.focusChart = function(_x) {
+            if (!arguments.length) {
+                return focusChart;
+            }
+            if (focusChart) {
+                focusChart.on('customZoom.brush', null);
+            }
+            if (chartBrush) {
+                chartBrush.interrupt('focus');
+            }
+            focusChart = _x;
+            focusDateRange = null;
+
+            if (focusChart) {
+                focusChart
+                    .isZoomable(true)
+                    .on('customZoom.brush', handleFocusZoom);
+            }
+
+            return this;
+        };
+
         /**
          * Exposes the ability to force the chart to show a certain x axis grouping
          * @param  {String} _x Desired format
@@ -534,7 +887,24 @@ define(function(require) {
         };
 
         /**
-         * Gets or Sets the callback that will be called when the user brushes over the area
+         * Exposes an 'on' method that acts as a bridge with the event dispatcher
+         * We are going to expose this events:
+         * brushStart, brush, brushEnd and brushClear
+         * brushStart and brushEnd are only dispatched for user brushing and applied presets,
+         * with the selected date range; brushEnd receives it snapped to the snapInterval
+         *
+         * @return {module} Brush Chart
+         * @public
+         */
+        exports.on = function() {
+            let value = dispatcher.on.apply(dispatcher, arguments);
+
+            return value === dispatcher ? exports : value;
+        };
+
+        /**
+         * Gets or Sets the callback that will be called when the user brushes over the area,
+         * and when the brushing ends, with the extent snapped to the snapInterval
          * @param  {Function} _x Callback to call
          * @return {Function | module}    Current callback function or the Chart Module
          */
@@ -545,6 +915,56 @@ define(function(require) {
             return this;
         };
 
+        /**
+         * Gets or Sets the presets that can be applied with applyPreset. Each one has an id,
+         * a label to show on its button and a getRange function that receives
+         * the last date of the data and returns the date range to select
+         *
+         * @param  {Object[]} _x Desired presets
+         * @return {Object[] | module} Current presets or Chart module to chain calls
+         * @public
+         * @example
+         *     brushChart.presets().map(({id, label}) => ({id, label}))
+         */
+        exports.presets = function(_x) {
+            if (!arguments.length) {
+                return presets;
+            }
+            presets = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the interval the brush selection snaps to when the user stops brushing.
+         * It accepts any of the snapIntervals ('hour', 'day', 'week', 'month', 'quarter', 'year'),
+         * a custom d3-time interval or 'none' to keep the selection as it is.
+         * By default, it is chosen depending on the time span of the data
+         *
+         * @param  {String | d3Interval} _x Desired snap interval
+         * @return {String | d3Interval | module} Current snap interval or Chart module to chain calls
+         * @public
+         * @example
+         *     brush.snapInterval(brush.snapIntervals.WEEK)
+         *     brush.snapInterval(d3Time.timeMinute.every(15))
+         */
+        exports.snapInterval = function(_x) {
+            if (!arguments.length) {
+                return snapInterval;
+            }
+            snapInterval = _x;
+
+            return this;
+        };
+
+        /**
+         * Exposes the constants to be used to set the brush snapping interval
+         * current options: NONE, HOUR, DAY, WEEK, MONTH, QUARTER, YEAR
+         * @example
+         *     brush.snapInterval(brush.snapIntervals.MONTH)
+         */
+        exports.snapIntervals = snapIntervals;
+
         /**
          * Gets or Sets the width of the chart
          * @param  {number} _x Desired width for the graph
@@ -560,6 +980,37 @@ define(function(require) {
             return this;
         };
 
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+
+            return this;
+        };
+
         return exports;
     };
 
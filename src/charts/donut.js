@@ -12,7 +12,15 @@ define(function(require) {
     const {exportChart} = require('./helpers/exportChart');
     const textHelper = require('./helpers/text');
     const colorHelper = require('./helpers/colors');
-    const {calculatePercent} = require('./helpers/common');
+    const {
+        calculatePercent,
+        getTouchedElement
+    } = require('./helpers/common');
+    const {
+        addKeyboardNavigation,
+        buildLiveRegion,
+        describeChart
+    } = require('./helpers/accessibility');
 
 
     /**
@@ -91,6 +99,12 @@ define(function(require) {
             highlightedSliceId,
             highlightedSlice,
             hasFixedHighlightedSlice = false,
+            touchedSlice = null,
+            hiddenSeries = [],
+
+            title = null,
+            desc = null,
+            liveRegion,
 
             quantityLabel = 'quantity',
             nameLabel = 'name',
@@ -114,7 +128,9 @@ define(function(require) {
 
             // extractors
             getQuantity = ({quantity}) => quantity,
+            getSliceQuantity = (d) => hiddenSeries.indexOf(d.id) > -1 ? 0 : getQuantity(d),
             getSliceFill = ({data}) => colorScale(data.name),
+            isSliceVisible = ({data}) => hiddenSeries.indexOf(data.id) === -1,
 
             // events
             dispatcher = d3Dispatch.dispatch('customMouseOver', 'customMouseOut', 'customMouseMove');
@@ -138,6 +154,8 @@ define(function(require) {
                 buildSVG(this);
                 drawSlices();
                 initTooltip();
+                addTouchEvents();
+                addAccessibility();
 
                 if (highlightedSliceId) {
                     initHighlightSlice();
@@ -145,6 +163,39 @@ define(function(require) {
             });
         }
 
+        /**
+         * Labels the chart and its slices for screen readers, and makes the visible slices focusable,
+         * so the arrow keys move across them announcing their values
+         * @private
+         */
+        function addAccessibility() {
+            let paths = svg.selectAll('.chart-group .arc path');
+
+            if (!liveRegion) {
+                liveRegion = buildLiveRegion(svg);
+            }
+            describeChart(svg, getAriaLabel(), title, desc);
+
+            paths
+                .attr('tabindex', null)
+                .attr('aria-label', getSliceLabel)
+                .on('focus', handleFocus)
+                .on('blur', handleMouseOut);
+
+            addKeyboardNavigation(paths.filter(isSliceVisible));
+        }
+
+        /**
+         * Adds the touch events to the chart, so tapping a slice inspects it
+         * and dragging the finger around the donut scrubs through the slices
+         * @private
+         */
+        function addTouchEvents() {
+            svg
+                .on('touchstart', handleTouch)
+                .on('touchmove', handleTouch);
+        }
+
         /**
          * Builds color scale for chart, if any colorSchema was defined
          * @private
@@ -176,7 +227,7 @@ define(function(require) {
         function buildLayout() {
             layout = d3Shape.pie()
                 .padAngle(paddingAngle)
-                .value(getQuantity)
+                .value(getSliceQuantity)
                 .sort(sortComparator);
         }
 
@@ -327,6 +378,43 @@ define(function(require) {
             }
         }
 
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            let visibleData = data.filter(({id}) => hiddenSeries.indexOf(id) === -1),
+                largest = visibleData.reduce((max, d) => !max || d.quantity > max.quantity ? d : max, null);
+
+            if (!largest) {
+                return 'Donut chart with no slices';
+            }
+
+            return `Donut chart with ${visibleData.length} slices, the largest being ${largest.name} with ${largest.percentage}%`;
+        }
+
+        /**
+         * Gets the text that describes a slice to screen readers
+         * @param  {Object} d Data of the slice
+         * @return {String}   Name, percentage and quantity of the slice
+         * @private
+         */
+        function getSliceLabel({data}) {
+            return `${data.name}: ${data.percentage}% (${data.quantity})`;
+        }
+
+        /**
+         * Focus handler, that inspects the focused slice as if it was hovered
+         * and announces its value
+         * @param  {Object} datum Data of the slice
+         * @private
+         */
+        function handleFocus(datum) {
+            handleMouseOver.call(this, datum);
+            liveRegion.text(getSliceLabel(datum));
+        }
+
         /**
          * Handles a path mouse over
          * @return {void}
@@ -361,6 +449,28 @@ define(function(require) {
             tweenGrowth(this, externalRadius - radiusHoverOffset, pieHoverTransitionDuration);
         }
 
+        /**
+         * Touch handler, that hovers the slice under the finger, leaving the previous one.
+         * While dragging over the slices it prevents the page from scrolling
+         * @private
+         */
+        function handleTouch() {
+            let slice = getTouchedElement(svg.node(), '.arc path');
+
+            if (d3Selection.event.type === 'touchmove' && touchedSlice) {
+                d3Selection.event.preventDefault();
+            }
+            if (slice !== touchedSlice) {
+                if (touchedSlice) {
+                    handleMouseOut.call(touchedSlice);
+                }
+                if (slice) {
+                    handleMouseOver.call(slice, d3Selection.select(slice).datum());
+                }
+                touchedSlice = slice;
+            }
+        }
+
         /**
          * Find the slice by id and growth it if needed
          * @private
@@ -379,9 +489,11 @@ define(function(require) {
          * Creates the text element that will hold the legend of the chart
          */
         function initTooltip() {
-            svg.select('.legend-group')
-                .append('text')
-                .attr('class', 'donut-text');
+            if (svg.select('.donut-text').empty()) {
+                svg.select('.legend-group')
+                    .append('text')
+                    .attr('class', 'donut-text');
+            }
         }
 
         /**
@@ -500,6 +612,22 @@ define(function(require) {
             return this;
         };
 
+        /**
+         * Gets or Sets the ids of the slices that won't be drawn, leaving the rest of slices
+         * to fill the donut. Re-render the chart after changing it
+         * @param  {Number[]} _x Desired hidden slice ids
+         * @return { (Number[] | Module) } Current hidden slice ids or Donut Chart module to chain calls
+         * @public
+         */
+        exports.hiddenSeries = function(_x) {
+            if (!arguments.length) {
+                return hiddenSeries;
+            }
+            hiddenSeries = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the height of the chart
          * @param  {Number} _x Desired width for the graph
@@ -596,6 +724,35 @@ define(function(require) {
             return this;
         };
 
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { (String | Module) } Current title or Donut Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+            return this;
+        };
+
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { (String | Module) } Current description or Donut Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+            return this;
+        };
+
         /**
          * Exposes an 'on' method that acts as a bridge with the event dispatcher
          * We are going to expose this events:
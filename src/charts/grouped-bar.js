@@ -0,0 +1,919 @@
+define(function(require){
+    'use strict';
+
+    const d3Array = require('d3-array');
+    const d3Axis = require('d3-axis');
+    const d3Color = require('d3-color');
+    const d3Collection = require('d3-collection');
+    const d3Dispatch = require('d3-dispatch');
+    const d3Ease = require('d3-ease');
+    const d3Scale = require('d3-scale');
+    const d3Selection = require('d3-selection');
+    const d3Transition = require('d3-transition');
+    const assign = require('lodash.assign');
+
+    const {exportChart} = require('./helpers/exportChart');
+    const colorHelper = require('./helpers/colors');
+    const {describeChart} = require('./helpers/accessibility');
+    const NUMBER_FORMAT = ',f';
+    const uniq = (arrArg) => arrArg.filter((elem, pos, arr) => arr.indexOf(elem) == pos);
+
+
+    /**
+     * @typedef groupedBarData
+     * @type {Object}
+     * @property {Object[]} data       All data entries
+     * @property {String} name         Name of the entry
+     * @property {String} stack        Group of the entry, keyed as the stack of the stacked bar data
+     * @property {Number} value        Value of the entry
+     *
+     * @example
+     * {
+     *     'data': [
+     *         {
+     *             "name": "North",
+     *             "stack": "2016",
+     *             "value": 16
+     *         },
+     *         {
+     *             "name": "North",
+     *             "stack": "2017",
+     *             "value": 22
+     *         }
+     *     ]
+     * }
+     */
+
+    /**
+     * Grouped Bar Chart reusable API module that allows us
+     * rendering side by side bars for each group of every entry name.
+     *
+     * @module Grouped-bar
+     * @tutorial grouped-bar
+     * @requires d3-array, d3-axis, d3-color, d3-collection, d3-dispatch, d3-ease,
+     *  d3-scale, d3-selection, d3-transition, lodash assign
+     *
+     * @example
+     * let groupedBar = groupedBar();
+     *
+     * groupedBar
+     *     .width(containerWidth);
+     *
+     * d3Selection.select('.css-selector')
+     *     .datum(dataset.data)
+     *     .call(groupedBar);
+     *
+     */
+    return function module() {
+
+        let margin = {
+            top: 40,
+            right: 30,
+            bottom: 60,
+            left: 70
+            },
+            width = 960,
+            height = 500,
+
+            xScale,
+            xAxis,
+            yScale,
+            yAxis,
+            groupScale,
+
+            aspectRatio = null,
+
+            yTickTextYOffset = -8,
+            yTickTextXOffset = -20,
+
+            numOfVerticalTicks = 5,
+            numOfHorizontalTicks = 5,
+
+            colorSchema = colorHelper.colorSchemas.britechartsColorSchema,
+
+            colorScale,
+            categoryColorMap,
+
+            ease = d3Ease.easeQuadInOut,
+            horizontal = false,
+
+            svg,
+            chartWidth, chartHeight,
+            data,
+            groups,
+
+            title = null,
+            desc = null,
+
+            transformedData,
+
+            tooltipThreshold = 480,
+
+            xAxisPadding = {
+                top: 0,
+                left: 0,
+                bottom: 0,
+                right: 0
+            },
+
+            barPadding = 0.1,
+            groupPadding = 0.1,
+
+            animationDelayStep = 20,
+            animationDuration = 1000,
+
+            grid = null,
+
+            nameLabel = 'name',
+            valueLabel = 'value',
+            groupLabel = 'stack',
+            valueLabelFormat = NUMBER_FORMAT,
+
+            // getters
+            getName = (data) => data[nameLabel],
+            getValue = (data) => data[valueLabel],
+            getGroup = (data) => data[groupLabel],
+            isAnimated = false,
+
+            // events
+            dispatcher = d3Dispatch.dispatch('customMouseOver', 'customMouseOut', 'customMouseMove');
+
+        /**
+         * This function creates the graph using the selection and data provided
+         * @param {D3Selection} _selection A d3 selection that represents
+         * the container(s) where the chart(s) will be rendered
+         * @param {groupedBarData} _data The data to attach and generate the chart
+         */
+        function exports(_selection) {
+            _selection.each(function(_data){
+                chartWidth = width - margin.left - margin.right;
+                chartHeight = height - margin.top - margin.bottom;
+                data = cleanData(_data);
+
+                prepareData(data);
+                buildScales();
+                buildSVG(this);
+                drawGridLines();
+                buildAxis();
+                drawAxis();
+                drawGroupedBar();
+                describeChart(svg, getAriaLabel(), title, desc);
+                if (shouldShowTooltip()){
+                    addMouseEvents();
+                }
+            });
+        }
+
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            return `Grouped bar chart with ${transformedData.length} groups of ${groups.length} bars`;
+        }
+
+        /**
+         * Prepare data for create chart.
+         * @private
+         */
+        function prepareData(data) {
+            groups = uniq(data.map(getGroup));
+            transformedData = d3Collection.nest()
+                .key(getName)
+                .rollup(function(values) {
+                    let ret = {};
+
+                    values.forEach((entry) => {
+                        ret[getGroup(entry)] = getValue(entry);
+                    });
+                    ret.values = values; //for tooltip
+
+                    return ret;
+                })
+                .entries(data)
+                .map(function(data){
+                    return assign({}, {
+                        total: d3Array.sum(data.value.values, getValue),
+                        key: data.key
+                    }, data.value);
+                });
+        }
+
+        /**
+         * Adds events to the container group if the environment is not mobile
+         * Adding: mouseover, mouseout and mousemove
+         */
+        function addMouseEvents() {
+            svg
+                .on('mouseover', handleMouseOver)
+                .on('mouseout', handleMouseOut)
+                .on('mousemove', handleMouseMove);
+        }
+
+        /**
+         * Adjusts the position of the y axis' ticks
+         * @param  {D3Selection} selection Y axis group
+         * @return void
+         */
+        function adjustYTickLabels(selection) {
+            selection.selectAll('.tick text')
+                .attr('transform', `translate(${yTickTextXOffset}, ${yTickTextYOffset})`);
+        }
+
+        /**
+         * Creates the d3 x and y axis, setting orientations
+         * @private
+         */
+        function buildAxis() {
+            if (!horizontal) {
+                xAxis = d3Axis.axisBottom(xScale);
+                yAxis = d3Axis.axisLeft(yScale)
+                    .ticks(numOfVerticalTicks, valueLabelFormat);
+            } else {
+                xAxis = d3Axis.axisBottom(xScale)
+                    .ticks(numOfHorizontalTicks, valueLabelFormat);
+                yAxis = d3Axis.axisLeft(yScale);
+            }
+        }
+
+        /**
+         * Builds containers for the chart, the axis and a wrapper for all of them
+         * NOTE: The order of drawing of this group elements is really important,
+         * as everything else will be drawn on top of them
+         * @private
+         */
+        function buildContainerGroups(){
+            let container = svg
+                .append('g')
+                .classed('container-group', true)
+                .attr('transform', `translate(${margin.left},${margin.top})`);
+
+            container
+                .append('g').classed('x-axis-group', true)
+                .append('g').classed('x axis', true);
+            container
+                .append('g').classed('y-axis-group axis', true);
+            container
+                .append('g').classed('grid-lines-group', true);
+            container
+                .append('g').classed('chart-group', true);
+            container
+                .append('g').classed('metadata-group', true);
+        }
+
+        /**
+         * Creates the x, y, group and color scales of the chart
+         * The group scale places the bars of each group inside the band of their name
+         * @private
+         */
+        function buildScales() {
+            let [minValue, maxValue] = getValueExtent(),
+                names = transformedData.map(({key}) => key),
+                nameScale;
+
+            if (!horizontal) {
+                xScale = d3Scale.scaleBand()
+                    .domain(names)
+                    .rangeRound([0, chartWidth])
+                    .padding(barPadding);
+
+                yScale = d3Scale.scaleLinear()
+                    .domain([minValue, maxValue])
+                    .rangeRound([chartHeight, 0])
+                    .nice();
+
+                nameScale = xScale;
+            } else {
+                xScale = d3Scale.scaleLinear()
+                    .domain([minValue, maxValue])
+                    .rangeRound([0, chartWidth - 1])
+                    .nice();
+                // 1 pix for edge tick
+
+                yScale = d3Scale.scaleBand()
+                    .domain(names)
+                    .rangeRound([chartHeight, 0])
+                    .padding(barPadding);
+
+                nameScale = yScale;
+            }
+
+            groupScale = d3Scale.scaleBand()
+                .domain(groups)
+                .rangeRound([0, nameScale.bandwidth()])
+                .padding(groupPadding);
+
+            colorScale = d3Scale.scaleOrdinal()
+                .range(colorSchema)
+                .domain(groups);
+
+            categoryColorMap = groups.reduce((memo, group) => {
+                memo[group] = colorScale(group);
+
+                return memo;
+            }, {});
+        }
+
+        /**
+         * @param  {HTMLElement} container DOM element that will work as the container of the graph
+         * @private
+         */
+        function buildSVG(container) {
+            if (!svg) {
+                svg = d3Selection.select(container)
+                  .append('svg')
+                    .classed('britechart grouped-bar', true);
+
+                buildContainerGroups();
+            }
+
+            svg
+                .attr('width', width)
+                .attr('height', height);
+        }
+
+        /**
+         * Copies the entries, parsing the values into numbers and copying the name and group
+         * into the fields the tooltip reads, so the passed data is left untouched
+         * @param  {obj} data Raw data from JSON file
+         * @return {obj}      Parsed data with values
+         */
+        function cleanData(data) {
+            return data.map((d) => assign({}, d, {
+                    value: +d[valueLabel],
+                    group: d[groupLabel],
+                    topicName: getGroup(d), // for tooltip
+                    name: d[nameLabel]
+                }));
+        }
+
+        /**
+         * Draws the x and y axis on the svg object within their
+         * respective groups
+         * @private
+         */
+        function drawAxis(){
+            svg.select('.x-axis-group .axis.x')
+                .attr('transform', `translate( 0, ${chartHeight} )`)
+                .call(xAxis);
+
+            svg.select('.y-axis-group.axis')
+                .attr('transform', `translate( ${-xAxisPadding.left}, 0)`)
+                .call(yAxis);
+
+            if (!horizontal) {
+                svg.select('.y-axis-group.axis')
+                    .call(adjustYTickLabels);
+            }
+        }
+
+        /**
+         * Draws grid lines on the background of the chart
+         * Only the value axis gets grid lines, so 'horizontal' applies to vertical bars
+         * and 'vertical' to horizontal ones, while 'full' works for both
+         * @return void
+         */
+        function drawGridLines() {
+            let hasHorizontalGrid = !horizontal && (grid === 'horizontal' || grid === 'full'),
+                hasVerticalGrid = horizontal && (grid === 'vertical' || grid === 'full'),
+                horizontalGridLines,
+                verticalGridLines;
+
+            horizontalGridLines = svg.select('.grid-lines-group')
+                .selectAll('line.horizontal-grid-line')
+                .data(hasHorizontalGrid ? yScale.ticks(numOfVerticalTicks).slice(1) : []);
+
+            horizontalGridLines.enter()
+              .append('line')
+                .attr('class', 'horizontal-grid-line')
+              .merge(horizontalGridLines)
+                .attr('x1', (-xAxisPadding.left + 1 ))
+                .attr('x2', chartWidth)
+                .attr('y1', (d) => yScale(d))
+                .attr('y2', (d) => yScale(d));
+
+            horizontalGridLines.exit().remove();
+
+            verticalGridLines = svg.select('.grid-lines-group')
+                .selectAll('line.vertical-grid-line')
+                .data(hasVerticalGrid ? xScale.ticks(numOfHorizontalTicks).slice(1) : []);
+
+            verticalGridLines.enter()
+              .append('line')
+                .attr('class', 'vertical-grid-line')
+              .merge(verticalGridLines)
+                .attr('y1', 0)
+                .attr('y2', chartHeight)
+                .attr('x1', (d) => xScale(d))
+                .attr('x2', (d) => xScale(d));
+
+            verticalGridLines.exit().remove();
+
+            drawZeroLine();
+        }
+
+        /**
+         * Draws the different groups of bars into the chart-group element
+         * @private
+         */
+        function drawGroupedBar(){
+            let layers = svg.select('.chart-group')
+                    .selectAll('.layer')
+                    .data(transformedData, ({key}) => key),
+                bars;
+
+            layers.exit()
+                .transition()
+                .style('opacity', 0)
+                .remove();
+
+            layers = layers.enter()
+              .append('g')
+                .classed('layer', true)
+              .merge(layers)
+                .attr('transform', ({key}) => horizontal ?
+                    `translate(0,${yScale(key)})` :
+                    `translate(${xScale(key)},0)`
+                );
+
+            bars = layers.selectAll('.bar')
+                .data(({values}) => values, getGroup);
+
+            bars.exit().remove();
+
+            bars = bars.enter()
+              .append('rect')
+                .classed('bar', true)
+              .merge(bars)
+                .attr('fill', (d) => categoryColorMap[getGroup(d)]);
+
+            if (!horizontal) {
+                drawVerticalBars(bars);
+            } else {
+                drawHorizontalBars(bars);
+            }
+
+            bars.on('mouseover', function(d) {
+                    d3Selection.select(this).attr('fill', () => d3Color.color(categoryColorMap[getGroup(d)]).darker());
+                })
+                .on('mouseout', function(d) {
+                    d3Selection.select(this).attr('fill', () => categoryColorMap[getGroup(d)]);
+                });
+        }
+
+        /**
+         * Draws the bars along the x axis, growing left or right from the zero line
+         * @param  {D3Selection} bars Selection of bars
+         * @return {void}
+         */
+        function drawHorizontalBars(bars) {
+            let zeroX = xScale(0);
+
+            bars
+                .attr('y', (d) => groupScale(getGroup(d)))
+                .attr('height', groupScale.bandwidth());
+
+            if (isAnimated) {
+                bars
+                    .attr('x', zeroX)
+                    .attr('width', 0)
+                  .transition()
+                    .delay((_, i) => animationDelayStep * (i + 1))
+                    .duration(animationDuration)
+                    .ease(ease)
+                    .attr('x', (d) => Math.min(xScale(getValue(d)), zeroX))
+                    .attr('width', (d) => Math.abs(xScale(getValue(d)) - zeroX));
+            } else {
+                bars
+                    .attr('x', (d) => Math.min(xScale(getValue(d)), zeroX))
+                    .attr('width', (d) => Math.abs(xScale(getValue(d)) - zeroX));
+            }
+        }
+
+        /**
+         * Draws the bars along the y axis, growing up or down from the zero line
+         * @param  {D3Selection} bars Selection of bars
+         * @return {void}
+         */
+        function drawVerticalBars(bars) {
+            let zeroY = yScale(0);
+
+            bars
+                .attr('x', (d) => groupScale(getGroup(d)))
+                .attr('width', groupScale.bandwidth());
+
+            if (isAnimated) {
+                bars
+                    .attr('y', zeroY)
+                    .attr('height', 0)
+                  .transition()
+                    .delay((_, i) => animationDelayStep * (i + 1))
+                    .duration(animationDuration)
+                    .ease(ease)
+                    .attr('y', (d) => Math.min(yScale(getValue(d)), zeroY))
+                    .attr('height', (d) => Math.abs(yScale(getValue(d)) - zeroY));
+            } else {
+                bars
+                    .attr('y', (d) => Math.min(yScale(getValue(d)), zeroY))
+                    .attr('height', (d) => Math.abs(yScale(getValue(d)) - zeroY));
+            }
+        }
+
+        /**
+         * Draws a highlighted line on the zero baseline when the data has negative values
+         * @return void
+         */
+        function drawZeroLine() {
+            let valueScale = horizontal ? xScale : yScale,
+                zeroLine = svg.select('.grid-lines-group')
+                    .selectAll('line.zero-line')
+                    .data(valueScale.domain()[0] < 0 ? [0] : []);
+
+            zeroLine.enter()
+              .append('line')
+                .attr('class', 'zero-line')
+              .merge(zeroLine)
+                .attr('x1', (d) => horizontal ? xScale(d) : (-xAxisPadding.left + 1))
+                .attr('x2', (d) => horizontal ? xScale(d) : chartWidth)
+                .attr('y1', (d) => horizontal ? 0 : yScale(d))
+                .attr('y2', (d) => horizontal ? chartHeight : yScale(d));
+
+            zeroLine.exit().remove();
+        }
+
+        /**
+         * Finds out the data entry whose band is closer to the given position on pixels
+         * @param  {Number} position Position of the mouse along the name axis
+         * @return {obj}             Data entry closer to that position
+         * @private
+         */
+        function getNearestDataPoint(position) {
+            let nameScale = horizontal ? yScale : xScale,
+                getDistance = ({key}) => Math.abs(nameScale(key) + nameScale.bandwidth() / 2 - position),
+                nearestIndex = d3Array.scan(transformedData, (a, b) => getDistance(a) - getDistance(b));
+
+            return transformedData[nearestIndex];
+        }
+
+        /**
+         * Computes the minimum and maximum values of the data,
+         * always including zero so negative values grow from the baseline
+         * @return {Number[]} Min and max values
+         * @private
+         */
+        function getValueExtent() {
+            let [minValue, maxValue] = d3Array.extent(data, getValue);
+
+            return [Math.min(0, minValue), Math.max(0, maxValue)];
+        }
+
+        /**
+         * MouseMove handler, calculates the nearest dataPoint to the cursor
+         * and updates metadata related to it
+         * @private
+         */
+        function handleMouseMove(){
+            let [mouseX, mouseY] = d3Selection.mouse(this),
+                dataPoint = horizontal ?
+                    getNearestDataPoint(mouseY - margin.top) :
+                    getNearestDataPoint(mouseX - margin.left),
+                maxValue,
+                x,
+                y;
+
+            if (dataPoint) {
+                maxValue = Math.max(0, d3Array.max(dataPoint.values, getValue));
+
+                if (!horizontal) {
+                    x = xScale(dataPoint.key);
+                    y = yScale(maxValue);
+                } else {
+                    x = xScale(maxValue);
+                    y = yScale(dataPoint.key) + yScale.bandwidth() / 2;
+                }
+                moveTooltipOriginXY(x, y);
+
+                // Emit event with xPosition for tooltip or similar feature
+                dispatcher.call('customMouseMove', this, dataPoint, categoryColorMap, x, y);
+            }
+        }
+
+        /**
+         * MouseOut handler, hides the tooltip origin
+         * @private
+         */
+        function handleMouseOut(data){
+            svg.select('.metadata-group').attr('transform', 'translate(9999, 0)');
+            dispatcher.call('customMouseOut', this, data);
+        }
+
+        /**
+         * Mouseover handler
+         * @private
+         */
+        function handleMouseOver(data){
+            dispatcher.call('customMouseOver', this, data);
+        }
+
+        /**
+         * Helper method to move the origin of the tooltip to the given position
+         * @param  {Number} x Horizontal position
+         * @param  {Number} y Vertical position
+         * @return void
+         */
+        function moveTooltipOriginXY(x, y){
+            svg.select('.metadata-group').attr('transform', `translate(${x},${y})`);
+        }
+
+        /**
+         * Determines if we should add the tooltip related logic depending on the
+         * size of the chart and the tooltipThreshold variable value
+         * @return {boolean} Should we build the tooltip?
+         * @private
+         */
+        function shouldShowTooltip() {
+            return width > tooltipThreshold;
+        }
+
+        // API
+
+        /**
+         * Gets or Sets the aspect ratio of the chart
+         * @param  {Number} _x Desired aspect ratio for the graph
+         * @return { (Number | Module) } Current aspect ratio or Chart module to chain calls
+         * @public
+         */
+        exports.aspectRatio = function(_x) {
+            if (!arguments.length) {
+                return aspectRatio;
+            }
+            aspectRatio = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the colorSchema of the chart
+         * @param  {String[]} _x Desired colorSchema for the graph
+         * @return { colorSchema | module} Current colorSchema or Chart module to chain calls
+         * @public
+         */
+        exports.colorSchema = function(_x) {
+            if (!arguments.length) {
+                return colorSchema;
+            }
+            colorSchema = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the grid mode.
+         *
+         * @param  {String} _x Desired mode for the grid ('vertical'|'horizontal'|'full')
+         * @return { String | module} Current mode of the grid or Chart module to chain calls
+         * @public
+         */
+        exports.grid = function(_x) {
+            if (!arguments.length) {
+                return grid;
+            }
+            grid = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the groupLabel of the chart, 'stack' by default,
+         * so the data of the stacked bar chart renders as it is
+         * @param  {String} _x Desired groupLabel for the graph
+         * @return { groupLabel | module} Current groupLabel or Chart module to chain calls
+         * @public
+         */
+        exports.groupLabel = function(_x) {
+            if (!arguments.length) {
+                return groupLabel;
+            }
+            groupLabel = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the padding between the bars of the same group,
+         * as a ratio of their width
+         * @param  {Number} _x Desired padding, between 0 and 1
+         * @return { groupPadding | module} Current groupPadding or Chart module to chain calls
+         * @public
+         */
+        exports.groupPadding = function(_x) {
+            if (!arguments.length) {
+                return groupPadding;
+            }
+            groupPadding = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the height of the chart
+         * @param  {Number} _x Desired width for the graph
+         * @return { height | module} Current height or Chart module to chain calls
+         * @public
+         */
+        exports.height = function(_x) {
+            if (!arguments.length) {
+                return height;
+            }
+            if (aspectRatio) {
+                width = Math.ceil(_x / aspectRatio);
+            }
+            height = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the horizontal direction of the chart
+         * @param  {number} _x Desired horizontal direction for the graph
+         * @return { horizontal | module} Current horizontal direction or Chart module to chain calls
+         * @public
+         */
+        exports.horizontal = function(_x) {
+            if (!arguments.length) {
+                return horizontal;
+            }
+            horizontal = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the isAnimated property of the chart, making it to animate when render.
+         * By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired animation flag
+         * @return { isAnimated | module} Current isAnimated flag or Chart module
+         * @public
+         */
+        exports.isAnimated = function(_x) {
+            if (!arguments.length) {
+                return isAnimated;
+            }
+            isAnimated = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the margin of the chart
+         * @param  {Object} _x Margin object to get/set
+         * @return { margin | module} Current margin or Chart module to chain calls
+         * @public
+         */
+        exports.margin = function(_x) {
+            if (!arguments.length) {
+                return margin;
+            }
+            margin = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the nameLabel of the chart
+         * @param  {String} _x Desired nameLabel for the graph
+         * @return { nameLabel | module} Current nameLabel or Chart module to chain calls
+         * @public
+         */
+        exports.nameLabel = function(_x) {
+            if (!arguments.length) {
+                return nameLabel;
+            }
+            nameLabel = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the minimum width of the graph in order to show the tooltip
+         * NOTE: This could also depend on the aspect ratio
+         *
+         * @param  {Object} _x Margin object to get/set
+         * @return { tooltipThreshold | module} Current tooltipThreshold or Chart module to chain calls
+         * @public
+         */
+        exports.tooltipThreshold = function(_x) {
+            if (!arguments.length) {
+                return tooltipThreshold;
+            }
+            tooltipThreshold = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the valueLabel of the chart
+         * @param  {String} _x Desired valueLabel for the graph
+         * @return { valueLabel | module} Current valueLabel or Chart module to chain calls
+         * @public
+         */
+        exports.valueLabel = function(_x) {
+            if (!arguments.length) {
+                return valueLabel;
+            }
+            valueLabel = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the valueLabelFormat of the chart
+         * @param  {String} _x Desired valueLabelFormat for the graph
+         * @return { valueLabelFormat | module} Current valueLabelFormat or Chart module to chain calls
+         * @public
+         */
+        exports.valueLabelFormat = function(_x) {
+            if (!arguments.length) {
+                return valueLabelFormat;
+            }
+            valueLabelFormat = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the width of the chart
+         * @param  {Number} _x Desired width for the graph
+         * @return { width | module} Current width or Chart module to chain calls
+         * @public
+         */
+        exports.width = function(_x) {
+            if (!arguments.length) {
+                return width;
+            }
+            if (aspectRatio) {
+                height = Math.ceil(_x * aspectRatio);
+            }
+            width = _x;
+
+            return this;
+        };
+
+        /**
+         * Chart exported to png and a download action is fired
+         * @public
+         */
+        exports.exportChart = function(filename, title) {
+            exportChart.call(exports, svg, filename, title);
+        };
+
+        /**
+         * Exposes an 'on' method that acts as a bridge with the event dispatcher
+         * We are going to expose this events:
+         * customMouseOver, customMouseMove and customMouseOut
+         *
+         * @return {module} Grouped Bar Chart
+         * @public
+         */
+        exports.on = function() {
+            let value = dispatcher.on.apply(dispatcher, arguments);
+
+            return value === dispatcher ? exports : value;
+        };
+
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+
+            return this;
+        };
+
+        return exports;
+    };
+});
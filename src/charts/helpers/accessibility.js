@@ -0,0 +1,137 @@
+define(function(require) {
+    'use strict';
+
+    const d3Selection = require('d3-selection');
+    const d3TimeFormat = require('d3-time-format');
+
+    const {keyCodes} = require('./constants');
+
+    const dateFormat = d3TimeFormat.timeFormat('%B %-d, %Y');
+
+    /**
+     * Gives the svg of a chart the img role, labelled with a summary of its data,
+     * and renders the title and description of the chart as its title and desc elements
+     * @param  {D3Selection} svg           Svg element of the chart
+     * @param  {String} label              Summary of the data of the chart
+     * @param  {String} [title]            Title of the chart
+     * @param  {String} [description]      Description of the chart
+     * @return {void}
+     */
+    function describeChart(svg, label, title, description) {
+        svg
+            .attr('role', 'img')
+            .attr('aria-label', title ? `${title}. ${label}` : label);
+
+        // Both get inserted as the first child, so the title ends up before the desc
+        setSvgText(svg, 'desc', description);
+        setSvgText(svg, 'title', title);
+    }
+
+    /**
+     * Builds a visually hidden live region next to the svg of a chart,
+     * where the values of the focused data points get announced to screen readers
+     * @param  {D3Selection} svg Svg element of the chart
+     * @return {D3Selection}     Live region element
+     */
+    function buildLiveRegion(svg) {
+        return d3Selection.select(svg.node().parentNode)
+          .append('div')
+            .classed('britechart-live-region', true)
+            .attr('aria-live', 'polite')
+            .style('position', 'absolute')
+            .style('width', '1px')
+            .style('height', '1px')
+            .style('overflow', 'hidden')
+            .style('clip', 'rect(0 0 0 0)')
+            .style('white-space', 'nowrap');
+    }
+
+    /**
+     * Formats a date the way it gets read in the labels and announcements of the charts
+     * @param  {Date} date Date to format
+     * @return {String}    Formatted date
+     */
+    function formatDate(date) {
+        return dateFormat(date);
+    }
+
+    /**
+     * Gets the index of the data point to focus after pressing a key:
+     * the arrow keys move to the previous or next one, and home and end to the first or last one
+     * @param  {Number} keyCode Code of the pressed key
+     * @param  {Number} index   Index of the focused data point
+     * @param  {Number} length  Number of data points
+     * @return {Number|null}    Index of the data point to focus, or null when the key doesn't navigate
+     */
+    function getNextFocusIndex(keyCode, index, length) {
+        switch (keyCode) {
+            case keyCodes.LEFT:
+            case keyCodes.UP:
+                return Math.max(index - 1, 0);
+            case keyCodes.RIGHT:
+            case keyCodes.DOWN:
+                return Math.min(index + 1, length - 1);
+            case keyCodes.HOME:
+                return 0;
+            case keyCodes.END:
+                return length - 1;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Makes the elements of a chart focusable with a roving tabindex, so the chart is a single
+     * tab stop and the arrow keys move the focus across its elements, in the order they are given
+     * @param  {D3Selection} elements Elements of the data points of the chart
+     * @return {void}
+     */
+    function addKeyboardNavigation(elements) {
+        let nodes = elements.nodes(),
+            focusableIndex = Math.max(0, nodes.findIndex((node) => node.getAttribute('tabindex') === '0'));
+
+        elements
+            .attr('tabindex', (d, i) => i === focusableIndex ? 0 : -1)
+            .on('keydown.navigation', function() {
+                let index = getNextFocusIndex(d3Selection.event.keyCode, nodes.indexOf(this), nodes.length);
+
+                if (index !== null) {
+                    d3Selection.event.preventDefault();
+                    elements.attr('tabindex', (d, i) => i === index ? 0 : -1);
+                    nodes[index].focus();
+                }
+            });
+    }
+
+    /**
+     * Adds, updates or removes a title or desc element of the svg
+     * @param  {D3Selection} svg     Svg element of the chart
+     * @param  {String} tagName      Either title or desc
+     * @param  {String} [text]       Text of the element, it gets removed when missing
+     * @return {void}
+     * @private
+     */
+    function setSvgText(svg, tagName, text) {
+        let element = svg.select(`${tagName}.chart-${tagName}`);
+
+        if (!text) {
+            element.remove();
+
+            return;
+        }
+        if (element.empty()) {
+            element = svg.insert(tagName, ':first-child')
+                .classed(`chart-${tagName}`, true);
+        }
+        element.text(text);
+    }
+
+    return {
+        addKeyboardNavigation,
+        buildLiveRegion,
+        describeChart,
+        formatDate,
+        getNextFocusIndex
+    };
+
+});
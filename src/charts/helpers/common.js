@@ -2,6 +2,9 @@ define(function(require) {
     'use strict';
 
     const d3Format = require('d3-format');
+    const d3Selection = require('d3-selection');
+
+    let idCounter = 0;
 
     /**
      * Calculates percentage of value from total
@@ -14,6 +17,36 @@ define(function(require) {
         return d3Format.format(decimals)(value / total * 100);
     }
 
+    /**
+     * Gets the position of the pointer relative to a container, either from the current
+     * mouse event or from the touch that changed on the current touch event
+     * @param  {HTMLElement} container Element to get the position relative to
+     * @return {Number[]}              X and Y position of the pointer
+     */
+    function getPointerPosition(container) {
+        let touches = d3Selection.event && d3Selection.event.changedTouches;
+
+        if (touches && touches.length) {
+            return d3Selection.touches(container, touches)[0];
+        }
+
+        return d3Selection.mouse(container);
+    }
+
+    /**
+     * Gets the element under the touch that changed on the current touch event, as touch events
+     * keep targeting the element where the touch started even when the finger moves away from it
+     * @param  {HTMLElement} container  Element containing the chart
+     * @param  {String} selector        Selector of the elements to look for
+     * @return {HTMLElement|null}       Element under the touch, if it is within the container and matches the selector
+     */
+    function getTouchedElement(container, selector) {
+        let touch = d3Selection.event.changedTouches[0],
+            element = document.elementFromPoint(touch.clientX, touch.clientY);
+
+        return element && container.contains(element) && element.matches(selector) ? element : null;
+    }
+
     /**
      * Checks if a number is an integer of has decimal values
      * @param  {Number}  value Value to check
@@ -23,9 +56,54 @@ define(function(require) {
         return value % 1 === 0;
     }
 
+    /**
+     * Checks if the device supports touch, so the charts keep their interactions
+     * even when they are narrower than their tooltip threshold
+     * @return {Boolean} If the device supports touch
+     */
+    function isTouchDevice() {
+        return typeof window !== 'undefined' &&
+            ('ontouchstart' in window || window.navigator.maxTouchPoints > 0);
+    }
+
+    /**
+     * Checks if the event being handled comes from a touch
+     * @return {Boolean} If the current event is a touch event
+     */
+    function isTouchEvent() {
+        return !!d3Selection.event && !!d3Selection.event.changedTouches;
+    }
+
+    /**
+     * Checks if a value is missing from the data (null, undefined, empty or not a number)
+     * @param  {*}  value Value to check
+     * @return {Boolean}  If the value is missing
+     */
+    function isMissingValue(value) {
+        return value === null || value === undefined || value === '' || isNaN(value);
+    }
+
+    /**
+     * Generates an id that is unique within the page, so elements referenced
+     * by id (like clip paths) don't collide between charts
+     * @param  {String} prefix Prefix of the id
+     * @return {String}        Unique id
+     */
+    function uniqueId(prefix) {
+        idCounter += 1;
+
+        return `${prefix}${idCounter}`;
+    }
+
     return {
         calculatePercent,
-        isInteger
+        getPointerPosition,
+        getTouchedElement,
+        isInteger,
+        isMissingValue,
+        isTouchDevice,
+        isTouchEvent,
+        uniqueId
     };
 
 });
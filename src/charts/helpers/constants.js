@@ -6,14 +6,67 @@ define(function(require) {
         MONTH_YEAR: 'month-year'
     };
 
+    const brushPresets = {
+        LAST_7_DAYS: 'last-7-days',
+        LAST_30_DAYS: 'last-30-days',
+        YEAR_TO_DATE: 'year-to-date'
+    };
+
+    const keyCodes = {
+        END: 35,
+        HOME: 36,
+        LEFT: 37,
+        UP: 38,
+        RIGHT: 39,
+        DOWN: 40
+    };
+
+    const missingValueModes = {
+        GAP: 'gap',
+        INTERPOLATE: 'interpolate',
+        ZERO: 'zero'
+    };
+
+    const stackOffsets = {
+        NONE: 'none',
+        EXPAND: 'expand',
+        SILHOUETTE: 'silhouette',
+        WIGGLE: 'wiggle'
+    };
+
+    const stackOrders = {
+        NONE: 'none',
+        ASCENDING: 'ascending',
+        DESCENDING: 'descending',
+        INSIDE_OUT: 'insideOut'
+    };
+
+    const snapIntervals = {
+        NONE: 'none',
+        HOUR: 'hour',
+        DAY: 'day',
+        WEEK: 'week',
+        MONTH: 'month',
+        QUARTER: 'quarter',
+        YEAR: 'year'
+    };
+
     const timeBenchmarks= {
+        FIVE_YEARS: 157680000000,
         ONE_AND_A_HALF_YEARS: 47304000000,
         ONE_YEAR: 31536000365,
+        ONE_WEEK: 604800000,
         ONE_DAY: 86400001
     };
 
     return {
         axisTimeCombinations,
+        brushPresets,
+        keyCodes,
+        missingValueModes,
+        snapIntervals,
+        stackOffsets,
+        stackOrders,
         timeBenchmarks,
         lineGradientId: 'lineGradientId'
     };
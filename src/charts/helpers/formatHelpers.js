@@ -17,13 +17,15 @@ define(function(require) {
                 medium: d3Format.format('.1f'),
                 large: d3Format.format('.2s')
             };
+    const percentageValueFormat = d3Format.format('.0%');
 
     function getValueSize(value){
-        let size = 'large';
+        let size = 'large',
+            absoluteValue = Math.abs(value);
 
-        if (value < valueRangeLimits.small) {
+        if (absoluteValue < valueRangeLimits.small) {
             size = 'small';
-        } else if (value < valueRangeLimits.medium) {
+        } else if (absoluteValue < valueRangeLimits.medium) {
             size = 'medium';
         }
         return size;
@@ -51,9 +53,29 @@ define(function(require) {
         return format(value);
     }
 
+    /**
+     * Formats a value with the integer or decimal format that fits it
+     * @param  {Number} value Value to format
+     * @return {String}       Formatted value to show
+     */
+    function formatValue(value) {
+        return value % 1 === 0 ? formatIntegerValue(value) : formatDecimalValue(value);
+    }
+
+    /**
+     * Formats a ratio between 0 and 1 as a percentage, as used by the axes of normalized charts
+     * @param  {Number} value Ratio to format
+     * @return {String}       Formatted percentage to show
+     */
+    function formatPercentageValue(value) {
+        return percentageValueFormat(value);
+    }
+
     return {
         formatDecimalValue,
         formatIntegerValue,
+        formatPercentageValue,
+        formatValue
     }
 
 });
\ No newline at end of file
@@ -1,6 +1,8 @@
 define(function(require){
     'use strict';
 
+    const d3Array = require('d3-array');
+    const d3Dispatch = require('d3-dispatch');
     const d3Format = require('d3-format');
     const d3Scale = require('d3-scale');
     const d3Selection = require('d3-selection');
@@ -57,6 +59,9 @@ define(function(require){
      *     .datum(dataset)
      *     .call(legendBox);
      *
+     * // Clicking the entries hides or shows the slices of the donut
+     * legendBox.bindChart(donutChart, d3Selection.select('.css-selector'));
+     *
      * @module Legend
      * @tutorial legend
      * @exports charts/legend
@@ -79,14 +84,26 @@ define(function(require){
             markerSize = 16,
             markerYOffset = - (textSize - 2) / 2,
             marginRatio = 1.5,
+            lineHeightRatio = 1.25,
 
             valueReservedSpace = 40,
             numberLetterSpacing = 0.8,
             numberFormat = d3Format.format('s'),
 
             isFadedClassName = 'is-faded',
+            isHiddenClassName = 'is-hidden',
+            isDisabledClassName = 'is-disabled',
             horizontal = false,
 
+            maxRows = null,
+            pages,
+            currentPage = 0,
+            pagerWidth = 60,
+
+            hiddenIds = [],
+            boundChart,
+            boundContainer,
+
             // colors
             colorScale,
             colorSchema = colorHelper.colorSchemas.britechartsColorSchema,
@@ -96,10 +113,12 @@ define(function(require){
             getFormattedQuantity = ({quantity}) => numberFormat(quantity),
             getCircleFill = ({name}) => colorScale(name),
 
-            entries,
             chartWidth, chartHeight,
             data,
-            svg;
+            svg,
+
+            // events
+            dispatcher = d3Dispatch.dispatch('customLegendToggle');
 
 
         /**
@@ -116,28 +135,19 @@ define(function(require){
 
                 buildColorScale();
                 buildSVG(this);
-                if (horizontal) {
-                    drawHorizontalLegend();
-                } else {
-                    drawVerticalLegend();
-                }
+                buildPages();
+                drawLegend();
             });
         }
 
         /**
-         * Depending on the size of the horizontal legend, we are going to either
-         * center the legend or add a new line with the last entry of the legend
-         * @return {void}
+         * Adds the click events that toggle the entries
+         * @private
          */
-        function adjustLines() {
-            let lineWidth = svg.select('.legend-line').node().getBoundingClientRect().width;
-            let lineWidthSpace = chartWidth - lineWidth;
-
-            if (lineWidthSpace > 0) {
-                centerLegendOnSVG();
-            } else {
-                splitInLines();
-            }
+        function addEntryEvents() {
+            svg.select('.legend-group')
+                .selectAll('g.legend-entry')
+                .on('click', handleEntryClick);
         }
 
         /**
@@ -166,6 +176,16 @@ define(function(require){
             }
         }
 
+        /**
+         * Splits the entries in the pages of the legend, so each page fits within
+         * the height of the legend and the maximum number of rows
+         * @private
+         */
+        function buildPages() {
+            pages = horizontal ? getHorizontalPages() : getVerticalPages();
+            currentPage = Math.min(currentPage, pages.length - 1);
+        }
+
         /**
          * Builds the SVG element that will contain the chart
          * @param  {HTMLElement} container DOM element that will work as the container of the graph
@@ -209,77 +229,85 @@ define(function(require){
         }
 
         /**
-         * Draws the entries of the legend within a single line
+         * Draws the entries of the legend on the current page, along with the pager
+         * when they don't fit in a single one
          * @private
          */
-        function drawHorizontalLegend() {
-            let xOffset = markerSize;
-
-            // We want a single line
+        function drawLegend() {
             svg.select('.legend-group')
+                .selectAll('*')
+                .remove();
+
+            if (horizontal) {
+                drawHorizontalLegend();
+            } else {
+                drawVerticalLegend();
+            }
+            addEntryEvents();
+            markHiddenEntries();
+        }
+
+        /**
+         * Draws the entries of the legend in lines that flow along the width of the legend
+         * @private
+         */
+        function drawHorizontalLegend() {
+            let page = pages[currentPage],
+                isSingleLine = pages.length === 1 && page.length === 1,
+                availableWidth = getHorizontalAvailableWidth(),
+                lines;
+
+            // One line group per row of entries
+            lines = svg.select('.legend-group')
+              .selectAll('g.legend-line')
+              .data(page)
+              .enter()
               .append('g')
                 .classed('legend-line', true);
 
-            // And one entry per data item
-            entries = svg.select('.legend-line')
-              .selectAll('g.legend-entry')
-              .data(data);
+            lines.each(function(row, lineIndex) {
+                let xOffset = markerSize,
+                    verticalOffset = isSingleLine ? chartHeight / 2 : getHorizontalLineOffset(lineIndex);
 
-            // Enter
-            entries.enter()
-              .append('g')
-                .classed('legend-entry', true)
-                .attr('data-item', getId)
-                .attr('transform', function(d, i) {
-                    let horizontalOffset = xOffset,
-                        lineHeight = chartHeight / 2,
-                        verticalOffset = lineHeight,
-                        labelWidth = textHelper.getTextWidth(d.name, textSize);
-
-                    xOffset += markerSize + 2 * getLineElementMargin() + labelWidth;
-
-                    return `translate(${horizontalOffset},${verticalOffset})`;
-                })
-                .merge(entries)
-              .append('circle')
-                .classed('legend-circle', true)
-                .attr('cx', markerSize/2)
-                .attr('cy', markerYOffset)
-                .attr('r', markerSize / 2)
-                .style('fill', getCircleFill)
-                .style('stroke-width', 1);
+                d3Selection.select(this)
+                  .selectAll('g.legend-entry')
+                  .data(row)
+                  .enter()
+                  .append('g')
+                    .classed('legend-entry', true)
+                    .attr('data-item', getId)
+                    .attr('transform', function(d) {
+                        let horizontalOffset = xOffset;
 
-            svg.select('.legend-group')
-                .selectAll('g.legend-entry')
-              .append('text')
-                .classed('legend-entry-name', true)
-                .text(getName)
-                .attr('x', getLineElementMargin())
-                .style('font-size', `${textSize}px`)
-                .style('letter-spacing', `${textLetterSpacing}px`);
+                        xOffset += markerSize + 2 * getLineElementMargin() + getLabelWidth(d, availableWidth);
 
-            // Exit
-            svg.select('.legend-group')
-                .selectAll('g.legend-entry')
-                .exit()
-                .transition()
-                .style('opacity', 0)
-                .remove();
+                        return `translate(${horizontalOffset},${verticalOffset})`;
+                    });
+            });
+
+            drawEntryContents(getMaxLabelWidth(availableWidth));
 
-            adjustLines();
+            if (isSingleLine) {
+                centerLegendOnSVG();
+            }
+            if (pages.length > 1) {
+                drawPager(chartWidth - pagerWidth, getHorizontalLineOffset(page.length - 1));
+            }
         }
 
         /**
-         * Draws the entries of the legend
+         * Draws the entries of the legend one below the other, with their values
          * @private
          */
         function drawVerticalLegend() {
-            entries = svg.select('.legend-group')
-                .selectAll('g.legend-line')
-                .data(data);
+            let page = pages[currentPage],
+                numberOfRows = pages.length > 1 ? pages[0].length + 1 : page.length,
+                lineHeight = chartHeight / (numberOfRows + 1);
 
-            // Enter
-            entries.enter()
+            svg.select('.legend-group')
+                .selectAll('g.legend-line')
+                .data(page)
+                .enter()
               .append('g')
                 .classed('legend-line', true)
                   .append('g')
@@ -287,32 +315,14 @@ define(function(require){
                     .attr('data-item', getId)
                     .attr('transform', function(d, i) {
                         let horizontalOffset = markerSize + getLineElementMargin(),
-                            lineHeight = chartHeight/ (data.length + 1),
                             verticalOffset = (i + 1) * lineHeight;
 
                         return `translate(${horizontalOffset},${verticalOffset})`;
-                    })
-                    .merge(entries)
-                  .append('circle')
-                    .classed('legend-circle', true)
-                    .attr('cx', markerSize/2)
-                    .attr('cy', markerYOffset)
-                    .attr('r', markerSize/2 )
-                    .style('fill', getCircleFill)
-                    .style('stroke-width', 1);
+                    });
 
-            svg.select('.legend-group')
-                .selectAll('g.legend-line')
-                .selectAll('g.legend-entry')
-              .append('text')
-                .classed('legend-entry-name', true)
-                .text(getName)
-                .attr('x', getLineElementMargin())
-                .style('font-size', `${textSize}px`)
-                .style('letter-spacing', `${textLetterSpacing}px`);
+            drawEntryContents(chartWidth - valueReservedSpace - markerSize - 3 * getLineElementMargin());
 
             svg.select('.legend-group')
-                .selectAll('g.legend-line')
                 .selectAll('g.legend-entry')
               .append('text')
                 .classed('legend-entry-value', true)
@@ -323,13 +333,76 @@ define(function(require){
                 .style('text-anchor', 'end')
                 .style('startOffset', '100%');
 
-            // Exit
-            svg.select('.legend-group')
-                .selectAll('g.legend-line')
-                .exit()
-                .transition()
-                .style('opacity', 0)
-                .remove();
+            if (pages.length > 1) {
+                drawPager(markerSize + getLineElementMargin(), numberOfRows * lineHeight);
+            }
+        }
+
+        /**
+         * Draws the marker and the name of the entries, truncating the names that don't fit
+         * and adding a title with the full name to show it on hover
+         * @param  {Number} maxLabelWidth Maximum width of the names
+         * @private
+         */
+        function drawEntryContents(maxLabelWidth) {
+            let legendEntries = svg.select('.legend-group').selectAll('g.legend-entry');
+
+            legendEntries
+              .append('title')
+                .text(getName);
+
+            legendEntries
+              .append('circle')
+                .classed('legend-circle', true)
+                .attr('cx', markerSize/2)
+                .attr('cy', markerYOffset)
+                .attr('r', markerSize/2)
+                .style('fill', getCircleFill)
+                .style('stroke-width', 1);
+
+            legendEntries
+              .append('text')
+                .classed('legend-entry-name', true)
+                .text(getName)
+                .attr('x', getLineElementMargin())
+                .attr('dy', 0)
+                .style('font-size', `${textSize}px`)
+                .style('letter-spacing', `${textLetterSpacing}px`)
+                .call(textHelper.wrapTextWithEllipses, maxLabelWidth, getLineElementMargin(), 1);
+        }
+
+        /**
+         * Draws the arrows to move between the pages of the legend and the current page number
+         * @param  {Number} x Horizontal position of the pager
+         * @param  {Number} y Vertical position of the pager
+         * @private
+         */
+        function drawPager(x, y) {
+            let pager = svg.select('.legend-group')
+              .append('g')
+                .classed('legend-pager', true)
+                .attr('transform', `translate(${x},${y})`)
+                .style('font-size', `${textSize}px`);
+
+            pager.append('text')
+                .classed('legend-pager-arrow legend-pager-previous', true)
+                .classed(isDisabledClassName, currentPage === 0)
+                .text('\u25C0')
+                .on('click', () => goToPage(currentPage - 1));
+
+            pager.append('text')
+                .classed('legend-pager-label', true)
+                .attr('x', pagerWidth / 2)
+                .style('text-anchor', 'middle')
+                .text(`${currentPage + 1}/${pages.length}`);
+
+            pager.append('text')
+                .classed('legend-pager-arrow legend-pager-next', true)
+                .classed(isDisabledClassName, currentPage === pages.length - 1)
+                .attr('x', pagerWidth)
+                .style('text-anchor', 'end')
+                .text('\u25B6')
+                .on('click', () => goToPage(currentPage + 1));
         }
 
         /**
@@ -347,6 +420,233 @@ define(function(require){
                 .classed(isFadedClassName, false);
         }
 
+        /**
+         * Gets the width the lines of the horizontal legend can take,
+         * leaving room for the pager when there are several pages
+         * @return {Number} Available width for the lines
+         * @private
+         */
+        function getHorizontalAvailableWidth() {
+            return pages && pages.length > 1 ? chartWidth - pagerWidth : chartWidth;
+        }
+
+        /**
+         * Gets the vertical position of a line of the horizontal legend
+         * when there is more than one line
+         * @param  {Number} lineIndex Index of the line within the page
+         * @return {Number}           Vertical offset of the line
+         * @private
+         */
+        function getHorizontalLineOffset(lineIndex) {
+            return markerSize + lineIndex * getMinimumLineHeight();
+        }
+
+        /**
+         * Splits the entries in lines that fit within the given width,
+         * and those lines in pages that fit within the height of the legend
+         * @return {Array[]} Pages of lines of entries
+         * @private
+         */
+        function getHorizontalPages() {
+            let linesPerPage = Math.max(1, Math.floor((chartHeight - markerSize) / getMinimumLineHeight()) + 1),
+                lines = getHorizontalLines(chartWidth);
+
+            if (maxRows) {
+                linesPerPage = Math.min(linesPerPage, maxRows);
+            }
+            if (lines.length <= linesPerPage) {
+                return [lines];
+            }
+
+            return splitInPages(getHorizontalLines(chartWidth - pagerWidth), linesPerPage);
+        }
+
+        /**
+         * Splits the entries in lines that fit within the given width
+         * @param  {Number} availableWidth Width of the lines
+         * @return {Array[]}               Lines of entries
+         * @private
+         */
+        function getHorizontalLines(availableWidth) {
+            let xOffset = markerSize;
+
+            return data.reduce((lines, d) => {
+                let labelWidth = getLabelWidth(d, availableWidth),
+                    line = lines[lines.length - 1];
+
+                if (line.length && xOffset + getLineElementMargin() + labelWidth > availableWidth) {
+                    line = [];
+                    lines.push(line);
+                    xOffset = markerSize;
+                }
+                line.push(d);
+                xOffset += markerSize + 2 * getLineElementMargin() + labelWidth;
+
+                return lines;
+            }, [[]]);
+        }
+
+        /**
+         * Gets the width the name of an entry takes on the horizontal legend,
+         * limited to the width of a line
+         * @param  {Object} d               Data of the entry
+         * @param  {Number} availableWidth  Width of the lines
+         * @return {Number}                 Width of the name
+         * @private
+         */
+        function getLabelWidth(d, availableWidth) {
+            return Math.min(textHelper.getTextWidth(getName(d), textSize), getMaxLabelWidth(availableWidth));
+        }
+
+        /**
+         * Gets the maximum width of a name on the horizontal legend, so an entry fits in a line
+         * @param  {Number} availableWidth  Width of the lines
+         * @return {Number}                 Maximum width of the names
+         * @private
+         */
+        function getMaxLabelWidth(availableWidth) {
+            return availableWidth - markerSize - getLineElementMargin();
+        }
+
+        /**
+         * Gets the minimum height of a line of entries, so their markers don't overlap
+         * @return {Number} Minimum height of a line
+         * @private
+         */
+        function getMinimumLineHeight() {
+            return markerSize * lineHeightRatio;
+        }
+
+        /**
+         * Splits the entries in pages that fit within the height of the legend,
+         * keeping a row for the pager when there are several pages
+         * @return {Array[]} Pages of entries
+         * @private
+         */
+        function getVerticalPages() {
+            let rowsPerPage = Math.max(1, Math.floor(chartHeight / getMinimumLineHeight()) - 1);
+
+            if (data.length <= rowsPerPage && (!maxRows || data.length <= maxRows)) {
+                return [data];
+            }
+
+            return splitInPages(data, Math.max(1, maxRows && maxRows < rowsPerPage ? maxRows : rowsPerPage - 1));
+        }
+
+        /**
+         * Gets the ids of the entries that are not hidden
+         * @return {Array} Ids of the visible entries
+         * @private
+         */
+        function getVisibleIds() {
+            return data.map(getId).filter((id) => hiddenIds.indexOf(id) === -1);
+        }
+
+        /**
+         * Moves the legend to the given page, when it exists
+         * @param  {Number} page Index of the page to show
+         * @private
+         */
+        function goToPage(page) {
+            if (page < 0 || page >= pages.length) {
+                return;
+            }
+            currentPage = page;
+
+            drawLegend();
+        }
+
+        /**
+         * Click handler of the entries, that toggles the clicked one or,
+         * when the shift key is pressed, isolates it
+         * @param  {Object} d Data of the clicked entry
+         * @private
+         */
+        function handleEntryClick(d) {
+            let entryId = getId(d);
+
+            if (d3Selection.event.shiftKey) {
+                isolateEntry(entryId);
+            } else if (!toggleEntry(entryId)) {
+                return;
+            }
+
+            markHiddenEntries();
+            updateBoundChart();
+            dispatcher.call('customLegendToggle', this, getVisibleIds());
+        }
+
+        /**
+         * Hides all the entries but the given one or, when it was already
+         * the only one visible, shows all of them again
+         * @param  {Number} entryId Id of the entry to isolate
+         * @private
+         */
+        function isolateEntry(entryId) {
+            let visibleIds = getVisibleIds(),
+                isIsolated = visibleIds.length === 1 && visibleIds[0] === entryId;
+
+            hiddenIds = isIsolated ? [] : data.map(getId).filter((id) => id !== entryId);
+        }
+
+        /**
+         * Applies the hidden class to the hidden entries
+         * @private
+         */
+        function markHiddenEntries() {
+            svg.select('.legend-group')
+                .selectAll('g.legend-entry')
+                .classed(isHiddenClassName, (d) => hiddenIds.indexOf(getId(d)) > -1);
+        }
+
+        /**
+         * Hides or shows the given entry. The last visible entry can't be hidden,
+         * as the bound chart would have nothing to draw
+         * @param  {Number} entryId Id of the entry to toggle
+         * @return {Boolean}        Whether the hidden entries changed
+         * @private
+         */
+        function toggleEntry(entryId) {
+            let visibleIds = getVisibleIds();
+
+            if (hiddenIds.indexOf(entryId) > -1) {
+                hiddenIds = hiddenIds.filter((id) => id !== entryId);
+
+                return true;
+            }
+
+            if (visibleIds.length > 1) {
+                hiddenIds = hiddenIds.concat(entryId);
+
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+         * Splits a list of items in pages of the given size
+         * @param  {Array} items        Entries or lines of entries
+         * @param  {Number} pageSize    Number of items per page
+         * @return {Array[]}            Pages of items
+         * @private
+         */
+        function splitInPages(items, pageSize) {
+            return d3Array.range(0, items.length, pageSize)
+                .map((start) => items.slice(start, start + pageSize));
+        }
+
+        /**
+         * Re-renders the bound chart hiding the series of the hidden entries
+         * @private
+         */
+        function updateBoundChart() {
+            if (boundChart) {
+                boundChart.hiddenSeries(hiddenIds);
+                boundContainer.call(boundChart);
+            }
+        }
+
         /**
          * Calculates the margin between elements of the legend
          * @return {Number} Margin to apply between elements
@@ -356,24 +656,22 @@ define(function(require){
         }
 
         /**
-         * Simple method to move the last item of an overflowing legend into the next line
-         * @return {void}
-         * @private
+         * Binds a chart to the legend, so clicking an entry hides or shows its series on the chart
+         * and shift-clicking it hides all the others. The chart gets re-rendered on the given container,
+         * that needs to hold its data. The ids of the entries have to match the series of the chart:
+         * topics on line charts, names on stacked area charts, stacks on stacked bar charts and ids on donut charts
+         *
+         * @param  {Module} chart               Line, stacked area, stacked bar or donut chart to bind
+         * @param  {D3Selection} container      Selection the chart is rendered on
+         * @return {module}                     Legend module to chain calls
+         * @public
          */
-        function splitInLines() {
-            let legendEntries = svg.selectAll('.legend-entry');
-            let numberOfEntries = legendEntries.size();
-            let lineHeight = (chartHeight / 2) * 1.7;
+        exports.bindChart = function(chart, container) {
+            boundChart = chart;
+            boundContainer = container;
 
-            let newLine = svg.select('.legend-group')
-              .append('g')
-                .classed('legend-line', true)
-                .attr('transform', `translate(0, ${lineHeight})`);
-
-            let lastEntry = legendEntries.filter(`:nth-child(${numberOfEntries})`);
-            lastEntry.attr('transform', `translate(${markerSize},0)`);
-            newLine.append(() => lastEntry.node());
-        }
+            return this;
+        };
 
         /**
          * Clears the highlighted line entry
@@ -469,6 +767,38 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Exposes an 'on' method that acts as a bridge with the event dispatcher
+         * We are going to expose this events:
+         * customLegendToggle, triggered with the ids of the visible entries when an entry gets toggled
+         *
+         * @return {module} Legend
+         * @public
+         */
+        exports.on = function() {
+            let value = dispatcher.on.apply(dispatcher, arguments);
+
+            return value === dispatcher ? exports : value;
+        };
+
+        /**
+         * Gets or Sets the maximum number of rows of the legend. When the entries need more rows,
+         * or don't fit within its height, the legend gets split in pages with arrows to move between them.
+         * By default the number of rows is only limited by the height
+         *
+         * @param  {Number} _x Desired maximum number of rows
+         * @return {maxRows | module} Current maximum number of rows or Legend module to chain calls
+         * @public
+         */
+        exports.maxRows = function(_x) {
+            if (!arguments.length) {
+                return maxRows;
+            }
+            maxRows = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the width of the legend chart
          * @param  {number} _x Desired width for the graph
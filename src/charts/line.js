@@ -11,15 +11,30 @@ define(function(require){
     const d3Selection = require('d3-selection');
     const d3Transition = require('d3-transition');
     const d3TimeFormat = require('d3-time-format');
+    const d3Zoom = require('d3-zoom');
+    const assign = require('lodash.assign');
 
     const {exportChart} = require('./helpers/exportChart');
     const colorHelper = require('./helpers/colors');
     const timeAxisHelper = require('./helpers/timeAxis');
-    const {isInteger} = require('./helpers/common');
+    const {
+        getPointerPosition,
+        isInteger,
+        isMissingValue,
+        isTouchDevice,
+        uniqueId
+    } = require('./helpers/common');
+    const {
+        buildLiveRegion,
+        describeChart,
+        formatDate,
+        getNextFocusIndex
+    } = require('./helpers/accessibility');
 
     const {
         axisTimeCombinations,
-        lineGradientId
+        lineGradientId,
+        missingValueModes
     } = require('./helpers/constants');
 
     const {
@@ -98,7 +113,7 @@ define(function(require){
      *
      * @module Line
      * @tutorial line
-     * @requires d3-array, d3-axis, d3-brush, d3-ease, d3-format, d3-scale, d3-shape, d3-selection, d3-time, d3-time-format
+     * @requires d3-array, d3-axis, d3-brush, d3-ease, d3-format, d3-scale, d3-shape, d3-selection, d3-time, d3-time-format, d3-zoom, lodash assign
      *
      * @example
      * let lineChart = line();
@@ -127,6 +142,7 @@ define(function(require){
             svg,
             chartWidth, chartHeight,
             xScale, yScale, colorScale,
+            originalXScale,
             xAxis, xMonthAxis, yAxis,
             xAxisPadding = {
                 top: 0,
@@ -147,10 +163,22 @@ define(function(require){
             isAnimated = false,
             ease = d3Ease.easeQuadInOut,
             animationDuration = 1500,
+            updateTransitionDuration = 750,
+            isUpdating = false,
             maskingRectangle,
 
+            isZoomable = false,
+            isZooming = false,
+            maxZoomScale = 20,
+            zoom,
+            zoomClipPathId = uniqueId('line-clip-path-'),
+
+            lineGradient,
+
             dataByTopic,
             dataByDate,
+            topics,
+            hiddenSeries = [],
 
             dateLabel = 'date',
             valueLabel = 'value',
@@ -159,16 +187,29 @@ define(function(require){
 
             verticalTicks = 5,
 
+            missingValueMode = missingValueModes.ZERO,
+
             overlay,
             overlayColor = 'rgba(0, 0, 0, 0)',
             verticalMarkerContainer,
             verticalMarkerLine,
 
+            isPinnable = false,
+            pinnedDataPoints = [],
+            pinnedMarkerContainer,
+            maxPinnedDataPoints = 2,
+
+            title = null,
+            desc = null,
+            liveRegion,
+            focusedDataPointIndex = 0,
+
             verticalGridLines,
             horizontalGridLines,
             grid = null,
 
             baseLine,
+            zeroLine,
 
             // extractors
             getDate = ({date}) => date,
@@ -177,7 +218,9 @@ define(function(require){
             getLineColor = ({topic}) => colorScale(topic),
 
             // events
-            dispatcher = d3Dispatch.dispatch('customMouseOver', 'customMouseOut', 'customMouseMove');
+            dispatcher = d3Dispatch.dispatch(
+                'customMouseOver', 'customMouseOut', 'customMouseMove', 'customZoom', 'customPin', 'customUnpin'
+            );
 
         /**
          * This function creates the graph using the selection and data provided
@@ -192,35 +235,77 @@ define(function(require){
                     dataByTopic,
                     dataByDate
                 } = cleanData(_data));
+                topics = dataByTopic.map(getTopic);
+                ({
+                    dataByTopic,
+                    dataByDate
+                } = getVisibleData(dataByTopic, dataByDate));
 
                 chartWidth = width - margin.left - margin.right;
                 chartHeight = height - margin.top - margin.bottom;
+                isUpdating = !!svg;
+
+                // The pinned data points are not valid once the data changes
+                exports.unpin();
 
                 buildScales();
                 buildSVG(this);
+                if (isZoomable) {
+                    buildZoom();
+                }
                 buildAxis();
                 drawAxis();
                 buildGradient();
                 drawLines();
                 createMaskingClip();
+                addAccessibility();
 
                 if (shouldShowTooltip()) {
                     drawVerticalMarker();
                     drawHoverOverlay();
                     addMouseEvents();
+                    addKeyboardEvents();
                 }
             });
         }
 
+        /**
+         * Labels the chart for screen readers, with a summary of its data and its title and description
+         * @private
+         */
+        function addAccessibility() {
+            if (!liveRegion) {
+                liveRegion = buildLiveRegion(svg);
+            }
+            describeChart(svg, getAriaLabel(), title, desc);
+        }
+
+        /**
+         * Makes the chart focusable, so the arrow keys move the vertical marker across the dates
+         * announcing their values, the same way the mouse inspects them
+         * Adding: focus, blur and keydown
+         * @private
+         */
+        function addKeyboardEvents() {
+            svg
+                .attr('tabindex', 0)
+                .on('focus', handleFocus)
+                .on('blur', handleMouseOut)
+                .on('keydown', handleKeyDown);
+        }
+
         /**
          * Adds events to the container group if the environment is not mobile
-         * Adding: mouseover, mouseout and mousemove
+         * Adding: mouseover, mouseout, mousemove, click, touchstart and touchmove
          */
         function addMouseEvents() {
             svg
                 .on('mouseover', handleMouseOver)
                 .on('mouseout', handleMouseOut)
-                .on('mousemove', handleMouseMove);
+                .on('mousemove', handleMouseMove)
+                .on('click', handleClick)
+                .on('touchstart', handleTouchStart)
+                .on('touchmove', handleTouchMove);
         }
 
         /**
@@ -266,7 +351,7 @@ define(function(require){
                 };
                 major = null;
             } else {
-                ({minor, major} = timeAxisHelper.getXAxisSettings(dataByDate, width, forceAxisSettings));
+                ({minor, major} = timeAxisHelper.getXAxisSettings(getVisibleDataByDate(), width, forceAxisSettings));
 
                 xMonthAxis = d3Axis.axisBottom(xScale)
                     .ticks(major.tick)
@@ -321,22 +406,29 @@ define(function(require){
          * @return {void}
          */
         function buildGradient() {
-            svg.select('.metadata-group')
-              .append('linearGradient')
-                .attr('id', lineGradientId)
-                .attr('x1', '0%')
-                .attr('y1', '0%')
-                .attr('x2', '100%')
-                .attr('y2', '0%')
-                .selectAll('stop')
+            let stops;
+
+            if (!lineGradient) {
+                lineGradient = svg.select('.metadata-group')
+                  .append('linearGradient')
+                    .attr('id', lineGradientId)
+                    .attr('x1', '0%')
+                    .attr('y1', '0%')
+                    .attr('x2', '100%')
+                    .attr('y2', '0%');
+            }
+
+            stops = lineGradient.selectAll('stop')
                 .data([
                     {offset:'0%', color: singleLineGradientColors[0]},
                     {offset:'100%', color: singleLineGradientColors[1]}
-                ])
-                .enter()
+                ]);
+
+            stops.enter()
               .append('stop')
+              .merge(stops)
                 .attr('offset', ({offset}) => offset)
-                .attr('stop-color', ({color}) => color)
+                .attr('stop-color', ({color}) => color);
         }
 
         /**
@@ -348,20 +440,26 @@ define(function(require){
                 maxX = d3Array.max(dataByTopic, ({dates}) => d3Array.max(dates, getDate)),
                 maxY = d3Array.max(dataByTopic, ({dates}) => d3Array.max(dates, getValue)),
                 minY = d3Array.min(dataByTopic, ({dates}) => d3Array.min(dates, getValue));
-            let yScaleBottomValue = Math.abs(minY) < 0 ? Math.abs(minY) : 0;
+            let yScaleBottomValue = minY < 0 ? minY : 0,
+                yScaleTopValue = maxY > 0 ? maxY : 0;
 
             xScale = d3Scale.scaleTime()
                 .domain([minX, maxX])
                 .rangeRound([0, chartWidth]);
 
             yScale = d3Scale.scaleLinear()
-                .domain([yScaleBottomValue, Math.abs(maxY)])
+                .domain([yScaleBottomValue, yScaleTopValue])
                 .rangeRound([chartHeight, 0])
                 .nice();
 
+            // With negative values the domain ends on ticks, so the lowest value gets one below it
+            if (yScaleBottomValue < 0) {
+                yScale.nice(verticalTicks);
+            }
+
             colorScale = d3Scale.scaleOrdinal()
                 .range(colorSchema)
-                .domain(dataByTopic.map(getTopic));
+                .domain(topics);
 
             let range = colorScale.range();
             topicColorMap = colorScale.domain().reduce((memo, item, i) => {
@@ -391,6 +489,54 @@ define(function(require){
                 .attr('height', height);
         }
 
+        /**
+         * Sets up the zoom behaviour over the chart area, along with the clip path
+         * that hides the lines falling out of the visible date range.
+         * Keeps the current zoom when the chart is re-rendered
+         * @return {void}
+         */
+        function buildZoom() {
+            let zoomContainer = svg.select('.container-group');
+
+            if (!zoom) {
+                zoom = d3Zoom.zoom()
+                    .on('zoom', handleZoom);
+
+                zoomContainer
+                  .insert('rect', ':first-child')
+                    .classed('zoom-area', true)
+                    .style('fill', 'none')
+                    .style('pointer-events', 'all');
+
+                svg.select('.metadata-group')
+                  .append('clipPath')
+                    .attr('id', zoomClipPathId)
+                  .append('rect');
+
+                svg.select('.chart-group')
+                    .attr('clip-path', `url(#${zoomClipPathId})`);
+
+                zoomContainer.call(zoom);
+            }
+
+            zoom
+                .scaleExtent([1, maxZoomScale])
+                .extent([[0, 0], [chartWidth, chartHeight]])
+                .translateExtent([[0, 0], [chartWidth, chartHeight]]);
+
+            zoomContainer.select('.zoom-area')
+                .attr('width', chartWidth)
+                .attr('height', chartHeight);
+
+            svg.select(`#${zoomClipPathId} rect`)
+                .attr('y', -margin.top)
+                .attr('width', chartWidth)
+                .attr('height', height);
+
+            originalXScale = xScale;
+            xScale = d3Zoom.zoomTransform(zoomContainer.node()).rescaleX(originalXScale);
+        }
+
         /**
          * Parses dates and values into JS Date objects and numbers
          * @param  {obj} dataByTopic    Raw data grouped by topic
@@ -407,7 +553,8 @@ define(function(require){
                             topicName: topic[topicNameLabel],
                             name: topic[topicLabel],
                             date: date[dateLabel],
-                            value: date[valueLabel]
+                            value: cleanValue(date[valueLabel]),
+                            missingValue: isMissingValueShown(date[valueLabel])
                         });
                     });
                 });
@@ -430,25 +577,39 @@ define(function(require){
                     return d;
                 });
 
-                // Normalize dataByTopic
-                dataByTopic.forEach(function(kv) {
-                    kv.dates.forEach(function(d) {
-                        d.date = new Date(d[dateLabel]);
-                        d.value = +d[valueLabel];
-                    });
-                });
+                // Normalize dataByTopic on copies, so the missing values of the data are kept
+                dataByTopic = dataByTopic.map((topic) => assign({}, topic, {
+                    dates: topic.dates.map((d) => assign({}, d, {
+                        date: new Date(d[dateLabel]),
+                        value: cleanValue(d[valueLabel])
+                    }))
+                }));
 
             }
 
             return {dataByTopic, dataByDate};
         }
 
+        /**
+         * Parses a value into a number, dealing with missing values depending on the missingValueMode
+         * @param  {*} value        Raw value of the data entry
+         * @return {Number | null}  Parsed value, or null when it is missing and not treated as zero
+         */
+        function cleanValue(value) {
+            if (isMissingValue(value)) {
+                return missingValueMode === missingValueModes.ZERO ? 0 : null;
+            }
+
+            return +value;
+        }
+
         /**
          * Removes all the datapoints highlighter circles added to the marker container
+         * @param  {D3Selection} [markerContainer] Marker container to clean, the hover one by default
          * @return void
          */
-        function cleanDataPointHighlights(){
-            verticalMarkerContainer.selectAll('.circle-container').remove();
+        function cleanDataPointHighlights(markerContainer = verticalMarkerContainer){
+            markerContainer.selectAll('.circle-container').remove();
         }
 
         /**
@@ -458,7 +619,7 @@ define(function(require){
          * @return {void}
          */
         function createMaskingClip() {
-            if (isAnimated) {
+            if (isAnimated && !isUpdating) {
                 // We use a white rectangle to simulate the line drawing animation
                 maskingRectangle = svg.append('rect')
                     .attr('class', 'masking-rectangle')
@@ -481,14 +642,16 @@ define(function(require){
          * @private
          */
         function drawAxis(){
-            svg.select('.x-axis-group .axis.x')
+            withUpdateTransition(svg.select('.x-axis-group .axis.x'))
                 .attr('transform', `translate(0, ${chartHeight})`)
                 .call(xAxis);
 
             if (forceAxisSettings !== 'custom') {
-                svg.select('.x-axis-group .month-axis')
+                withUpdateTransition(svg.select('.x-axis-group .month-axis'))
                     .attr('transform', `translate(0, ${(chartHeight + monthAxisPadding)})`)
                     .call(xMonthAxis);
+            } else {
+                svg.selectAll('.x-axis-group .month-axis .tick').remove();
             }
 
             svg.select('.y-axis-group.axis.y')
@@ -505,72 +668,140 @@ define(function(require){
          */
         function drawLines(){
             let lines,
+                newLines,
                 topicLine;
 
             topicLine = d3Shape.line()
+                .defined(({value}) => value !== null)
                 .x(({date}) => xScale(date))
                 .y(({value}) => yScale(value));
 
-            lines = svg.select('.chart-group').selectAll('.line')
-                .data(dataByTopic);
+            lines = svg.select('.chart-group').selectAll('.topic')
+                .data(dataByTopic, getTopic);
 
-            lines.enter()
+            // Enter
+            newLines = lines.enter()
               .append('g')
                 .attr('class', 'topic')
               .append('path')
                 .attr('class', 'line')
-                .attr('d', ({dates}) => topicLine(dates))
-                .style('stroke', (d) => (
-                    dataByTopic.length === 1 ? `url(#${lineGradientId})` : getLineColor(d)
-                ));
+                .attr('d', ({dates}) => topicLine(getDrawableDates(dates)))
+                .style('stroke', getLineStroke);
 
-            lines
-                .exit()
+            if (isUpdating) {
+                newLines.each(drawLineIn);
+            }
+
+            // Update
+            withUpdateTransition(lines.select('.line'))
+                .attr('d', ({dates}) => topicLine(getDrawableDates(dates)))
+                .style('stroke', getLineStroke);
+
+            // Exit
+            lines.exit()
+                .transition()
+                .duration(updateTransitionDuration)
+                .ease(ease)
+                .style('opacity', 0)
                 .remove();
         }
 
+        /**
+         * Animates the drawing of a line path from its start to its end
+         * by transitioning its stroke dash offset
+         * @this {SVGPathElement} Path of the line to animate
+         * @return void
+         */
+        function drawLineIn() {
+            let pathLength = this.getTotalLength();
+
+            d3Selection.select(this)
+                .attr('stroke-dasharray', `${pathLength} ${pathLength}`)
+                .attr('stroke-dashoffset', pathLength)
+              .transition()
+                .duration(updateTransitionDuration)
+                .ease(ease)
+                .attr('stroke-dashoffset', 0)
+                .on('end', function() {
+                    d3Selection.select(this)
+                        .attr('stroke-dasharray', null)
+                        .attr('stroke-dashoffset', null);
+                });
+        }
+
         /**
          * Draws grid lines on the background of the chart
          * @return void
          */
         function drawGridLines(xTicks, yTicks){
-            if (grid === 'horizontal' || grid === 'full') {
-                horizontalGridLines = svg.select('.grid-lines-group')
-                    .selectAll('line.horizontal-grid-line')
-                    .data(yScale.ticks(yTicks))
-                    .enter()
-                        .append('line')
-                        .attr('class', 'horizontal-grid-line')
-                        .attr('x1', (-xAxisPadding.left - 30))
-                        .attr('x2', chartWidth)
-                        .attr('y1', (d) => yScale(d))
-                        .attr('y2', (d) => yScale(d));
-            }
+            let hasHorizontalGrid = grid === 'horizontal' || grid === 'full',
+                hasVerticalGrid = grid === 'vertical' || grid === 'full';
+
+            horizontalGridLines = svg.select('.grid-lines-group')
+                .selectAll('line.horizontal-grid-line')
+                .data(hasHorizontalGrid ? yScale.ticks(yTicks) : []);
+
+            withUpdateTransition(
+                horizontalGridLines.enter()
+                  .append('line')
+                    .attr('class', 'horizontal-grid-line')
+                  .merge(horizontalGridLines)
+                )
+                .attr('x1', (-xAxisPadding.left - 30))
+                .attr('x2', chartWidth)
+                .attr('y1', (d) => yScale(d))
+                .attr('y2', (d) => yScale(d));
 
-            if (grid === 'vertical' || grid === 'full') {
-                verticalGridLines = svg.select('.grid-lines-group')
-                    .selectAll('line.vertical-grid-line')
-                    .data(xScale.ticks(xTicks))
-                    .enter()
-                        .append('line')
-                        .attr('class', 'vertical-grid-line')
-                        .attr('y1', 0)
-                        .attr('y2', chartHeight)
-                        .attr('x1', (d) => xScale(d))
-                        .attr('x2', (d) => xScale(d));
-            }
+            horizontalGridLines.exit().remove();
+
+            verticalGridLines = svg.select('.grid-lines-group')
+                .selectAll('line.vertical-grid-line')
+                .data(hasVerticalGrid ? xScale.ticks(xTicks) : []);
+
+            withUpdateTransition(
+                verticalGridLines.enter()
+                  .append('line')
+                    .attr('class', 'vertical-grid-line')
+                  .merge(verticalGridLines)
+                )
+                .attr('y1', 0)
+                .attr('y2', chartHeight)
+                .attr('x1', (d) => xScale(d))
+                .attr('x2', (d) => xScale(d));
+
+            verticalGridLines.exit().remove();
 
             //draw a horizontal line to extend x-axis till the edges
             baseLine = svg.select('.grid-lines-group')
                 .selectAll('line.extended-x-line')
-                .data([0])
-                .enter()
+                .data([0]);
+
+            baseLine.enter()
               .append('line')
                 .attr('class', 'extended-x-line')
+              .merge(baseLine)
                 .attr('x1', (-xAxisPadding.left - 30))
                 .attr('x2', chartWidth)
                 .attr('y1', height - margin.bottom - margin.top)
                 .attr('y2', height - margin.bottom - margin.top);
+
+            //draw a highlighted line on the zero value when there are negative values
+            zeroLine = svg.select('.grid-lines-group')
+                .selectAll('line.zero-line')
+                .data(yScale.domain()[0] < 0 ? [0] : []);
+
+            withUpdateTransition(
+                zeroLine.enter()
+                  .append('line')
+                    .attr('class', 'zero-line')
+                  .merge(zeroLine)
+                )
+                .attr('x1', (-xAxisPadding.left - 30))
+                .attr('x2', chartWidth)
+                .attr('y1', (d) => yScale(d))
+                .attr('y2', (d) => yScale(d));
+
+            zeroLine.exit().remove();
         }
 
         /**
@@ -579,37 +810,69 @@ define(function(require){
          * @return void
          */
         function drawHoverOverlay(){
-            overlay = svg.select('.metadata-group')
-              .append('rect')
-                .attr('class','overlay')
+            if (!overlay) {
+                overlay = svg.select('.metadata-group')
+                  .append('rect')
+                    .attr('class','overlay')
+                    .style('display', 'none');
+            }
+
+            overlay
                 .attr('y1', 0)
                 .attr('y2', height)
                 .attr('height', chartHeight)
                 .attr('width', chartWidth)
-                .attr('fill', overlayColor)
-                .style('display', 'none');
+                .attr('fill', overlayColor);
         }
 
         /**
-         * Creates the vertical marker
+         * Draws the marker of the second pinned data point, that stays along the hover marker
+         * frozen at the first pinned one
+         * @param  {Object} dataPoint   Pinned data point
+         * @param  {Number} xPosition   Position of the data point on the x axis
          * @return void
          */
-        function drawVerticalMarker(){
-            verticalMarkerContainer = svg.select('.metadata-group')
+        function drawPinnedMarker(dataPoint, xPosition) {
+            pinnedMarkerContainer = svg.select('.metadata-group')
               .append('g')
-                .attr('class', 'hover-marker vertical-marker-container')
-                .attr('transform', 'translate(9999, 0)');
-
-            verticalMarkerLine = verticalMarkerContainer.selectAll('path')
-                .data([{
-                    x1: 0,
-                    y1: 0,
-                    x2: 0,
-                    y2: 0
-                }])
-                .enter()
+                .attr('class', 'pinned-marker vertical-marker-container')
+                .attr('transform', `translate(${xPosition},0)`);
+
+            pinnedMarkerContainer
               .append('line')
-                .classed('vertical-marker', true)
+                .classed('vertical-marker bc-is-active', true)
+                .attr('x1', 0)
+                .attr('y1', chartHeight)
+                .attr('x2', 0)
+                .attr('y2', 0);
+
+            highlightDataPoints(dataPoint, pinnedMarkerContainer);
+        }
+
+        /**
+         * Creates the vertical marker
+         * @return void
+         */
+        function drawVerticalMarker(){
+            if (!verticalMarkerContainer) {
+                verticalMarkerContainer = svg.select('.metadata-group')
+                  .append('g')
+                    .attr('class', 'hover-marker vertical-marker-container')
+                    .attr('transform', 'translate(9999, 0)');
+
+                verticalMarkerLine = verticalMarkerContainer.selectAll('path')
+                    .data([{
+                        x1: 0,
+                        y1: 0,
+                        x2: 0,
+                        y2: 0
+                    }])
+                    .enter()
+                  .append('line')
+                    .classed('vertical-marker', true);
+            }
+
+            verticalMarkerLine
                 .attr('x1', 0)
                 .attr('y1', chartHeight)
                 .attr('x2', 0)
@@ -627,13 +890,54 @@ define(function(require){
             return (new Date(x0).getTime() - new Date(d0.date).getTime()) > (new Date(d1.date).getTime() - new Date(x0).getTime()) ? d0 : d1;
         }
 
+        /**
+         * Gets the date entries of a topic that will be drawn on its line. When interpolating,
+         * the missing values are left out so the line joins the closest values around them
+         * @param  {Object[]} dates Date entries of the topic
+         * @return {Object[]}       Date entries to draw
+         */
+        function getDrawableDates(dates) {
+            if (missingValueMode === missingValueModes.INTERPOLATE) {
+                return dates.filter(({value}) => value !== null);
+            }
+
+            return dates;
+        }
+
+        /**
+         * Gets the stroke of a line, using the gradient when there is a single line
+         * @param  {Object} d Topic data of the line
+         * @return {String}   Stroke color or gradient url
+         */
+        function getLineStroke(d) {
+            return topics.length === 1 ? `url(#${lineGradientId})` : getLineColor(d);
+        }
+
+        /**
+         * Leaves the hidden series out of the data
+         * @param  {Object[]} dataByTopic   Data grouped by topic
+         * @param  {Object[]} dataByDate    Data grouped by date
+         * @return {Object}                 Visible dataByTopic and dataByDate
+         */
+        function getVisibleData(dataByTopic, dataByDate) {
+            let isVisible = (topic) => hiddenSeries.indexOf(topic) === -1;
+
+            return {
+                dataByTopic: dataByTopic.filter((topic) => isVisible(getTopic(topic))),
+                dataByDate: dataByDate.map(({date, topics}) => ({
+                    date,
+                    topics: topics.filter(({name}) => isVisible(name))
+                }))
+            };
+        }
+
         /**
          * Extract X position on the graph from a given mouse event
          * @param  {Object} event D3 mouse event
          * @return {Number}       Position on the x axis of the mouse
          */
         function getMouseXPosition(event) {
-            return d3Selection.mouse(event)[0];
+            return getPointerPosition(event)[0];
         }
 
         /**
@@ -658,6 +962,105 @@ define(function(require){
             return nearestDataPoint;
         }
 
+        /**
+         * Gets the entries of dataByDate that fall within the visible date range,
+         * falling back to the range edges when the zoom leaves less than two of them
+         * @return {Object[]} Visible data entries by date
+         */
+        function getVisibleDataByDate() {
+            let [startDate, endDate] = xScale.domain(),
+                visibleDataByDate = dataByDate.filter(({date}) => date >= startDate && date <= endDate);
+
+            if (visibleDataByDate.length < 2) {
+                visibleDataByDate = [{date: startDate}, {date: endDate}];
+            }
+
+            return visibleDataByDate;
+        }
+
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            let [startDate, endDate] = d3Array.extent(dataByDate, getDate);
+
+            if (!dataByDate.length) {
+                return 'Line chart with no data';
+            }
+
+            return `Line chart with ${dataByTopic.length} series, from ${formatDate(startDate)} to ${formatDate(endDate)}`;
+        }
+
+        /**
+         * Gets the text that announces the values of a data point to screen readers
+         * @param  {Object} dataPoint Data entry by date
+         * @return {String}           Date and values of the data point
+         * @private
+         */
+        function getDataPointLabel({date, topics}) {
+            let values = topics.map(({topicName, value}) => {
+                return `${topicName} ${value === null ? 'no value' : getFormattedValue(value)}`;
+            });
+
+            return `${formatDate(date)}: ${values.join(', ')}`;
+        }
+
+        /**
+         * Gets the data entries that can be focused with the keyboard, the ones within the visible date range
+         * @return {Object[]} Focusable data entries by date
+         * @private
+         */
+        function getFocusableDataByDate() {
+            return getVisibleDataByDate().filter(({topics}) => topics);
+        }
+
+        /**
+         * Adds the previous data point to a data point, so the tooltip can compare them
+         * @param  {Object} dataPoint Data entry by date
+         * @return {Object}           Copy of the data entry with its previous one
+         */
+        function getDataPointWithPrevious(dataPoint) {
+            return assign({}, dataPoint, {
+                previousDataPoint: dataByDate[dataByDate.indexOf(dataPoint) - 1]
+            });
+        }
+
+        /**
+         * Click handler, that pins the nearest data point to the cursor freezing the vertical marker on it,
+         * or pins a second one to compare them. Clicking a pinned data point, or any data point
+         * when there are two of them pinned, unpins them
+         * @private
+         */
+        function handleClick() {
+            let dataPoint, dataPointXPosition;
+
+            if (!isPinnable) {
+                return;
+            }
+            dataPoint = getNearestDataPoint(getMouseXPosition(this) - margin.left);
+
+            if (!dataPoint) {
+                return;
+            }
+            if (pinnedDataPoints.length === maxPinnedDataPoints || pinnedDataPoints.indexOf(dataPoint) !== -1) {
+                unpinDataPoints();
+                handleMouseMove.call(this);
+
+                return;
+            }
+
+            dataPointXPosition = xScale(new Date(dataPoint.date));
+            pinnedDataPoints.push(dataPoint);
+
+            if (pinnedDataPoints.length > 1) {
+                drawPinnedMarker(dataPoint, dataPointXPosition);
+            }
+
+            dispatcher.call('customPin', this, getDataPointWithPrevious(dataPoint), topicColorMap, dataPointXPosition, pinnedDataPoints.length - 1);
+        }
+
         /**
          * MouseMove handler, calculates the nearest dataPoint to the cursor
          * and updates metadata related to it
@@ -665,26 +1068,56 @@ define(function(require){
          */
         function handleMouseMove(){
             let xPositionOffset = -margin.left, //Arbitrary number, will love to know how to assess it
-                dataPoint = getNearestDataPoint(getMouseXPosition(this) + xPositionOffset),
-                dataPointXPosition;
-
-            if (dataPoint) {
-                dataPointXPosition = xScale(new Date(dataPoint.date));
-                // More verticalMarker to that datapoint
-                moveVerticalMarker(dataPointXPosition);
-                // Add data points highlighting
-                highlightDataPoints(dataPoint);
-                // Emit event with xPosition for tooltip or similar feature
-                dispatcher.call('customMouseMove', this, dataPoint, topicColorMap, dataPointXPosition);
+                dataPoint = getNearestDataPoint(getMouseXPosition(this) + xPositionOffset);
+
+            if (dataPoint && !pinnedDataPoints.length) {
+                inspectDataPoint.call(this, dataPoint);
+            }
+        }
+
+        /**
+         * Focus handler, that shows the vertical marker on the last focused date
+         * @private
+         */
+        function handleFocus() {
+            let focusableDataByDate = getFocusableDataByDate();
+
+            handleMouseOver.call(this);
+
+            if (focusableDataByDate.length && !pinnedDataPoints.length) {
+                focusedDataPointIndex = Math.min(focusedDataPointIndex, focusableDataByDate.length - 1);
+                inspectDataPoint.call(this, focusableDataByDate[focusedDataPointIndex]);
+                liveRegion.text(getDataPointLabel(focusableDataByDate[focusedDataPointIndex]));
+            }
+        }
+
+        /**
+         * Keydown handler, that moves the vertical marker to the previous or next date with the arrow keys,
+         * and to the first or last one with the home and end keys
+         * @private
+         */
+        function handleKeyDown() {
+            let focusableDataByDate = getFocusableDataByDate(),
+                index = getNextFocusIndex(d3Selection.event.keyCode, focusedDataPointIndex, focusableDataByDate.length);
+
+            if (index === null || !focusableDataByDate.length || pinnedDataPoints.length) {
+                return;
             }
+            d3Selection.event.preventDefault();
+            focusedDataPointIndex = index;
+            inspectDataPoint.call(this, focusableDataByDate[index]);
+            liveRegion.text(getDataPointLabel(focusableDataByDate[index]));
         }
 
         /**
          * MouseOut handler, hides overlay and removes active class on verticalMarkerLine
-         * It also resets the container of the vertical marker
+         * It also resets the container of the vertical marker, unless there are pinned data points
          * @private
          */
         function handleMouseOut(data){
+            if (pinnedDataPoints.length) {
+                return;
+            }
             overlay.style('display', 'none');
             verticalMarkerLine.classed('bc-is-active', false);
             verticalMarkerContainer.attr('transform', 'translate(9999, 0)');
@@ -703,13 +1136,50 @@ define(function(require){
             dispatcher.call('customMouseOver', this, data);
         }
 
+        /**
+         * Touchstart handler, that inspects the data point under the finger
+         * @private
+         */
+        function handleTouchStart() {
+            handleMouseOver.call(this);
+            handleMouseMove.call(this);
+        }
+
+        /**
+         * Touchmove handler, that scrubs through the data points following the finger
+         * without scrolling the page
+         * @private
+         */
+        function handleTouchMove() {
+            d3Selection.event.preventDefault();
+            handleMouseMove.call(this);
+        }
+
+        /**
+         * Zoom handler, rescales the x axis with the current zoom transform and redraws
+         * the axis, grid and lines. It also dispatches the visible date range
+         * @private
+         */
+        function handleZoom() {
+            xScale = d3Selection.event.transform.rescaleX(originalXScale);
+
+            isZooming = true;
+            buildAxis();
+            drawAxis();
+            drawLines();
+            isZooming = false;
+
+            dispatcher.call('customZoom', this, xScale.domain());
+        }
+
         /**
          * Creates coloured circles marking where the exact data y value is for a given data point
          * @param  {Object} dataPoint Data point to extract info from
+         * @param  {D3Selection} [markerContainer] Marker container to draw them in, the hover one by default
          * @private
          */
-        function highlightDataPoints(dataPoint) {
-            cleanDataPointHighlights();
+        function highlightDataPoints(dataPoint, markerContainer = verticalMarkerContainer) {
+            cleanDataPointHighlights(markerContainer);
 
             // sorting the topics based on the order of the colors,
             // so that the order always stays constant
@@ -717,8 +1187,12 @@ define(function(require){
                                     .filter(t => !!t)
                                     .sort((a, b) => topicColorMap[a.name] < topicColorMap[b.name]);
 
-            dataPoint.topics.forEach(({name}, index) => {
-                let marker = verticalMarkerContainer
+            dataPoint.topics.forEach(({name, missingValue}, index) => {
+                if (missingValue) {
+                    return;
+                }
+
+                let marker = markerContainer
                                 .append('g')
                                 .classed('circle-container', true),
                     circleSize = 12;
@@ -734,6 +1208,31 @@ define(function(require){
             });
         }
 
+        /**
+         * Moves the vertical marker to a data point, highlighting it and triggering the customMouseMove event
+         * @param  {Object} dataPoint Data entry by date
+         * @private
+         */
+        function inspectDataPoint(dataPoint) {
+            let dataPointXPosition = xScale(new Date(dataPoint.date));
+
+            // More verticalMarker to that datapoint
+            moveVerticalMarker(dataPointXPosition);
+            // Add data points highlighting
+            highlightDataPoints(dataPoint);
+            // Emit event with xPosition for tooltip or similar feature, along with the previous data point for comparisons
+            dispatcher.call('customMouseMove', this, getDataPointWithPrevious(dataPoint), topicColorMap, dataPointXPosition);
+        }
+
+        /**
+         * Checks if a value is missing and it should be shown as such, instead of as a zero
+         * @param  {*} value    Raw value of the data entry
+         * @return {Boolean}    If the value should be flagged as missing
+         */
+        function isMissingValueShown(value) {
+            return missingValueMode !== missingValueModes.ZERO && isMissingValue(value);
+        }
+
         /**
          * Helper method to update the x position of the vertical marker
          * @param  {Object} dataPoint Data entry to extract info
@@ -743,13 +1242,47 @@ define(function(require){
             verticalMarkerContainer.attr('transform', `translate(${verticalMarkerXPosition},0)`);
         }
 
+        /**
+         * Unpins all the pinned data points, removing the marker of the second one
+         * @return void
+         */
+        function unpinDataPoints() {
+            let unpinnedDataPoints = pinnedDataPoints;
+
+            pinnedDataPoints = [];
+
+            if (pinnedMarkerContainer) {
+                pinnedMarkerContainer.remove();
+                pinnedMarkerContainer = null;
+            }
+
+            dispatcher.call('customUnpin', svg.node(), unpinnedDataPoints);
+        }
+
         /**
          * Determines if we should add the tooltip related logic depending on the
          * size of the chart and the tooltipThreshold variable value
          * @return {Boolean} Should we build the tooltip?
          */
         function shouldShowTooltip() {
-            return width > tooltipThreshold;
+            return width > tooltipThreshold || isTouchDevice();
+        }
+
+        /**
+         * Wraps the given selection within a transition when the chart is being
+         * re-rendered with new data, so the first render stays instantaneous
+         * @param  {D3Selection} selection  Selection to animate
+         * @return {D3Selection | D3Transition} Transition on updates, the original selection otherwise
+         */
+        function withUpdateTransition(selection) {
+            if (!isUpdating || isZooming) {
+                return selection;
+            }
+
+            return selection
+                .transition()
+                .duration(updateTransitionDuration)
+                .ease(ease);
         }
 
         // API Methods
@@ -799,6 +1332,21 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+
+            return this;
+        };
+
         /**
          * Exposes the ability to force the chart to show a certain x axis grouping
          * @param  {String} _x Desired format
@@ -881,6 +1429,22 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the topics of the chart that won't be drawn, leaving them out of the y axis domain
+         * while keeping the colors of the rest. Re-render the chart after changing it
+         * @param  {Number[]} _x Desired hidden topics for the graph
+         * @return { (Number[] | Module) } Current hidden topics or Line Chart module to chain calls
+         * @public
+         */
+        exports.hiddenSeries = function(_x) {
+            if (!arguments.length) {
+                return hiddenSeries;
+            }
+            hiddenSeries = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the isAnimated property of the chart, making it to animate when render.
          * By default this is 'false'
@@ -898,6 +1462,44 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the isPinnable property of the chart. When true, clicking the chart pins
+         * the tooltip and vertical marker on the nearest data point, and clicking another one
+         * pins a second marker to compare them, triggering customPin events.
+         * Clicking again unpins them, triggering a customUnpin event.
+         * By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired pinnable flag
+         * @return { isPinnable | module} Current isPinnable flag or Chart module
+         * @public
+         */
+        exports.isPinnable = function(_x) {
+            if (!arguments.length) {
+                return isPinnable;
+            }
+            isPinnable = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the isZoomable property of the chart, enabling zooming and panning
+         * the x axis with the mouse wheel, pinching or dragging.
+         * By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired zoomable flag
+         * @return { isZoomable | module} Current isZoomable flag or Chart module
+         * @public
+         */
+        exports.isZoomable = function(_x) {
+            if (!arguments.length) {
+                return isZoomable;
+            }
+            isZoomable = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the margin of the chart
          * @param  {Object} _x Margin object to get/set
@@ -913,6 +1515,26 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the way the chart deals with missing (null or undefined) values:
+         * breaking the line ('gap'), joining the values around them ('interpolate')
+         * or treating them as zeros ('zero', the default)
+         *
+         * @param  {String} _x Desired mode for missing values
+         * @return { (String|Module) } Current mode or Line Chart module to chain calls
+         * @public
+         * @example
+         *     line.missingValueMode(line.missingValueModes.GAP)
+         */
+        exports.missingValueMode = function(_x) {
+            if (!arguments.length) {
+                return missingValueMode;
+            }
+            missingValueMode = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the gradient colors of the line chart when there is only one line
          * @param  {String[]} _x Desired color gradient for the line (array of two hexadecimal numbers)
@@ -929,7 +1551,24 @@ define(function(require){
         };
 
         /**
-         * Gets or Sets the minimum width of the graph in order to show the tooltip
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the minimum width of the graph in order to show the tooltip.
+         * The tooltip is always shown on touch devices, where it follows the finger
          * NOTE: This could also depend on the aspect ratio
          * @param  {Number} _x Desired tooltip threshold for the graph
          * @return { (Number | Module) } Current tooltip threshold or Line Chart module to chain calls
@@ -1018,7 +1657,7 @@ define(function(require){
         /**
          * Exposes an 'on' method that acts as a bridge with the event dispatcher
          * We are going to expose this events:
-         * customMouseHover, customMouseMove and customMouseOut
+         * customMouseHover, customMouseMove, customMouseOut, customZoom, customPin and customUnpin
          *
          * @return {module} Bar Chart
          * @public
@@ -1029,6 +1668,79 @@ define(function(require){
             return value === dispatcher ? exports : value;
         };
 
+        /**
+         * Unpins the pinned data points, hiding the vertical marker and triggering a customUnpin event
+         *
+         * @return {module} Line Chart
+         * @public
+         */
+        exports.unpin = function() {
+            if (pinnedDataPoints.length) {
+                unpinDataPoints();
+                verticalMarkerContainer.attr('transform', 'translate(9999, 0)');
+            }
+
+            return this;
+        };
+
+        /**
+         * Resets the zoom of the chart, showing the whole date range
+         * It requires the chart to be zoomable and rendered
+         *
+         * @return {module} Line Chart module to chain calls
+         * @public
+         */
+        exports.resetZoom = function() {
+            if (zoom) {
+                svg.select('.container-group')
+                    .call(zoom.transform, d3Zoom.zoomIdentity);
+            }
+
+            return this;
+        };
+
+        /**
+         * Zooms the chart into the given date range
+         * It requires the chart to be zoomable and rendered. The dates can come in any order,
+         * are clamped to the dates of the data, and an empty range leaves the zoom as it is.
+         * The range can't be narrower than the maximum zoom allows
+         *
+         * @param  {Date|String} startDate  First date of the range to show
+         * @param  {Date|String} endDate    Last date of the range to show
+         * @return {module} Line Chart module to chain calls
+         * @public
+         * @example
+         *     line.zoomTo(new Date('2017-01-01'), new Date('2017-02-01'))
+         */
+        exports.zoomTo = function(startDate, endDate) {
+            let firstDate, lastDate, startTime, endTime, startX, scale;
+
+            if (zoom) {
+                [firstDate, lastDate] = originalXScale.domain();
+                [startTime, endTime] = d3Array.extent([startDate, endDate], (d) =>
+                    Math.min(Math.max(new Date(d), firstDate), lastDate)
+                );
+
+                if (!(endTime > startTime)) {
+                    return this;
+                }
+
+                scale = Math.min(
+                    chartWidth / (originalXScale(endTime) - originalXScale(startTime)),
+                    maxZoomScale
+                );
+                startX = Math.min(originalXScale(startTime), chartWidth - chartWidth / scale);
+
+                svg.select('.container-group')
+                    .call(zoom.transform, d3Zoom.zoomIdentity
+                        .scale(scale)
+                        .translate(-startX, 0)
+                    );
+            }
+
+            return this;
+        };
+
         /**
          * Exposes the constants to be used to force the x axis to respect a certain granularity
          * current options: MINUTE_HOUR, HOUR_DAY, DAY_MONTH, MONTH_YEAR
@@ -1037,6 +1749,14 @@ define(function(require){
          */
         exports.axisTimeCombinations = axisTimeCombinations;
 
+        /**
+         * Exposes the constants to be used to set the way missing values are represented
+         * current options: GAP, INTERPOLATE, ZERO
+         * @example
+         *     line.missingValueMode(line.missingValueModes.INTERPOLATE)
+         */
+        exports.missingValueModes = missingValueModes;
+
         return exports;
     };
 
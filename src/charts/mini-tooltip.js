@@ -7,6 +7,7 @@ define(function(require){
     const d3Selection = require('d3-selection');
     const d3Transition = require('d3-transition');
 
+    const {isTouchEvent} = require('./helpers/common');
 
     /**
      * Mini Tooltip Component reusable API class that renders a
@@ -67,6 +68,8 @@ define(function(require){
                 y: 0,
                 x: 20
             },
+            // distance kept between the tooltip and the finger on touch devices
+            touchOffset = 40,
 
             // Fonts
             textSize = 14,
@@ -180,7 +183,8 @@ define(function(require){
         }
 
         /**
-         * Calculates the desired position for the tooltip
+         * Calculates the desired position for the tooltip. When shown by a touch,
+         * it goes over the finger, or under it when there is no room above
          * @param  {Number} mouseX             Current horizontal mouse position
          * @param  {Number} mouseY             Current vertical mouse position
          * @param  {Number} parentChartWidth   Parent's chart width
@@ -197,7 +201,13 @@ define(function(require){
                 tooltipX = mouseX - chartWidth - tooltipOffset.x - margin.right;
             }
 
-            if (hasEnoughVerticalRoom(parentChartHeight, mouseY)) {
+            if (isTouchEvent()) {
+                tooltipY = mouseY - chartHeight - margin.top - margin.bottom - touchOffset;
+
+                if (tooltipY < 0) {
+                    tooltipY = mouseY + touchOffset;
+                }
+            } else if (hasEnoughVerticalRoom(parentChartHeight, mouseY)) {
                 tooltipY = mouseY + tooltipOffset.y;
             } else {
                 tooltipY = mouseY - chartHeight - tooltipOffset.y - margin.bottom;
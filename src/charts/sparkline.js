@@ -10,6 +10,10 @@ define(function(require){
 
     const {exportChart} = require('./helpers/exportChart');
     const colorHelper = require('./helpers/colors');
+    const {
+        describeChart,
+        formatDate
+    } = require('./helpers/accessibility');
 
     /**
      * @typedef SparklineChartData
@@ -70,6 +74,9 @@ define(function(require){
             chartWidth, chartHeight,
             data,
 
+            title = null,
+            desc = null,
+
             hasArea = true,
             isAnimated = false,
             clipDuration = 3000,
@@ -106,9 +113,25 @@ define(function(require){
                 drawLine();
                 drawArea();
                 drawEndMarker();
+                describeChart(svg, getAriaLabel(), title, desc);
             });
         }
 
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            let [startDate, endDate] = d3Array.extent(data, ({date}) => date);
+
+            if (!data.length) {
+                return 'Sparkline with no data';
+            }
+
+            return `Sparkline with ${data.length} values, from ${formatDate(startDate)} to ${formatDate(endDate)}`;
+        }
+
         /**
          * Builds containers for the chart, the axis and a wrapper for all of them
          * NOTE: The order of drawing of this group elements is really important,
@@ -430,6 +453,37 @@ define(function(require){
             exportChart.call(exports, svg, filename, title);
         };
 
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+
+            return this;
+        };
+
         return exports;
     };
 
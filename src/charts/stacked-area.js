@@ -11,21 +11,55 @@ define(function(require){
     const d3Selection = require('d3-selection');
     const d3Transition = require('d3-transition');
     const d3TimeFormat = require('d3-time-format');
+    const d3Zoom = require('d3-zoom');
 
     const assign = require('lodash.assign');
     const {exportChart} = require('./helpers/exportChart');
     const colorHelper = require('./helpers/colors');
     const timeAxisHelper = require('./helpers/timeAxis');
-    const {isInteger} = require('./helpers/common');
-    const {axisTimeCombinations} = require('./helpers/constants');
+    const {
+        calculatePercent,
+        getPointerPosition,
+        isInteger,
+        isMissingValue,
+        isTouchDevice,
+        uniqueId
+    } = require('./helpers/common');
+    const {
+        buildLiveRegion,
+        describeChart,
+        formatDate,
+        getNextFocusIndex
+    } = require('./helpers/accessibility');
+    const {
+        axisTimeCombinations,
+        missingValueModes,
+        stackOffsets,
+        stackOrders
+    } = require('./helpers/constants');
 
     const {
         formatIntegerValue,
-        formatDecimalValue
+        formatDecimalValue,
+        formatPercentageValue
     } = require('./helpers/formatHelpers');
 
     const uniq = (arrArg) => arrArg.filter((elem, pos, arr) => arr.indexOf(elem) == pos);
 
+    const stackOffsetsMap = {
+        [stackOffsets.NONE]: d3Shape.stackOffsetNone,
+        [stackOffsets.EXPAND]: d3Shape.stackOffsetExpand,
+        [stackOffsets.SILHOUETTE]: d3Shape.stackOffsetSilhouette,
+        [stackOffsets.WIGGLE]: d3Shape.stackOffsetWiggle
+    };
+
+    const stackOrdersMap = {
+        [stackOrders.NONE]: d3Shape.stackOrderNone,
+        [stackOrders.ASCENDING]: d3Shape.stackOrderAscending,
+        [stackOrders.DESCENDING]: d3Shape.stackOrderDescending,
+        [stackOrders.INSIDE_OUT]: d3Shape.stackOrderInsideOut
+    };
+
 
     /**
      * @typdef D3Layout
@@ -58,7 +92,7 @@ define(function(require){
      *
      * @module Stacked-area
      * @tutorial stacked-area
-     * @requires d3-array, d3-axis, d3-collection, d3-ease, d3-scale, d3-shape, d3-selection, d3-time, d3-time-format
+     * @requires d3-array, d3-axis, d3-collection, d3-ease, d3-scale, d3-shape, d3-selection, d3-time, d3-time-format, d3-zoom
      *
      * @example
      * let stackedArea = stackedArea();
@@ -85,6 +119,7 @@ define(function(require){
 
             xScale, xAxis, xMonthAxis,
             yScale, yAxis,
+            originalXScale,
 
             aspectRatio = null,
 
@@ -106,12 +141,15 @@ define(function(require){
             colorScale,
             categoryColorMap,
             order,
+            names,
+            hiddenSeries = [],
 
             forceAxisSettings = null,
             forcedXTicks = null,
             forcedXFormat = null,
 
             baseLine,
+            zeroLine,
 
             layers,
             layersInitial,
@@ -128,6 +166,16 @@ define(function(require){
             verticalMarker,
             epsilon,
 
+            isPinnable = false,
+            pinnedDataPoints = [],
+            pinnedMarkerContainer,
+            maxPinnedDataPoints = 2,
+
+            title = null,
+            desc = null,
+            liveRegion,
+            focusedDataPointIndex = 0,
+
             dataPoints            = {},
             pointsSize            = 1.5,
             pointsColor           = '#c0c6cc',
@@ -137,6 +185,11 @@ define(function(require){
             ease = d3Ease.easeQuadInOut,
             areaAnimationDuration = 1000,
 
+            isZoomable = false,
+            maxZoomScale = 20,
+            zoom,
+            zoomClipPathId = uniqueId('stacked-area-clip-path-'),
+
             svg,
             chartWidth, chartHeight,
             data,
@@ -161,12 +214,22 @@ define(function(require){
             valueLabel = 'value',
             keyLabel = 'name',
 
+            missingValueMode = missingValueModes.ZERO,
+
+            normalized = false,
+            percentageFormat = '.1f',
+            stackOffset = stackOffsets.NONE,
+            stackOrder = stackOrders.NONE,
+
             // getters
             getName = ({name}) => name,
             getDate = ({date}) => date,
+            getValue = ({value}) => value,
 
             // events
-            dispatcher = d3Dispatch.dispatch('customMouseOver', 'customMouseOut', 'customMouseMove');
+            dispatcher = d3Dispatch.dispatch(
+                'customMouseOver', 'customMouseOut', 'customMouseMove', 'customZoom', 'customPin', 'customUnpin'
+            );
 
        /**
          * This function creates the graph using the selection and data provided
@@ -179,32 +242,70 @@ define(function(require){
                 chartWidth = width - margin.left - margin.right;
                 chartHeight = height - margin.top - margin.bottom;
                 data = cleanData(_data);
+                names = uniq(data.map(getName));
+                data = data.filter(({name}) => hiddenSeries.indexOf(name) === -1);
                 dataByDate = getDataByDate(data);
 
+                // The pinned data points are not valid once the data changes
+                exports.unpin();
+
                 buildLayers();
                 buildScales();
                 buildSVG(this);
+                if (isZoomable) {
+                    buildZoom();
+                }
                 buildAxis();
                 drawAxis();
                 drawStackedAreas();
+                addAccessibility();
 
                 if(shouldShowTooltip()) {
                     drawHoverOverlay();
                     drawVerticalMarker();
                     addMouseEvents();
+                    addKeyboardEvents();
                 }
             });
         }
 
+        /**
+         * Labels the chart for screen readers, with a summary of its data and its title and description
+         * @private
+         */
+        function addAccessibility() {
+            if (!liveRegion) {
+                liveRegion = buildLiveRegion(svg);
+            }
+            describeChart(svg, getAriaLabel(), title, desc);
+        }
+
+        /**
+         * Makes the chart focusable, so the arrow keys move the vertical marker across the dates
+         * announcing their values, the same way the mouse inspects them
+         * Adding: focus, blur and keydown
+         * @private
+         */
+        function addKeyboardEvents() {
+            svg
+                .attr('tabindex', 0)
+                .on('focus', handleFocus)
+                .on('blur', handleMouseOut)
+                .on('keydown', handleKeyDown);
+        }
+
         /**
          * Adds events to the container group if the environment is not mobile
-         * Adding: mouseover, mouseout and mousemove
+         * Adding: mouseover, mouseout, mousemove, click, touchstart and touchmove
          */
         function addMouseEvents() {
             svg
                 .on('mouseover', handleMouseOver)
                 .on('mouseout', handleMouseOut)
-                .on('mousemove', handleMouseMove);
+                .on('mousemove', handleMouseMove)
+                .on('click', handleClick)
+                .on('touchstart', handleTouchStart)
+                .on('touchmove', handleTouchMove);
         }
 
         /**
@@ -230,7 +331,7 @@ define(function(require){
          */
         function buildAxis() {
             let dataSpan = yScale.domain()[1] - yScale.domain()[0];
-            let yTickNumber = dataSpan < verticalTicks - 1 ? dataSpan : verticalTicks;
+            let yTickNumber = dataSpan < verticalTicks - 1 && !isNormalized() ? dataSpan : verticalTicks;
             let minor, major;
 
             if (forceAxisSettings === 'custom' && typeof forcedXFormat === 'string') {
@@ -240,7 +341,7 @@ define(function(require){
                 };
                 major = null;
             } else {
-                ({minor, major} = timeAxisHelper.getXAxisSettings(dataByDate, width, forceAxisSettings));
+                ({minor, major} = timeAxisHelper.getXAxisSettings(getVisibleDataByDate(), width, forceAxisSettings));
 
                 xMonthAxis = d3Axis.axisBottom(xScale)
                     .ticks(major.tick)
@@ -259,7 +360,7 @@ define(function(require){
                 .ticks(yTickNumber)
                 .tickSize([0])
                 .tickPadding(tickPadding)
-                .tickFormat(getFormattedValue);
+                .tickFormat(getYAxisTickFormat());
 
             drawGridLines(minor.tick, yTickNumber);
         }
@@ -297,6 +398,8 @@ define(function(require){
          * @private
          */
         function buildLayers() {
+            order = uniq(data.map(o => o.name));
+
             dataByDateFormatted = dataByDate
                 .map(d => assign({}, d, d.values))
                 .map(d => {
@@ -313,15 +416,13 @@ define(function(require){
                     });
                 });
 
+            fillMissingValues(dataByDateFormatted, order);
+
             dataByDateZeroed = dataByDate
                 .map(d => assign({}, d, d.values))
                 .map(d => {
-                    Object.keys(d).forEach(k => {
-                        const entry = d[k];
-
-                        if (entry && entry.name) {
-                            d[entry.name] = 0;
-                        }
+                    order.forEach((key) => {
+                        d[key] = 0;
                     });
 
                     return assign({}, d, {
@@ -329,11 +430,10 @@ define(function(require){
                     });
                 });
 
-            order = uniq(data.map(o => o.name));
             let stack3 = d3Shape.stack()
-                .keys(order)
-                .order(d3Shape.stackOrderNone)
-                .offset(d3Shape.stackOffsetNone);
+                .keys(getStackKeys())
+                .order(Array.isArray(stackOrder) ? d3Shape.stackOrderNone : stackOrdersMap[stackOrder])
+                .offset(isNormalized() ? d3Shape.stackOffsetExpand : stackOffsetsMap[stackOffset]);
 
             layersInitial = stack3(dataByDateZeroed);
             layers = stack3(dataByDateFormatted);
@@ -349,13 +449,13 @@ define(function(require){
                 .rangeRound([0, chartWidth]);
 
             yScale = d3Scale.scaleLinear()
-                .domain([0, getMaxValueByDate()])
+                .domain(getLayersExtent())
                 .rangeRound([chartHeight, 0])
                 .nice();
 
             colorScale = d3Scale.scaleOrdinal()
                 .range(colorSchema)
-                .domain(data.map(getName));
+                .domain(names);
 
             let range = colorScale.range();
             categoryColorMap = colorScale
@@ -386,6 +486,54 @@ define(function(require){
                 .attr('height', height);
         }
 
+        /**
+         * Sets up the zoom behaviour over the chart area, along with the clip path
+         * that hides the areas falling out of the visible date range.
+         * Keeps the current zoom when the chart is re-rendered
+         * @return {void}
+         */
+        function buildZoom() {
+            let zoomContainer = svg.select('.container-group');
+
+            if (!zoom) {
+                zoom = d3Zoom.zoom()
+                    .on('zoom', handleZoom);
+
+                zoomContainer
+                  .insert('rect', ':first-child')
+                    .classed('zoom-area', true)
+                    .style('fill', 'none')
+                    .style('pointer-events', 'all');
+
+                svg.select('.metadata-group')
+                  .append('clipPath')
+                    .attr('id', zoomClipPathId)
+                  .append('rect');
+
+                svg.select('.chart-group')
+                    .attr('clip-path', `url(#${zoomClipPathId})`);
+
+                zoomContainer.call(zoom);
+            }
+
+            zoom
+                .scaleExtent([1, maxZoomScale])
+                .extent([[0, 0], [chartWidth, chartHeight]])
+                .translateExtent([[0, 0], [chartWidth, chartHeight]]);
+
+            zoomContainer.select('.zoom-area')
+                .attr('width', chartWidth)
+                .attr('height', chartHeight);
+
+            svg.select(`#${zoomClipPathId} rect`)
+                .attr('y', -margin.top)
+                .attr('width', chartWidth)
+                .attr('height', height);
+
+            originalXScale = xScale;
+            xScale = d3Zoom.zoomTransform(zoomContainer.node()).rescaleX(originalXScale);
+        }
+
         /**
          * Parses dates and values into JS Date objects and numbers
          * @param  {obj} data Raw data from JSON file
@@ -393,13 +541,25 @@ define(function(require){
          */
         function cleanData(data) {
             return data.map((d) => {
-                d.date = new Date(d[dateLabel]),
-                d.value = +d[valueLabel]
+                let isMissing = isMissingValue(d[valueLabel]);
+
+                d.date = new Date(d[dateLabel]);
+                d.value = isMissing ? cleanMissingValue() : +d[valueLabel];
+                d.missingValue = isMissing && missingValueMode !== missingValueModes.ZERO;
 
                 return d;
             });
         }
 
+        /**
+         * Gives back the value that a missing entry will have in the layers,
+         * NaN breaks the areas, while zero just keeps them flat
+         * @return {Number} Value to use for missing entries
+         */
+        function cleanMissingValue() {
+            return missingValueMode === missingValueModes.ZERO ? 0 : NaN;
+        }
+
         /**
          * Draws the x and y axis on the svg object within their
          * respective groups
@@ -477,43 +637,69 @@ define(function(require){
          * @return void
          */
         function drawGridLines(xTicks, yTicks) {
-            if (grid === 'horizontal' || grid === 'full') {
-                horizontalGridLines = svg.select('.grid-lines-group')
-                    .selectAll('line.horizontal-grid-line')
-                    .data(yScale.ticks(yTicks))
-                    .enter()
-                        .append('line')
-                        .attr('class', 'horizontal-grid-line')
-                        .attr('x1', (-xAxisPadding.left - 30))
-                        .attr('x2', chartWidth)
-                        .attr('y1', (d) => yScale(d))
-                        .attr('y2', (d) => yScale(d));
-            }
+            // Streamgraphs have no meaningful value scale, so we skip their horizontal lines
+            let hasHorizontalGrid = (grid === 'horizontal' || grid === 'full') && !isStreamgraph(),
+                hasVerticalGrid = grid === 'vertical' || grid === 'full';
+
+            horizontalGridLines = svg.select('.grid-lines-group')
+                .selectAll('line.horizontal-grid-line')
+                .data(hasHorizontalGrid ? yScale.ticks(yTicks) : []);
+
+            horizontalGridLines.enter()
+                .append('line')
+                .attr('class', 'horizontal-grid-line')
+              .merge(horizontalGridLines)
+                .attr('x1', (-xAxisPadding.left - 30))
+                .attr('x2', chartWidth)
+                .attr('y1', (d) => yScale(d))
+                .attr('y2', (d) => yScale(d));
 
-            if (grid === 'vertical' || grid === 'full') {
-                verticalGridLines = svg.select('.grid-lines-group')
-                    .selectAll('line.vertical-grid-line')
-                    .data(xScale.ticks(xTicks))
-                    .enter()
-                        .append('line')
-                        .attr('class', 'vertical-grid-line')
-                        .attr('y1', 0)
-                        .attr('y2', chartHeight)
-                        .attr('x1', (d) => xScale(d))
-                        .attr('x2', (d) => xScale(d));
-            }
+            horizontalGridLines.exit().remove();
+
+            verticalGridLines = svg.select('.grid-lines-group')
+                .selectAll('line.vertical-grid-line')
+                .data(hasVerticalGrid ? xScale.ticks(xTicks) : []);
+
+            verticalGridLines.enter()
+                .append('line')
+                .attr('class', 'vertical-grid-line')
+              .merge(verticalGridLines)
+                .attr('y1', 0)
+                .attr('y2', chartHeight)
+                .attr('x1', (d) => xScale(d))
+                .attr('x2', (d) => xScale(d));
+
+            verticalGridLines.exit().remove();
 
             //draw a horizontal line to extend x-axis till the edges
             baseLine = svg.select('.grid-lines-group')
                 .selectAll('line.extended-x-line')
-                .data([0])
-                .enter()
+                .data([0]);
+
+            baseLine.enter()
               .append('line')
                 .attr('class', 'extended-x-line')
+              .merge(baseLine)
                 .attr('x1', (-xAxisPadding.left - 30))
                 .attr('x2', chartWidth)
                 .attr('y1', height - margin.bottom - margin.top)
                 .attr('y2', height - margin.bottom - margin.top);
+
+            //draw a highlighted line on the zero value when there are negative values
+            zeroLine = svg.select('.grid-lines-group')
+                .selectAll('line.zero-line')
+                .data(yScale.domain()[0] < 0 && !isStreamgraph() ? [0] : []);
+
+            zeroLine.enter()
+              .append('line')
+                .attr('class', 'zero-line')
+              .merge(zeroLine)
+                .attr('x1', (-xAxisPadding.left - 30))
+                .attr('x2', chartWidth)
+                .attr('y1', (d) => yScale(d))
+                .attr('y2', (d) => yScale(d));
+
+            zeroLine.exit().remove();
         }
 
         /**
@@ -521,15 +707,19 @@ define(function(require){
          * @private
          */
         function drawHoverOverlay() {
-            overlay = svg.select('.metadata-group')
-                .append('rect')
-                .attr('class', 'overlay')
+            if (!overlay) {
+                overlay = svg.select('.metadata-group')
+                    .append('rect')
+                    .attr('class', 'overlay')
+                    .style('display', 'none');
+            }
+
+            overlay
                 .attr('y1', 0)
                 .attr('y2', chartHeight)
                 .attr('height', chartHeight)
                 .attr('width', chartWidth)
-                .attr('fill', 'rgba(0,0,0,0)')
-                .style('display', 'none');
+                .attr('fill', 'rgba(0,0,0,0)');
         }
 
         /**
@@ -537,57 +727,48 @@ define(function(require){
          * @private
          */
         function drawStackedAreas() {
-            let series;
+            let series, newSeries, layerPaths;
 
             area = d3Shape.area()
+                .defined((d) => !isNaN(d[0]) && !isNaN(d[1]))
                 .curve(d3Shape.curveMonotoneX)
                 .x( ({data}) => xScale(data.date) )
                 .y0( (d) => yScale(d[0]) )
                 .y1( (d) => yScale(d[1]) );
 
+            series = svg.select('.chart-group').selectAll('.layer-container')
+                .data(layers, ({key}) => key);
+
+            // Enter
+            newSeries = series.enter()
+              .append('g')
+                .classed('layer-container', true);
+
+            newSeries
+              .append('path')
+                .attr('class', 'layer')
+                .style('fill', ({key}) => categoryColorMap[key]);
+
+            // Update
+            layerPaths = newSeries.merge(series).select('.layer');
+
             if (isAnimated) {
-                series = svg.select('.chart-group').selectAll('.layer')
-                    .data(layersInitial)
-                    .enter()
-                  .append('g')
-                    .classed('layer-container', true);
-
-                series
-                  .append('path')
-                    .attr('class', 'layer')
-                    .attr('d', area)
-                    .style('fill', ({key}) => categoryColorMap[key]);
-
-                // Update
-                svg.select('.chart-group').selectAll('.layer')
-                    .data(layers)
+                // The new areas grow from the baseline
+                newSeries.select('.layer')
+                    .attr('d', ({key}) => area(layersInitial.find((layer) => layer.key === key)));
+
+                layerPaths = layerPaths
                     .transition()
                     .delay( (_, i) => areaAnimationDelays[i])
                     .duration(areaAnimationDuration)
-                    .ease(ease)
-                    .attr('d', area)
-                    .style('opacity', areaOpacity)
-                    .style('fill', ({key}) => categoryColorMap[key]);
-            } else {
-                series = svg.select('.chart-group').selectAll('.layer')
-                    .data(layers)
-                    .enter()
-                  .append('g')
-                    .classed('layer-container', true);
-
-                series
-                  .append('path')
-                    .attr('class', 'layer')
-                    .attr('d', area)
-                    .style('fill', ({key}) => categoryColorMap[key]);
-
-                // Update
-                series
-                    .attr('d', area)
-                    .style('opacity', areaOpacity)
-                    .style('fill', ({key}) => categoryColorMap[key]);
+                    .ease(ease);
             }
 
+            layerPaths
+                .attr('d', area)
+                .style('opacity', areaOpacity)
+                .style('fill', ({key}) => categoryColorMap[key]);
+
             // Exit
             series.exit()
                 .transition()
@@ -595,26 +776,54 @@ define(function(require){
                 .remove();
         }
 
+        /**
+         * Draws the marker of the second pinned data point, that stays along the hover marker
+         * frozen at the first pinned one
+         * @param  {Object} dataPoint   Pinned data point
+         * @param  {Number} xPosition   Position of the data point on the x axis
+         * @return void
+         */
+        function drawPinnedMarker(dataPoint, xPosition) {
+            pinnedMarkerContainer = svg.select('.metadata-group')
+              .append('g')
+                .attr('class', 'pinned-marker vertical-marker-container')
+                .attr('transform', `translate(${xPosition},0)`);
+
+            pinnedMarkerContainer
+              .append('line')
+                .classed('vertical-marker bc-is-active', true)
+                .attr('x1', 0)
+                .attr('y1', chartHeight)
+                .attr('x2', 0)
+                .attr('y2', 0);
+
+            highlightDataPoints(dataPoint, pinnedMarkerContainer);
+        }
+
         /**
          * Creates the vertical marker
          * @return void
          */
         function drawVerticalMarker() {
-            verticalMarkerContainer = svg.select('.metadata-group')
-                .append('g')
-                .attr('class', 'vertical-marker-container')
-                .attr('transform', 'translate(9999, 0)');
-
-            verticalMarker = verticalMarkerContainer.selectAll('path')
-                .data([{
-                    x1: 0,
-                    y1: 0,
-                    x2: 0,
-                    y2: 0
-                }])
-                .enter()
-              .append('line')
-                .classed('vertical-marker', true)
+            if (!verticalMarkerContainer) {
+                verticalMarkerContainer = svg.select('.metadata-group')
+                    .append('g')
+                    .attr('class', 'vertical-marker-container')
+                    .attr('transform', 'translate(9999, 0)');
+
+                verticalMarker = verticalMarkerContainer.selectAll('path')
+                    .data([{
+                        x1: 0,
+                        y1: 0,
+                        x2: 0,
+                        y2: 0
+                    }])
+                    .enter()
+                  .append('line')
+                    .classed('vertical-marker', true);
+            }
+
+            verticalMarker
                 .attr('x1', 0)
                 .attr('y1', chartHeight)
                 .attr('x2', 0)
@@ -623,10 +832,50 @@ define(function(require){
 
         /**
          * Removes all the datapoints highlighter circles added to the marker container
+         * @param  {D3Selection} [markerContainer] Marker container to clean, the hover one by default
          * @return void
          */
-        function eraseDataPointHighlights() {
-            verticalMarkerContainer.selectAll('.circle-container').remove();
+        function eraseDataPointHighlights(markerContainer = verticalMarkerContainer) {
+            markerContainer.selectAll('.circle-container').remove();
+        }
+
+        /**
+         * Fills the keys that have no value on each date, depending on the missingValueMode.
+         * When interpolating, missing values between two known values are linearly interpolated
+         * by date, the ones on the edges stay missing.
+         * @param  {Object[]} dataByDate    Data by date, with a value for each key
+         * @param  {String[]} keys          Names of the layers
+         * @return void
+         * @private
+         */
+        function fillMissingValues(dataByDate, keys) {
+            keys.forEach((key) => {
+                let knownEntries;
+
+                dataByDate.forEach((d) => {
+                    if (isMissingValue(d[key])) {
+                        d[key] = cleanMissingValue();
+                    }
+                });
+
+                if (missingValueMode === missingValueModes.INTERPOLATE) {
+                    knownEntries = dataByDate.filter((d) => !isNaN(d[key]));
+
+                    dataByDate
+                        .filter((d) => isNaN(d[key]))
+                        .forEach((d) => {
+                            let index = d3Array.bisector(getDate).left(knownEntries, d.date),
+                                previous = knownEntries[index - 1],
+                                next = knownEntries[index],
+                                ratio;
+
+                            if (previous && next) {
+                                ratio = (d.date - previous.date) / (next.date - previous.date);
+                                d[key] = previous[key] + (next[key] - previous[key]) * ratio;
+                            }
+                        });
+                }
+            });
         }
 
         /**
@@ -643,7 +892,8 @@ define(function(require){
                                 )
                                 .map(d => {
                                     return assign({}, d, {
-                                        date: new Date(d.key)
+                                        date: new Date(d.key),
+                                        values: isNormalized() ? getValuesWithPercentage(d.values) : d.values
                                     });
                                 });
 
@@ -653,19 +903,125 @@ define(function(require){
         }
 
         /**
-         * Computes the maximum sum of values for any date
-         *
-         * @return {Number} Max value
+         * Copies the entries of a date adding the percentage of the total that each one represents,
+         * so the tooltip can show it along with the value
+         * @param  {Object[]} values Data entries of a date
+         * @return {Object[]}        Copies of the entries with their percentage
+         * @private
+         */
+        function getValuesWithPercentage(values) {
+            let total = d3Array.sum(values, getValue);
+
+            return values.map((entry) => assign({}, entry, {
+                percentage: total ? calculatePercent(getValue(entry), total, percentageFormat) : null
+            }));
+        }
+
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
          */
-        function getMaxValueByDate() {
-            let keys = uniq(data.map(o => o.name));
-            let maxValueByDate = d3Array.max(dataByDateFormatted, function(d){
-                let vals = keys.map((key) => d[key]);
+        function getAriaLabel() {
+            let [startDate, endDate] = d3Array.extent(dataByDate, getDate);
+
+            if (!dataByDate.length) {
+                return 'Stacked area chart with no data';
+            }
+
+            return `Stacked area chart with ${uniq(data.map(getName)).length} series, ` +
+                `from ${formatDate(startDate)} to ${formatDate(endDate)}`;
+        }
 
-                return d3Array.sum(vals);
+        /**
+         * Gets the text that announces the values of a data point to screen readers,
+         * listing them as they are stacked
+         * @param  {Object} dataPoint Data entry by date
+         * @return {String}           Date and values of the data point
+         * @private
+         */
+        function getDataPointLabel({date, values}) {
+            let valueTexts = sortByStackPosition(values).map(({name, value}) => {
+                return `${name} ${value === null ? 'no value' : getFormattedValue(value)}`;
             });
 
-            return maxValueByDate;
+            return `${formatDate(date)}: ${valueTexts.join(', ')}`;
+        }
+
+        /**
+         * Gets the data entries that can be focused with the keyboard, the ones within the visible date range
+         * @return {Object[]} Focusable data entries by date
+         * @private
+         */
+        function getFocusableDataByDate() {
+            return getVisibleDataByDate().filter(({values}) => values);
+        }
+
+        /**
+         * Gets the entries of dataByDate that fall within the visible date range,
+         * falling back to the range edges when the zoom leaves less than two of them
+         * @return {Object[]} Visible data entries by date
+         */
+        function getVisibleDataByDate() {
+            let [startDate, endDate] = xScale.domain(),
+                visibleDataByDate = dataByDate.filter(({date}) => date >= startDate && date <= endDate);
+
+            if (visibleDataByDate.length < 2) {
+                visibleDataByDate = [{date: startDate}, {date: endDate}];
+            }
+
+            return visibleDataByDate;
+        }
+
+        /**
+         * Computes the minimum and maximum values reached by the stacked layers,
+         * always including zero so negative values grow down from the baseline.
+         * Streamgraphs don't have a zero baseline, so they just fit their layers
+         *
+         * @return {Number[]} Min and max values
+         */
+        function getLayersExtent() {
+            let minValue = d3Array.min(layers, (layer) => d3Array.min(layer, ([y0, y1]) => Math.min(y0, y1)));
+            let maxValue = d3Array.max(layers, (layer) => d3Array.max(layer, ([y0, y1]) => Math.max(y0, y1)));
+
+            if (isStreamgraph()) {
+                return [minValue, maxValue];
+            }
+
+            return [Math.min(0, minValue), Math.max(0, maxValue)];
+        }
+
+        /**
+         * Gets the keys of the layers in the order they will be stacked. When the stack order
+         * is a list of keys, those go first, followed by any key missing in that list
+         *
+         * @return {String[]} Keys of the layers
+         * @private
+         */
+        function getStackKeys() {
+            if (!Array.isArray(stackOrder)) {
+                return order;
+            }
+
+            return uniq(stackOrder.filter((key) => order.indexOf(key) > -1).concat(order));
+        }
+
+        /**
+         * Gets the format of the y axis ticks, that shows percentages on normalized charts
+         * and nothing on streamgraphs, as their values depend on the position of each layer
+         *
+         * @return {Function} Formatter for the y axis ticks
+         * @private
+         */
+        function getYAxisTickFormat() {
+            if (isNormalized()) {
+                return formatPercentageValue;
+            }
+            if (isStreamgraph()) {
+                return () => '';
+            }
+
+            return getFormattedValue;
         }
 
         /**
@@ -675,7 +1031,7 @@ define(function(require){
          * @private
          */
         function getMouseXPosition(event) {
-            return d3Selection.mouse(event)[0];
+            return getPointerPosition(event)[0];
         }
 
         /**
@@ -698,6 +1054,55 @@ define(function(require){
             epsilon = (xScale(dates[1]) - xScale(dates[0])) / 2;
         }
 
+        /**
+         * Gets the data point to send on the events, listing the entries as they are stacked
+         * and adding the previous data point for comparisons
+         * @param  {Object} dataPoint Data entry by date
+         * @return {Object}           Copy of the data entry to dispatch
+         * @private
+         */
+        function getDispatchedDataPoint(dataPoint) {
+            return assign({}, dataPoint, {
+                values: sortByStackPosition(dataPoint.values),
+                previousDataPoint: dataByDate[dataByDate.indexOf(dataPoint) - 1]
+            });
+        }
+
+        /**
+         * Click handler, that pins the nearest data point to the cursor freezing the vertical marker on it,
+         * or pins a second one to compare them. Clicking a pinned data point, or any data point
+         * when there are two of them pinned, unpins them
+         * @private
+         */
+        function handleClick() {
+            let dataPoint, dataPointXPosition;
+
+            if (!isPinnable) {
+                return;
+            }
+            epsilon || setEpsilon();
+            dataPoint = getNearestDataPoint(getMouseXPosition(this) - margin.left);
+
+            if (!dataPoint) {
+                return;
+            }
+            if (pinnedDataPoints.length === maxPinnedDataPoints || pinnedDataPoints.indexOf(dataPoint) !== -1) {
+                unpinDataPoints();
+                handleMouseMove.call(this);
+
+                return;
+            }
+
+            dataPointXPosition = xScale(new Date(dataPoint.key));
+            pinnedDataPoints.push(dataPoint);
+
+            if (pinnedDataPoints.length > 1) {
+                drawPinnedMarker(dataPoint, dataPointXPosition);
+            }
+
+            dispatcher.call('customPin', this, getDispatchedDataPoint(dataPoint), categoryColorMap, dataPointXPosition, pinnedDataPoints.length - 1);
+        }
+
         /**
          * MouseMove handler, calculates the nearest dataPoint to the cursor
          * and updates metadata related to it
@@ -706,26 +1111,78 @@ define(function(require){
         function handleMouseMove() {
             epsilon || setEpsilon();
 
-            let dataPoint = getNearestDataPoint(getMouseXPosition(this) - margin.left),
-                dataPointXPosition;
-
-            if(dataPoint) {
-                dataPointXPosition = xScale(new Date( dataPoint.key ));
-                // Move verticalMarker to that datapoint
-                moveVerticalMarker(dataPointXPosition);
-                // Add data points highlighting
-                highlightDataPoints(dataPoint);
-                // Emit event with xPosition for tooltip or similar feature
-                dispatcher.call('customMouseMove', this, dataPoint, categoryColorMap, dataPointXPosition);
+            let dataPoint = getNearestDataPoint(getMouseXPosition(this) - margin.left);
+
+            if(dataPoint && !pinnedDataPoints.length) {
+                inspectDataPoint.call(this, dataPoint);
+            }
+        }
+
+        /**
+         * Focus handler, that shows the vertical marker on the last focused date
+         * @private
+         */
+        function handleFocus() {
+            let focusableDataByDate = getFocusableDataByDate();
+
+            handleMouseOver.call(this);
+
+            if (focusableDataByDate.length && !pinnedDataPoints.length) {
+                focusedDataPointIndex = Math.min(focusedDataPointIndex, focusableDataByDate.length - 1);
+                inspectDataPoint.call(this, focusableDataByDate[focusedDataPointIndex]);
+                liveRegion.text(getDataPointLabel(focusableDataByDate[focusedDataPointIndex]));
             }
         }
 
+        /**
+         * Keydown handler, that moves the vertical marker to the previous or next date with the arrow keys,
+         * and to the first or last one with the home and end keys
+         * @private
+         */
+        function handleKeyDown() {
+            let focusableDataByDate = getFocusableDataByDate(),
+                index = getNextFocusIndex(d3Selection.event.keyCode, focusedDataPointIndex, focusableDataByDate.length);
+
+            if (index === null || !focusableDataByDate.length || pinnedDataPoints.length) {
+                return;
+            }
+            d3Selection.event.preventDefault();
+            focusedDataPointIndex = index;
+            inspectDataPoint.call(this, focusableDataByDate[index]);
+            liveRegion.text(getDataPointLabel(focusableDataByDate[index]));
+        }
+
+        /**
+         * Zoom handler, rescales the x axis with the current zoom transform and redraws
+         * the axis, grid and areas. It also dispatches the visible date range
+         * @private
+         */
+        function handleZoom() {
+            xScale = d3Selection.event.transform.rescaleX(originalXScale);
+
+            buildAxis();
+            drawAxis();
+            svg.select('.chart-group').selectAll('.layer')
+                .interrupt()
+                .attr('d', area)
+                .style('opacity', areaOpacity);
+
+            if (dataByDate.length > 1) {
+                setEpsilon();
+            }
+
+            dispatcher.call('customZoom', this, xScale.domain());
+        }
+
         /**
          * MouseOut handler, hides overlay and removes active class on verticalMarkerLine
-         * It also resets the container of the vertical marker
+         * It also resets the container of the vertical marker, unless there are pinned data points
          * @private
          */
         function handleMouseOut(data) {
+            if (pinnedDataPoints.length) {
+                return;
+            }
             overlay.style('display', 'none');
             verticalMarker.classed('bc-is-active', false);
             verticalMarkerContainer.attr('transform', 'translate(9999, 0)');
@@ -744,28 +1201,49 @@ define(function(require){
             dispatcher.call('customMouseOver', this, data);
         }
 
+        /**
+         * Touchstart handler, that inspects the data point under the finger
+         * @private
+         */
+        function handleTouchStart() {
+            handleMouseOver.call(this);
+            handleMouseMove.call(this);
+        }
+
+        /**
+         * Touchmove handler, that scrubs through the data points following the finger
+         * without scrolling the page
+         * @private
+         */
+        function handleTouchMove() {
+            d3Selection.event.preventDefault();
+            handleMouseMove.call(this);
+        }
+
         /**
          * Creates coloured circles marking where the exact data y value is for a given data point
          * @param  {obj} dataPoint Data point to extract info from
+         * @param  {D3Selection} [markerContainer] Marker container to draw them in, the hover one by default
          * @private
          */
-        function highlightDataPoints({values}) {
-            let accumulator = 0;
+        function highlightDataPoints({date, values}, markerContainer = verticalMarkerContainer) {
+            let circleSize = 12;
 
-            eraseDataPointHighlights();
+            eraseDataPointHighlights(markerContainer);
 
-            // ensure order stays constant
-            values = values
-                        .filter(v => !!v)
-                        .sort((a,b) => order.indexOf(a.name) > order.indexOf(b.name))
+            // Placing the markers on top of each layer keeps them right for any stack offset
+            layers.forEach((layer) => {
+                let entry = values.find(({name}) => name === layer.key),
+                    point = layer.find(({data}) => data.date.getTime() === date.getTime()),
+                    marker;
 
-            values.forEach(({name}, index) => {
-                let marker = verticalMarkerContainer
-                                .append('g')
-                                .classed('circle-container', true),
-                    circleSize = 12;
+                if (!entry || entry.missingValue || !point) {
+                    return;
+                }
 
-                accumulator = accumulator + values[index][valueLabel];
+                marker = markerContainer
+                    .append('g')
+                    .classed('circle-container', true);
 
                 marker.append('circle')
                     .classed('data-point-highlighter', true)
@@ -773,12 +1251,51 @@ define(function(require){
                     .attr('cy', 0)
                     .attr('r', 5)
                     .style('stroke-width', 2)
-                    .style('stroke', categoryColorMap[name]);
+                    .style('stroke', categoryColorMap[layer.key]);
 
-                marker.attr('transform', `translate( ${(- circleSize)}, ${(yScale(accumulator))} )` );
+                marker.attr('transform', `translate( ${(- circleSize)}, ${(yScale(point[1]))} )` );
             });
         }
 
+        /**
+         * Checks whether the layers are stacked as shares of the total,
+         * either by the normalized mode or by an 'expand' stack offset
+         *
+         * @return {Boolean} If the chart is normalized
+         * @private
+         */
+        function isNormalized() {
+            return normalized || stackOffset === stackOffsets.EXPAND;
+        }
+
+        /**
+         * Checks whether the stack offset draws a streamgraph, centering the layers
+         * around a baseline that changes along the x axis
+         *
+         * @return {Boolean} If the chart is a streamgraph
+         * @private
+         */
+        function isStreamgraph() {
+            return !isNormalized() &&
+                (stackOffset === stackOffsets.SILHOUETTE || stackOffset === stackOffsets.WIGGLE);
+        }
+
+        /**
+         * Moves the vertical marker to a data point, highlighting it and triggering the customMouseMove event
+         * @param  {Object} dataPoint Data entry by date
+         * @private
+         */
+        function inspectDataPoint(dataPoint) {
+            let dataPointXPosition = xScale(new Date( dataPoint.key ));
+
+            // Move verticalMarker to that datapoint
+            moveVerticalMarker(dataPointXPosition);
+            // Add data points highlighting
+            highlightDataPoints(dataPoint);
+            // Emit event with xPosition for tooltip or similar feature
+            dispatcher.call('customMouseMove', this, getDispatchedDataPoint(dataPoint), categoryColorMap, dataPointXPosition);
+        }
+
         /**
          * Helper method to update the x position of the vertical marker
          * @param  {obj} dataPoint Data entry to extract info
@@ -795,7 +1312,43 @@ define(function(require){
          * @private
          */
         function shouldShowTooltip() {
-            return width > tooltipThreshold;
+            return width > tooltipThreshold || isTouchDevice();
+        }
+
+        /**
+         * Sorts the entries of a date by the stacking position of their layers,
+         * from the bottom to the top one
+         *
+         * @param  {Object[]} values Data entries of a date
+         * @return {Object[]}        Sorted copy of the entries
+         * @private
+         */
+        function sortByStackPosition(values) {
+            let stackPositions = layers.reduce((memo, {key, index}) => {
+                memo[key] = index;
+
+                return memo;
+            }, {});
+
+            return values.slice().sort((a, b) => stackPositions[a.name] - stackPositions[b.name]);
+        }
+
+        /**
+         * Unpins all the pinned data points, removing the marker of the second one
+         * @return void
+         * @private
+         */
+        function unpinDataPoints() {
+            let unpinnedDataPoints = pinnedDataPoints;
+
+            pinnedDataPoints = [];
+
+            if (pinnedMarkerContainer) {
+                pinnedMarkerContainer.remove();
+                pinnedMarkerContainer = null;
+            }
+
+            dispatcher.call('customUnpin', svg.node(), unpinnedDataPoints);
         }
 
         // Accessors
@@ -860,6 +1413,21 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+
+            return this;
+        };
+
         /**
          * Exposes the ability to force the chart to show a certain x axis grouping
          * @param  {String} _x Desired format
@@ -942,6 +1510,23 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the names of the areas that won't be drawn, leaving them out of the stack
+         * and the y axis domain while keeping the colors of the rest. Re-render the chart after changing it
+         *
+         * @param  {String[]} _x Desired hidden names
+         * @return { hiddenSeries | module} Current hidden names or Area Chart module to chain calls
+         * @public
+         */
+        exports.hiddenSeries = function(_x) {
+            if (!arguments.length) {
+                return hiddenSeries;
+            }
+            hiddenSeries = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the isAnimated property of the chart, making it to animate when render.
          * By default this is 'false'
@@ -959,6 +1544,44 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the isPinnable property of the chart. When true, clicking the chart pins
+         * the tooltip and vertical marker on the nearest data point, and clicking another one
+         * pins a second marker to compare them, triggering customPin events.
+         * Clicking again unpins them, triggering a customUnpin event.
+         * By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired pinnable flag
+         * @return { isPinnable | module} Current isPinnable flag or Chart module
+         * @public
+         */
+        exports.isPinnable = function(_x) {
+            if (!arguments.length) {
+                return isPinnable;
+            }
+            isPinnable = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the isZoomable property of the chart, enabling zooming and panning
+         * the x axis with the mouse wheel, pinching or dragging.
+         * By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired zoomable flag
+         * @return { isZoomable | module} Current isZoomable flag or Chart module
+         * @public
+         */
+        exports.isZoomable = function(_x) {
+            if (!arguments.length) {
+                return isZoomable;
+            }
+            isZoomable = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the keyLabel of the chart
          * @param  {Number} _x Desired keyLabel for the graph
@@ -990,7 +1613,107 @@ define(function(require){
         };
 
         /**
-         * Gets or Sets the minimum width of the graph in order to show the tooltip
+         * Gets or Sets the way the chart deals with missing (null or undefined) values:
+         * breaking the areas ('gap'), interpolating them from the values around them ('interpolate')
+         * or treating them as zeros ('zero', the default)
+         *
+         * @param  {String} _x Desired mode for missing values
+         * @return { missingValueMode | module} Current mode or Area Chart module to chain calls
+         * @public
+         * @example
+         *     area.missingValueMode(area.missingValueModes.GAP)
+         */
+        exports.missingValueMode = function(_x) {
+            if (!arguments.length) {
+                return missingValueMode;
+            }
+            missingValueMode = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the normalized mode of the chart, that stacks the share of the total
+         * of each area (100% stacked area), showing percentages on the y axis.
+         * The tooltip entries get the percentage each value represents.
+         * It takes precedence over the stack offset. By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired normalized mode
+         * @return { normalized | module} Current normalized mode or Area Chart module to chain calls
+         * @public
+         */
+        exports.normalized = function(_x) {
+            if (!arguments.length) {
+                return normalized;
+            }
+            normalized = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the offset applied to the stacked layers:
+         * 'none' (the default) stacks them from zero, 'expand' stacks their share of the total
+         * like the normalized mode, while 'silhouette' and 'wiggle' center them around a moving
+         * baseline to draw a streamgraph, hiding the y axis values and horizontal grid lines
+         *
+         * @param  {String} _x Desired stack offset
+         * @return { stackOffset | module} Current stack offset or Area Chart module to chain calls
+         * @public
+         * @example
+         *     area.stackOffset(area.stackOffsets.WIGGLE)
+         */
+        exports.stackOffset = function(_x) {
+            if (!arguments.length) {
+                return stackOffset;
+            }
+            stackOffset = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the order in which the layers are stacked, from the bottom to the top one:
+         * 'none' (the default) keeps the order of the data, 'ascending' and 'descending' sort them
+         * by their total value and 'insideOut' puts the largest ones in the middle, as streamgraphs do.
+         * It also accepts a list of keys, stacking any key missing in it on top.
+         * The tooltip lists the entries following this order
+         *
+         * @param  {String | String[]} _x Desired stack order or list of keys
+         * @return { stackOrder | module} Current stack order or Area Chart module to chain calls
+         * @public
+         * @example
+         *     area.stackOrder(area.stackOrders.INSIDE_OUT)
+         *     area.stackOrder(['Los Angeles', 'San Francisco', 'Oakland'])
+         */
+        exports.stackOrder = function(_x) {
+            if (!arguments.length) {
+                return stackOrder;
+            }
+            stackOrder = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the minimum width of the graph in order to show the tooltip.
+         * The tooltip is always shown on touch devices, where it follows the finger
          * NOTE: This could also depend on the aspect ratio
          *
          * @param  {Object} _x Margin object to get/set
@@ -1065,7 +1788,7 @@ define(function(require){
         /**
          * Exposes an 'on' method that acts as a bridge with the event dispatcher
          * We are going to expose this events:
-         * customMouseOver, customMouseMove and customMouseOut
+         * customMouseOver, customMouseMove, customMouseOut, customZoom, customPin and customUnpin
          *
          * @return {module} Bar Chart
          * @public
@@ -1076,6 +1799,79 @@ define(function(require){
             return value === dispatcher ? exports : value;
         };
 
+        /**
+         * Unpins the pinned data points, hiding the vertical marker and triggering a customUnpin event
+         *
+         * @return {module} Stacked Area module to chain calls
+         * @public
+         */
+        exports.unpin = function() {
+            if (pinnedDataPoints.length) {
+                unpinDataPoints();
+                verticalMarkerContainer.attr('transform', 'translate(9999, 0)');
+            }
+
+            return this;
+        };
+
+        /**
+         * Resets the zoom of the chart, showing the whole date range
+         * It requires the chart to be zoomable and rendered
+         *
+         * @return {module} Stacked Area module to chain calls
+         * @public
+         */
+        exports.resetZoom = function() {
+            if (zoom) {
+                svg.select('.container-group')
+                    .call(zoom.transform, d3Zoom.zoomIdentity);
+            }
+
+            return this;
+        };
+
+        /**
+         * Zooms the chart into the given date range
+         * It requires the chart to be zoomable and rendered. The dates can come in any order,
+         * are clamped to the dates of the data, and an empty range leaves the zoom as it is.
+         * The range can't be narrower than the maximum zoom allows
+         *
+         * @param  {Date|String} startDate  First date of the range to show
+         * @param  {Date|String} endDate    Last date of the range to show
+         * @return {module} Stacked Area module to chain calls
+         * @public
+         * @example
+         *     stackedArea.zoomTo(new Date('2017-01-01'), new Date('2017-02-01'))
+         */
+        exports.zoomTo = function(startDate, endDate) {
+            let firstDate, lastDate, startTime, endTime, startX, scale;
+
+            if (zoom) {
+                [firstDate, lastDate] = originalXScale.domain();
+                [startTime, endTime] = d3Array.extent([startDate, endDate], (d) =>
+                    Math.min(Math.max(new Date(d), firstDate), lastDate)
+                );
+
+                if (!(endTime > startTime)) {
+                    return this;
+                }
+
+                scale = Math.min(
+                    chartWidth / (originalXScale(endTime) - originalXScale(startTime)),
+                    maxZoomScale
+                );
+                startX = Math.min(originalXScale(startTime), chartWidth - chartWidth / scale);
+
+                svg.select('.container-group')
+                    .call(zoom.transform, d3Zoom.zoomIdentity
+                        .scale(scale)
+                        .translate(-startX, 0)
+                    );
+            }
+
+            return this;
+        };
+
         /**
          * Exposes the constants to be used to force the x axis to respect a certain granularity
          * current options: MINUTE_HOUR, HOUR_DAY, DAY_MONTH, MONTH_YEAR
@@ -1084,6 +1880,30 @@ define(function(require){
          */
         exports.axisTimeCombinations = axisTimeCombinations;
 
+        /**
+         * Exposes the constants to be used to set the way missing values are represented
+         * current options: GAP, INTERPOLATE, ZERO
+         * @example
+         *     area.missingValueMode(area.missingValueModes.INTERPOLATE)
+         */
+        exports.missingValueModes = missingValueModes;
+
+        /**
+         * Exposes the constants to be used to set the offset of the stacked layers
+         * current options: NONE, EXPAND, SILHOUETTE, WIGGLE
+         * @example
+         *     area.stackOffset(area.stackOffsets.SILHOUETTE)
+         */
+        exports.stackOffsets = stackOffsets;
+
+        /**
+         * Exposes the constants to be used to set the order of the stacked layers
+         * current options: NONE, ASCENDING, DESCENDING, INSIDE_OUT
+         * @example
+         *     area.stackOrder(area.stackOrders.DESCENDING)
+         */
+        exports.stackOrders = stackOrders;
+
         return exports;
     };
 
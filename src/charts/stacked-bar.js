@@ -11,10 +11,25 @@ define(function(require){
     const d3Scale = require('d3-scale');
     const d3Shape = require('d3-shape');
     const d3Selection = require('d3-selection');
+    const d3Transition = require('d3-transition');
     const assign = require('lodash.assign');
 
     const {exportChart} = require('./helpers/exportChart');
     const colorHelper = require('./helpers/colors');
+    const {
+        calculatePercent,
+        getPointerPosition,
+        isTouchDevice
+    } = require('./helpers/common');
+    const {
+        buildLiveRegion,
+        describeChart,
+        getNextFocusIndex
+    } = require('./helpers/accessibility');
+    const {
+        formatPercentageValue,
+        formatValue
+    } = require('./helpers/formatHelpers');
     const NUMBER_FORMAT = ',f';
     const uniq = (arrArg) => arrArg.filter((elem, pos, arr) => arr.indexOf(elem) == pos);
 
@@ -99,11 +114,14 @@ define(function(require){
 
             ease = d3Ease.easeQuadInOut,
             horizontal = false,
+            normalized = false,
+            percentageFormat = '.1f',
 
             svg,
             chartWidth, chartHeight,
             data,
             stacks,
+            hiddenSeries = [],
 
             transformedData,
 
@@ -135,8 +153,18 @@ define(function(require){
             getStack = (data) => data[stackLabel],
             isAnimated = false,
 
+            isPinnable = false,
+            pinnedDataPoints = [],
+            pinnedMarker,
+            maxPinnedDataPoints = 2,
+
+            title = null,
+            desc = null,
+            liveRegion,
+            focusedDataPointIndex = 0,
+
             // events
-            dispatcher = d3Dispatch.dispatch('customMouseOver', 'customMouseOut', 'customMouseMove');
+            dispatcher = d3Dispatch.dispatch('customMouseOver', 'customMouseOut', 'customMouseMove', 'customPin', 'customUnpin');
 
         /**
          * This function creates the graph using the selection and data provided
@@ -150,16 +178,21 @@ define(function(require){
                 chartHeight = height - margin.top - margin.bottom;
                 data = cleanData(_data);
 
+                // The pinned data points are not valid once the data changes
+                exports.unpin();
+
                 prepareData(data);
-                buildScales();
                 buildLayers();
+                buildScales();
                 buildSVG(this);
                 drawGridLines();
                 buildAxis();
                 drawAxis();
                 drawStackedBar();
+                addAccessibility();
                 if (shouldShowTooltip()){
                     addMouseEvents();
+                    addKeyboardEvents();
                 }
             });
         }
@@ -169,18 +202,20 @@ define(function(require){
          * @private
          */
         function prepareData(data) {
-            stacks = uniq(data.map(({stack}) => stack));
+            stacks = uniq(data.map(({stack}) => stack)).filter((stack) => hiddenSeries.indexOf(stack) === -1);
             transformedData = d3Collection.nest()
                 .key(getName)
                 .rollup(function(values) {
                     let ret = {};
 
+                    values = values.filter((entry) => stacks.indexOf(getStack(entry)) > -1);
+
                     values.forEach((entry) => {
                         if (entry && entry[stackLabel]) {
                             ret[entry[stackLabel]] = getValue(entry);
                         }
                     });
-                    ret.values = values; //for tooltip
+                    ret.values = normalized ? getValuesWithPercentage(values) : values; //for tooltip
 
                     return ret;
                 })
@@ -195,13 +230,41 @@ define(function(require){
 
         /**
          * Adds events to the container group if the environment is not mobile
-         * Adding: mouseover, mouseout and mousemove
+         * Adding: mouseover, mouseout, mousemove, click, touchstart and touchmove
          */
         function addMouseEvents() {
             svg
                 .on('mouseover', handleMouseOver)
                 .on('mouseout', handleMouseOut)
-                .on('mousemove', handleMouseMove);
+                .on('mousemove', handleMouseMove)
+                .on('click', handleClick)
+                .on('touchstart', handleTouchStart)
+                .on('touchmove', handleTouchMove);
+        }
+
+        /**
+         * Labels the chart for screen readers, with a summary of its data and its title and description
+         * @private
+         */
+        function addAccessibility() {
+            if (!liveRegion) {
+                liveRegion = buildLiveRegion(svg);
+            }
+            describeChart(svg, getAriaLabel(), title, desc);
+        }
+
+        /**
+         * Makes the chart focusable, so the arrow keys move the marker across the bars
+         * announcing their values, the same way the mouse inspects them
+         * Adding: focus, blur and keydown
+         * @private
+         */
+        function addKeyboardEvents() {
+            svg
+                .attr('tabindex', 0)
+                .on('focus', handleFocus)
+                .on('blur', handleMouseOut)
+                .on('keydown', handleKeyDown);
         }
 
         /**
@@ -218,6 +281,10 @@ define(function(require){
                 .ticks(numOfHorizontalTicks, valueLabelFormat);
                 yAxis = d3Axis.axisLeft(yScale)
             }
+
+            if (normalized) {
+                (horizontal ? xAxis : yAxis).tickFormat(formatPercentageValue);
+            }
         }
 
         /**
@@ -253,7 +320,9 @@ define(function(require){
          * @private
          */
         function buildLayers(){
-            let stack3 = d3Shape.stack().keys(stacks),
+            let stack3 = d3Shape.stack()
+                    .keys(stacks)
+                    .offset(normalized ? d3Shape.stackOffsetExpand : d3Shape.stackOffsetDiverging),
                 dataInitial = transformedData.map((item) => {
                         let ret = {};
 
@@ -272,9 +341,7 @@ define(function(require){
          * @private
          */
         function buildScales() {
-            let yMax = d3Array.max(transformedData.map(function(d){
-                return d.total;
-            }));
+            let [yMin, yMax] = getLayersExtent();
 
             if (!horizontal) {
                 xScale = d3Scale.scaleBand()
@@ -283,12 +350,12 @@ define(function(require){
                     .padding(0.1);
 
                 yScale = d3Scale.scaleLinear()
-                    .domain([0,yMax])
+                    .domain([yMin, yMax])
                     .rangeRound([chartHeight, 0])
                     .nice();
             } else {
                 xScale = d3Scale.scaleLinear()
-                    .domain([0, yMax])
+                    .domain([yMin, yMax])
                     .rangeRound([0, chartWidth - 1]);
                 // 1 pix for edge tick
 
@@ -391,31 +458,67 @@ define(function(require){
          * @return void
          */
         function drawGridLines(xTicks, yTicks) {
-            if (grid === 'horizontal' || grid === 'full') {
-                svg.select('.grid-lines-group')
+            let horizontalGridLines = svg.select('.grid-lines-group')
                     .selectAll('line.horizontal-grid-line')
-                    .data(yScale.ticks(yTicks).slice(1))
-                    .enter()
-                      .append('line')
-                        .attr('class', 'horizontal-grid-line')
-                        .attr('x1', (-xAxisPadding.left + 1 ))
-                        .attr('x2', chartWidth)
-                        .attr('y1', (d) => yScale(d))
-                        .attr('y2', (d) => yScale(d));
-            }
-
-            if (grid === 'vertical' || grid === 'full') {
-                svg.select('.grid-lines-group')
+                    .data(grid === 'horizontal' || grid === 'full' ? yScale.ticks(yTicks).slice(1) : []),
+                verticalGridLines = svg.select('.grid-lines-group')
                     .selectAll('line.vertical-grid-line')
-                    .data(xScale.ticks(xTicks).slice(1))
-                    .enter()
-                      .append('line')
-                        .attr('class', 'vertical-grid-line')
-                        .attr('y1', 0)
-                        .attr('y2', chartHeight )
-                        .attr('x1', (d) => xScale(d))
-                        .attr('x2', (d) => xScale(d));
+                    .data(grid === 'vertical' || grid === 'full' ? xScale.ticks(xTicks).slice(1) : []);
+
+            horizontalGridLines.enter()
+              .append('line')
+                .attr('class', 'horizontal-grid-line')
+              .merge(horizontalGridLines)
+                .attr('x1', (-xAxisPadding.left + 1 ))
+                .attr('x2', chartWidth)
+                .attr('y1', (d) => yScale(d))
+                .attr('y2', (d) => yScale(d));
+
+            horizontalGridLines.exit().remove();
+
+            verticalGridLines.enter()
+              .append('line')
+                .attr('class', 'vertical-grid-line')
+              .merge(verticalGridLines)
+                .attr('y1', 0)
+                .attr('y2', chartHeight )
+                .attr('x1', (d) => xScale(d))
+                .attr('x2', (d) => xScale(d));
+
+            verticalGridLines.exit().remove();
+
+            drawZeroLine();
+        }
+
+        /**
+         * Draws a highlighted line on the zero baseline when the data has negative values
+         * @return void
+         */
+        function drawZeroLine() {
+            let valueScale = horizontal ? xScale : yScale,
+                zeroLine = svg.select('.grid-lines-group')
+                    .selectAll('line.zero-line')
+                    .data(valueScale.domain()[0] < 0 ? [0] : []),
+                zeroLineMerged = zeroLine.enter()
+                  .append('line')
+                    .attr('class', 'zero-line')
+                  .merge(zeroLine);
+
+            if (!horizontal) {
+                zeroLineMerged
+                    .attr('x1', (-xAxisPadding.left + 1 ))
+                    .attr('x2', chartWidth)
+                    .attr('y1', (d) => yScale(d))
+                    .attr('y2', (d) => yScale(d));
+            } else {
+                zeroLineMerged
+                    .attr('y1', 0)
+                    .attr('y2', chartHeight)
+                    .attr('x1', (d) => xScale(d))
+                    .attr('x2', (d) => xScale(d));
             }
+
+            zeroLine.exit().remove();
         }
 
         /**
@@ -425,33 +528,33 @@ define(function(require){
          */
         function drawHorizontalBars(series) {
             // Enter + Update
-            let context,
-                bars = series
-                    .data(layers)
-                    .enter()
-                      .append('g')
-                        .classed('layer', true)
-                        .attr('fill', (({key}) => categoryColorMap[key]))
-                        .selectAll('.bar')
-                        .data( (d)=> d)
-                        .enter()
-                          .append('rect')
-                            .classed('bar', true)
-                            .attr('x', (d) => xScale(d[0]) )
-                            .attr('y', (d) => yScale(d.data.key) )
-                            .attr('height', yScale.bandwidth())
-                            .attr('fill', (({data}) => categoryColorMap[data.stack+data.key]));
+            let bars = series.enter()
+                  .append('g')
+                    .classed('layer', true)
+                  .merge(series)
+                    .attr('fill', (({key}) => categoryColorMap[key]))
+                    .selectAll('.bar')
+                    .data( (d)=> d),
+                newBars = bars.enter()
+                  .append('rect')
+                    .classed('bar', true)
+                    .style('opacity', isAnimated ? 0.24 : null);
+
+            bars = newBars.merge(bars)
+                .attr('x', (d) => xScale(d[0]) )
+                .attr('y', (d) => yScale(d.data.key) )
+                .attr('height', yScale.bandwidth())
+                .attr('fill', (({data}) => categoryColorMap[data.stack+data.key]));
 
             if (isAnimated){
-                bars.style('opacity', 0.24)
-                    .transition()
+                bars.transition()
                     .delay((_, i) => animationDelays[i])
                     .duration(animationDuration)
                     .ease(ease)
                     .tween('attr.width', function(d ){
                         let node = d3Selection.select(this),
-                        i = d3Interpolate.interpolateRound(0,xScale(d[1] - d[0] )),
-                        j = d3Interpolate.interpolateNumber(0,1)
+                        i = d3Interpolate.interpolateRound(+node.attr('width') || 0, xScale(d[1]) - xScale(d[0])),
+                        j = d3Interpolate.interpolateNumber(+node.style('opacity'), 1)
                         ;
 
                         return function(t){
@@ -460,15 +563,15 @@ define(function(require){
                         }
                     });
             } else {
-                bars.attr('width', (d) => xScale(d[1] - d[0] ) )
+                bars.attr('width', (d) => xScale(d[1]) - xScale(d[0]) )
             }
 
             bars.on('mouseover', function(d) {
-                    dispatcher.call('customMouseOver', this, !!d.values ? d:d.data, d3Selection.mouse(this), [chartWidth, chartHeight]);
+                    dispatcher.call('customMouseOver', this, !!d.values ? d:d.data, getPointerPosition(this), [chartWidth, chartHeight]);
                     d3Selection.select(this).attr('fill', () => d3Color.color(d3Selection.select(this.parentNode).attr('fill')).darker())
                 })
                 .on('mousemove', function(d) {
-                    dispatcher.call('customMouseMove', this, !!d.values ? d:d.data, d3Selection.mouse(this), [chartWidth, chartHeight]);
+                    dispatcher.call('customMouseMove', this, !!d.values ? d:d.data, getPointerPosition(this), [chartWidth, chartHeight]);
                 })
                 .on('mouseout', function() {
                     dispatcher.call('customMouseOut', this);
@@ -483,31 +586,33 @@ define(function(require){
          */
         function drawVerticalBars(series) {
             // Enter + Update
-            let bars = series
-                .data(layers)
-                .enter()
+            let bars = series.enter()
                   .append('g')
                     .classed('layer', true)
+                  .merge(series)
                     .attr('fill', (({key}) => categoryColorMap[key]))
                     .selectAll('.bar')
-                    .data((d) => d)
-                    .enter()
-                      .append('rect')
-                        .classed('bar', true)
-                        .attr('x', (d) => xScale(d.data.key))
-                        .attr('y', (d) => yScale(d[1]))
-                        .attr('width', xScale.bandwidth )
-                        .attr('fill', (({data}) => categoryColorMap[data.stack+data.key])),context;
+                    .data((d) => d),
+                newBars = bars.enter()
+                  .append('rect')
+                    .classed('bar', true)
+                    .style('opacity', isAnimated ? 0.24 : null);
+
+            bars = newBars.merge(bars)
+                .attr('x', (d) => xScale(d.data.key))
+                .attr('y', (d) => yScale(d[1]))
+                .attr('width', xScale.bandwidth )
+                .attr('fill', (({data}) => categoryColorMap[data.stack+data.key]));
 
             if (isAnimated){
-                bars.style('opacity', 0.24).transition()
+                bars.transition()
                     .delay( (_, i) => animationDelays[i])
                     .duration(animationDuration)
                     .ease(ease)
                     .tween('attr.height', function(d ){
                         let node = d3Selection.select(this),
-                        i = d3Interpolate.interpolateRound(0, yScale(d[0]) - yScale(d[1])),
-                        j = d3Interpolate.interpolateNumber(0,1)
+                        i = d3Interpolate.interpolateRound(+node.attr('height') || 0, yScale(d[0]) - yScale(d[1])),
+                        j = d3Interpolate.interpolateNumber(+node.style('opacity'), 1)
                         ;
 
                         return function(t){
@@ -524,7 +629,7 @@ define(function(require){
                     d3Selection.select(this).attr('fill', () => d3Color.color(d3Selection.select(this.parentNode).attr('fill')).darker())
                 })
                 .on('mousemove', function(d) {
-                    dispatcher.call('customMouseMove', this, !!d.values ? d:d.data, d3Selection.mouse(this), [chartWidth, chartHeight]);
+                    dispatcher.call('customMouseMove', this, !!d.values ? d:d.data, getPointerPosition(this), [chartWidth, chartHeight]);
                 })
                 .on('mouseout', function() {
                     dispatcher.call('customMouseOut', this);
@@ -538,6 +643,7 @@ define(function(require){
          */
         function drawStackedBar(){
             let series = svg.select('.chart-group').selectAll('.layer')
+                .data(layers, ({key}) => key);
 
             if (!horizontal) {
                 drawVerticalBars(series)
@@ -551,6 +657,55 @@ define(function(require){
                 .remove();
         }
 
+        /**
+         * Computes the minimum and maximum values reached by the stacked bars,
+         * always including zero so negative values grow from the baseline
+         * @return {Number[]} Min and max values
+         * @private
+         */
+        function getLayersExtent() {
+            let minValue = d3Array.min(layers, (layer) => d3Array.min(layer, ([y0]) => y0)),
+                maxValue = d3Array.max(layers, (layer) => d3Array.max(layer, ([, y1]) => y1));
+
+            return [Math.min(0, minValue), Math.max(0, maxValue)];
+        }
+
+        /**
+         * Copies the entries of a bar adding the percentage of the total that each one represents,
+         * so the tooltip can show it along with the value
+         * @param  {Object[]} values Data entries of a bar
+         * @return {Object[]}        Copies of the entries with their percentage
+         * @private
+         */
+        function getValuesWithPercentage(values) {
+            let total = d3Array.sum(values, getValue);
+
+            return values.map((entry) => assign({}, entry, {
+                percentage: total ? calculatePercent(getValue(entry), total, percentageFormat) : null
+            }));
+        }
+
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            return `Stacked bar chart with ${transformedData.length} bars, stacking ${stacks.length} series`;
+        }
+
+        /**
+         * Gets the text that announces the values of a bar to screen readers
+         * @param  {Object} dataPoint Data entry of the bar
+         * @return {String}           Name, values and total of the bar
+         * @private
+         */
+        function getDataPointLabel({key, values, total}) {
+            let valueTexts = values.map((entry) => `${getStack(entry)} ${formatValue(getValue(entry))}`);
+
+            return `${key}: ${valueTexts.join(', ')}, total ${formatValue(total)}`;
+        }
+
         /**
          * Extract X position on the chart from a given mouse event
          * @param  {obj} event D3 mouse event
@@ -558,7 +713,7 @@ define(function(require){
          * @private
          */
         function getMousePosition(event) {
-            return d3Selection.mouse(event);
+            return getPointerPosition(event);
         }
 
         /**
@@ -601,6 +756,73 @@ define(function(require){
             return nearest.length ? nearest[0] :undefined;
         }
 
+        /**
+         * Finds out the data entry that is closer to the mouse, depending on the orientation of the chart
+         * @param  {Number[]} mousePos  Position of the mouse
+         * @return {obj}                Data entry that is closer to the mouse
+         * @private
+         */
+        function getDataPointForMouse(mousePos) {
+            return !horizontal ? getNearestDataPoint(mousePos[0] - margin.left) : getNearestDataPoint2(mousePos);
+        }
+
+        /**
+         * Gets the position of the marker for a data entry
+         * @param  {obj} dataPoint        Data entry
+         * @param  {Number[]} [mousePos]  Position of the mouse, the marker goes at the end of
+         *                                horizontal bars without it, as when focused with the keyboard
+         * @return {Number[]}             Position of the marker
+         * @private
+         */
+        function getMarkerPosition(dataPoint, mousePos) {
+            if (!horizontal) {
+                return [xScale(dataPoint.key), yScale(normalized ? 1 : dataPoint.total)];
+            }
+            if (!mousePos) {
+                return [xScale(normalized ? 1 : dataPoint.total), yScale(dataPoint.key) + yScale.bandwidth()/2];
+            }
+
+            return [mousePos[1], yScale(dataPoint.key) + yScale.bandwidth()/2];
+        }
+
+        /**
+         * Click handler, that pins the nearest data point to the cursor freezing the tooltip on it,
+         * or pins a second one to compare them, adding a pinned marker group to attach another tooltip.
+         * Clicking a pinned data point, or any data point when there are two of them pinned, unpins them
+         * @private
+         */
+        function handleClick() {
+            let mousePos, dataPoint, x, y;
+
+            if (!isPinnable) {
+                return;
+            }
+            mousePos = getMousePosition(this);
+            dataPoint = getDataPointForMouse(mousePos);
+
+            if (!dataPoint) {
+                return;
+            }
+            if (pinnedDataPoints.length === maxPinnedDataPoints || pinnedDataPoints.indexOf(dataPoint) !== -1) {
+                unpinDataPoints();
+                handleMouseMove.call(this);
+
+                return;
+            }
+
+            [x, y] = getMarkerPosition(dataPoint, mousePos);
+            pinnedDataPoints.push(dataPoint);
+
+            if (pinnedDataPoints.length > 1) {
+                pinnedMarker = svg.select('.container-group')
+                  .append('g')
+                    .classed('pinned-marker', true)
+                    .attr('transform', `translate(${x},${y})`);
+            }
+
+            dispatcher.call('customPin', this, dataPoint, categoryColorMap, x, y, pinnedDataPoints.length - 1);
+        }
+
         /**
          * MouseMove handler, calculates the nearest dataPoint to the cursor
          * and updates metadata related to it
@@ -608,30 +830,53 @@ define(function(require){
          */
         function handleMouseMove(){
             let mousePos = getMousePosition(this),
-                dataPoint = !horizontal ? getNearestDataPoint(mousePos[0] - margin.left) : getNearestDataPoint2(mousePos),
-                x,
-                y;
-
-            if (dataPoint) {
-                // Move verticalMarker to that datapoint
-                if (!horizontal) {
-                    x =  xScale(dataPoint.key),y = yScale(dataPoint.total);
-                    moveVerticalMarkerXY(x,y);
-                } else {
-                    x = mousePos[1],y = yScale(dataPoint.key) +  yScale.bandwidth()/2;
-                    moveVerticalMarkerXY(x,y);
-                }
-                   // Emit event with xPosition for tooltip or similar feature
-                dispatcher.call('customMouseMove', this, dataPoint, categoryColorMap, x,y);
+                dataPoint = getDataPointForMouse(mousePos);
+
+            if (dataPoint && !pinnedDataPoints.length) {
+                inspectDataPoint.call(this, dataPoint, mousePos);
             }
         }
 
+        /**
+         * Focus handler, that shows the marker on the last focused bar
+         * @private
+         */
+        function handleFocus() {
+            handleMouseOver.call(this);
+
+            if (transformedData.length && !pinnedDataPoints.length) {
+                focusedDataPointIndex = Math.min(focusedDataPointIndex, transformedData.length - 1);
+                inspectDataPoint.call(this, transformedData[focusedDataPointIndex]);
+                liveRegion.text(getDataPointLabel(transformedData[focusedDataPointIndex]));
+            }
+        }
+
+        /**
+         * Keydown handler, that moves the marker to the previous or next bar with the arrow keys,
+         * and to the first or last one with the home and end keys
+         * @private
+         */
+        function handleKeyDown() {
+            let index = getNextFocusIndex(d3Selection.event.keyCode, focusedDataPointIndex, transformedData.length);
+
+            if (index === null || !transformedData.length || pinnedDataPoints.length) {
+                return;
+            }
+            d3Selection.event.preventDefault();
+            focusedDataPointIndex = index;
+            inspectDataPoint.call(this, transformedData[index]);
+            liveRegion.text(getDataPointLabel(transformedData[index]));
+        }
+
         /**
          * MouseOut handler, hides overlay and removes active class on verticalMarkerLine
-         * It also resets the container of the vertical marker
+         * It also resets the container of the vertical marker, unless there are pinned data points
          * @private
          */
         function handleMouseOut(data){
+            if (pinnedDataPoints.length) {
+                return;
+            }
             svg.select('.metadata-group').attr('transform', 'translate(9999, 0)');
             dispatcher.call('customMouseOut', this, data);
         }
@@ -644,6 +889,40 @@ define(function(require){
             dispatcher.call('customMouseOver', this, data);
         }
 
+        /**
+         * Moves the marker to a data entry and triggers the customMouseMove event
+         * @param  {obj} dataPoint        Data entry
+         * @param  {Number[]} [mousePos]  Position of the mouse
+         * @private
+         */
+        function inspectDataPoint(dataPoint, mousePos) {
+            let [x, y] = getMarkerPosition(dataPoint, mousePos);
+
+            // Move verticalMarker to that datapoint
+            moveVerticalMarkerXY(x,y);
+            // Emit event with xPosition for tooltip or similar feature
+            dispatcher.call('customMouseMove', this, dataPoint, categoryColorMap, x,y);
+        }
+
+        /**
+         * Touchstart handler, that inspects the data point under the finger
+         * @private
+         */
+        function handleTouchStart() {
+            handleMouseOver.call(this);
+            handleMouseMove.call(this);
+        }
+
+        /**
+         * Touchmove handler, that scrubs through the data points following the finger
+         * without scrolling the page
+         * @private
+         */
+        function handleTouchMove() {
+            d3Selection.event.preventDefault();
+            handleMouseMove.call(this);
+        }
+
         /**
          * Helper method to update the x position of the vertical marker
          * @param  {obj} dataPoint Data entry to extract info
@@ -660,7 +939,25 @@ define(function(require){
          * @private
          */
         function shouldShowTooltip() {
-            return width > tooltipThreshold;
+            return width > tooltipThreshold || isTouchDevice();
+        }
+
+        /**
+         * Unpins all the pinned data points, removing the marker of the second one
+         * @return void
+         * @private
+         */
+        function unpinDataPoints() {
+            let unpinnedDataPoints = pinnedDataPoints;
+
+            pinnedDataPoints = [];
+
+            if (pinnedMarker) {
+                pinnedMarker.remove();
+                pinnedMarker = null;
+            }
+
+            dispatcher.call('customUnpin', svg.node(), unpinnedDataPoints);
         }
 
         // API
@@ -741,6 +1038,25 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the normalized mode of the chart, that stacks the share of the total
+         * of each bar (100% stacked bar), showing percentages on the value axis.
+         * The tooltip entries get the percentage each value represents.
+         * By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired normalized mode
+         * @return { normalized | module} Current normalized mode or Chart module to chain calls
+         * @public
+         */
+        exports.normalized = function(_x) {
+            if (!arguments.length) {
+                return normalized;
+            }
+            normalized = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the stackLabel of the chart
          * @param  {String} _x Desired stackLabel for the graph
@@ -805,6 +1121,22 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the stacks of the chart that won't be drawn, leaving them out of the value axis domain
+         * while keeping the colors of the rest. Re-render the chart after changing it
+         * @param  {String[]} _x Desired hidden stacks
+         * @return { hiddenSeries | module} Current hidden stacks or Chart module to chain calls
+         * @public
+         */
+        exports.hiddenSeries = function(_x) {
+            if (!arguments.length) {
+                return hiddenSeries;
+            }
+            hiddenSeries = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the isAnimated property of the chart, making it to animate when render.
          * By default this is 'false'
@@ -822,6 +1154,26 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the isPinnable property of the chart. When true, clicking the chart pins
+         * the tooltip on the nearest data point, and clicking another one pins a second marker
+         * to compare them, triggering customPin events.
+         * Clicking again unpins them, triggering a customUnpin event.
+         * By default this is 'false'
+         *
+         * @param  {Boolean} _x Desired pinnable flag
+         * @return { isPinnable | module} Current isPinnable flag or Chart module
+         * @public
+         */
+        exports.isPinnable = function(_x) {
+            if (!arguments.length) {
+                return isPinnable;
+            }
+            isPinnable = _x;
+
+            return this;
+        };
+
         /**
          * Gets or Sets the margin of the chart
          * @param  {Object} _x Margin object to get/set
@@ -838,7 +1190,8 @@ define(function(require){
         };
 
         /**
-         * Gets or Sets the minimum width of the graph in order to show the tooltip
+         * Gets or Sets the minimum width of the graph in order to show the tooltip.
+         * The tooltip is always shown on touch devices, where it follows the finger
          * NOTE: This could also depend on the aspect ratio
          *
          * @param  {Object} _x Margin object to get/set
@@ -917,6 +1270,37 @@ define(function(require){
             return this;
         };
 
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+
+            return this;
+        };
+
         /**
          * Chart exported to png and a download action is fired
          * @public
@@ -928,7 +1312,7 @@ define(function(require){
         /**
          * Exposes an 'on' method that acts as a bridge with the event dispatcher
          * We are going to expose this events:
-         * customMouseOver, customMouseMove and customMouseOut
+         * customMouseOver, customMouseMove, customMouseOut, customPin and customUnpin
          *
          * @return {module} Bar Chart
          * @public
@@ -939,6 +1323,21 @@ define(function(require){
             return value === dispatcher ? exports : value;
         };
 
+        /**
+         * Unpins the pinned data points, hiding the tooltip marker and triggering a customUnpin event
+         *
+         * @return {module} Stacked Bar Chart
+         * @public
+         */
+        exports.unpin = function() {
+            if (pinnedDataPoints.length) {
+                unpinDataPoints();
+                svg.select('.metadata-group').attr('transform', 'translate(9999, 0)');
+            }
+
+            return this;
+        };
+
         return exports;
     };
 });
@@ -11,6 +11,8 @@ define(function(require) {
     const d3Transition = require('d3-transition');
 
     const {exportChart} = require('./helpers/exportChart');
+    const {describeChart} = require('./helpers/accessibility');
+    const {formatValue} = require('./helpers/formatHelpers');
 
 
     /**
@@ -82,6 +84,9 @@ define(function(require) {
             yTickPadding = 8,
             svg,
 
+            title = null,
+            desc = null,
+
             valueLabel = 'value',
             nameLabel = 'key',
 
@@ -119,9 +124,21 @@ define(function(require) {
                 drawGridLines();
                 drawSteps();
                 drawAxis();
+                describeChart(svg, getAriaLabel(), title, desc);
             });
         }
 
+        /**
+         * Gets a summary of the chart for screen readers
+         * @return {String} Summary of the chart
+         * @private
+         */
+        function getAriaLabel() {
+            let [minValue, maxValue] = d3Array.extent(data, ({value}) => value);
+
+            return `Step chart with ${data.length} steps, with values from ${formatValue(minValue)} to ${formatValue(maxValue)}`;
+        }
+
         /**
          * Creates the d3 x and y axis, setting orientations
          * @private
@@ -461,6 +478,37 @@ define(function(require) {
             exportChart.call(exports, svg, filename, title);
         };
 
+        /**
+         * Gets or Sets the title of the chart, rendered as the title of its svg
+         * and read by screen readers before the summary of the data
+         * @param  {String} _x Desired title for the chart
+         * @return { title | module} Current title or Chart module to chain calls
+         * @public
+         */
+        exports.title = function(_x) {
+            if (!arguments.length) {
+                return title;
+            }
+            title = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the description of the chart, rendered as the desc of its svg
+         * @param  {String} _x Desired description for the chart
+         * @return { desc | module} Current description or Chart module to chain calls
+         * @public
+         */
+        exports.desc = function(_x) {
+            if (!arguments.length) {
+                return desc;
+            }
+            desc = _x;
+
+            return this;
+        };
+
         return exports;
     };
 
@@ -16,7 +16,9 @@ define(function(require){
     } = require('./helpers/formatHelpers');
 
     const {
-        isInteger
+        getPointerPosition,
+        isInteger,
+        isTouchEvent
     } = require('./helpers/common');
 
     /**
@@ -55,6 +57,14 @@ define(function(require){
      *     .datum([])
      *     .call(tooltip);
      *
+     * @example
+     * // Rendering the tooltip as HTML, with a custom template
+     * tooltip
+     *     .isHtml(true)
+     *     .template(function(dataPoint, topicColorMap) {
+     *         return `<a href="/reports/${dataPoint.date}">${dataPoint.topics.length} topics</a>`;
+     *     });
+     *
      */
     return function module() {
 
@@ -89,12 +99,33 @@ define(function(require){
 
             circleYOffset = 8,
 
+            // html tooltip
+            isHtml = false,
+            template = null,
+            htmlTooltip,
+            htmlContainer,
+            anchorNode,
+            htmlTooltipMargin = 10,
+
+            // distance kept between the tooltip and the finger on touch devices
+            touchOffset = 40,
+
             colorMap,
             bodyFillColor = '#FFFFFF',
             borderStrokeColor = '#D2D6DF',
             titleFillColor = '#6D717A',
             textFillColor = '#282C35',
             tooltipTextColor = '#000000',
+            deltaUpColor = '#2AAB63',
+            deltaDownColor = '#E0404D',
+
+            hasTotal = false,
+            hasPercentages = false,
+            hasDelta = false,
+            totalLabel = 'Total',
+            valueFormatter = null,
+            total,
+            previousTopics,
 
             dateLabel = 'date',
             valueLabel = 'value',
@@ -126,7 +157,11 @@ define(function(require){
                 chartHeight = height - margin.top - margin.bottom;
                 data = _data;
 
-                buildSVG(this);
+                if (isHtml) {
+                    buildHtmlTooltip(this);
+                } else {
+                    buildSVG(this);
+                }
             });
         }
 
@@ -143,6 +178,37 @@ define(function(require){
             container.append('g').classed('tooltip-group', true);
         }
 
+        /**
+         * Builds the div that renders the HTML tooltip. It gets appended to the element
+         * containing the chart's SVG, so it can be positioned absolutely within it
+         * @param  {SVGElement} anchor Element of the chart the tooltip is attached to
+         * @private
+         */
+        function buildHtmlTooltip(anchor) {
+            anchorNode = anchor;
+
+            if (!htmlTooltip) {
+                htmlContainer = d3Selection.select((anchor.ownerSVGElement || anchor).parentNode);
+
+                if (window.getComputedStyle(htmlContainer.node()).position === 'static') {
+                    htmlContainer.style('position', 'relative');
+                }
+
+                htmlTooltip = htmlContainer
+                  .append('div')
+                    .classed('britechart-tooltip-html', true)
+                    .style('position', 'absolute')
+                    .style('background-color', bodyFillColor)
+                    .style('border', `1px solid ${borderStrokeColor}`)
+                    .style('border-radius', '3px')
+                    .style('color', tooltipTextColor)
+                    .style('padding', '8px 12px');
+            }
+
+            // Hidden by default
+            exports.hide();
+        }
+
         /**
          * Builds the SVG element that will contain the chart
          * @param  {HTMLElement} container DOM element that will work as the container of the graph
@@ -221,12 +287,61 @@ define(function(require){
                 .style('fill', textFillColor);
         }
 
+        /**
+         * Escapes the characters of a text that have a meaning in HTML
+         * @param  {String} text Text to escape
+         * @return {String}      Escaped text
+         */
+        function escapeHtml(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+
+        /**
+         * Default template of the HTML tooltip, that shows the same title
+         * and entries as the SVG tooltip
+         * @param  {Object} dataPoint       Current datapoint to show info about
+         * @param  {Object} topicColorMap   Color scheme of the topics
+         * @return {String}                 HTML of the tooltip
+         */
+        function defaultTemplate(dataPoint, topicColorMap) {
+            let topics = getTopics(dataPoint),
+                entries;
+
+            setComparisonValues(dataPoint, topics);
+            entries = topics.map((topic) => `
+                <li class="tooltip-entry">
+                    <span class="tooltip-circle" style="background-color: ${topicColorMap[topic[nameLabel]]}"></span>
+                    <span class="tooltip-left-text">${escapeHtml(topic.topicName || topic[nameLabel])}</span>
+                    <span class="tooltip-right-text">${escapeHtml(getValueText(topic))}${getHtmlDelta(topic)}</span>
+                </li>`);
+
+            if (hasTotal) {
+                entries.push(`
+                <li class="tooltip-entry tooltip-total">
+                    <span class="tooltip-left-text">${escapeHtml(totalLabel)}</span>
+                    <span class="tooltip-right-text">${escapeHtml(getFormattedValue(total))}${getHtmlDelta(getTotalTopic())}</span>
+                </li>`);
+            }
+
+            return `
+                <div class="tooltip-title" style="color: ${titleFillColor}">${escapeHtml(getTitleText(dataPoint))}</div>
+                <ul class="tooltip-body">${entries.join('')}</ul>`;
+        }
+
         /**
          * Formats the value depending on its characteristics
          * @param  {Number} value Value to format
          * @return {Number}       Formatted value
          */
         function getFormattedValue(value) {
+            if (valueFormatter) {
+                return valueFormatter(value);
+            }
             if (!value) {
                 return 0;
             }
@@ -241,7 +356,120 @@ define(function(require){
         }
 
         /**
-         * Extracts the value from the data object
+         * Gets the difference between the value of a topic and its value on the previous data point
+         * @param  {Object} topic Topic to compare
+         * @return {Number|null}  Difference with the previous value, or null when there isn't one
+         */
+        function getDelta(topic) {
+            let previousTopic;
+
+            if (!hasDelta || !previousTopics || topic.missingValue) {
+                return null;
+            }
+            previousTopic = previousTopics.find((d) => d[nameLabel] === topic[nameLabel]);
+
+            if (!previousTopic || previousTopic.missingValue) {
+                return null;
+            }
+
+            return topic[valueLabel] - previousTopic[valueLabel];
+        }
+
+        /**
+         * Gets the color of a delta, depending on whether the value went up or down
+         * @param  {Number} delta Difference with the previous value
+         * @return {String}       Color of the delta
+         */
+        function getDeltaColor(delta) {
+            if (delta > 0) {
+                return deltaUpColor;
+            }
+            if (delta < 0) {
+                return deltaDownColor;
+            }
+
+            return tooltipTextColor;
+        }
+
+        /**
+         * Gets the text of a delta, with an arrow pointing to the direction of the change
+         * @param  {Number} delta Difference with the previous value
+         * @return {String}       Text of the delta
+         */
+        function getDeltaText(delta) {
+            let arrow = delta > 0 ? '\u25B2' : delta < 0 ? '\u25BC' : '';
+
+            return ` ${arrow}${getFormattedValue(Math.abs(delta))}`;
+        }
+
+        /**
+         * Gets the delta of a topic as HTML, for the HTML tooltip
+         * @param  {Object} topic Topic to compare
+         * @return {String}       HTML of the delta, or an empty string when there isn't one
+         */
+        function getHtmlDelta(topic) {
+            let delta = getDelta(topic);
+
+            if (delta === null) {
+                return '';
+            }
+
+            return `<span class="tooltip-delta" style="color: ${getDeltaColor(delta)}">${escapeHtml(getDeltaText(delta))}</span>`;
+        }
+
+        /**
+         * Gets the sum of the values of the topics, skipping the missing ones
+         * @param  {Object[]} topics Topics of the data point
+         * @return {Number}          Sum of the values
+         */
+        function getTotal(topics) {
+            return topics
+                .filter(({missingValue}) => !missingValue)
+                .reduce((sum, topic) => sum + topic[valueLabel], 0);
+        }
+
+        /**
+         * Gets a topic representing the total row, so it can get compared with the previous total
+         * @return {Object} Topic with the total
+         */
+        function getTotalTopic() {
+            return {
+                [nameLabel]: totalLabel,
+                [valueLabel]: total
+            };
+        }
+
+        /**
+         * Gets the text of the title, with the data meaning and the date,
+         * or the plain value when it isn't a date, as with the names of a bar chart
+         * @param  {Object} dataPoint Point of data to use as source
+         * @return {String}           Title of the tooltip
+         */
+        function getTitleText(dataPoint) {
+            let date = new Date(dataPoint[dateLabel]),
+                dateText = isNaN(date) ? dataPoint[dateLabel] : formatDate(date);
+
+            return title + ' - ' + dateText;
+        }
+
+        /**
+         * Gets the topics of the data point, sorted by the forced order when there is one
+         * @param  {Object} dataPoint Point of data to use as source
+         * @return {Object[]}         Topics to show
+         */
+        function getTopics(dataPoint) {
+            let topics = dataPoint[topicLabel];
+
+            if (forceOrder.length) {
+                topics = _sortByForceOrder(topics);
+            }
+
+            return topics;
+        }
+
+        /**
+         * Extracts the value from the data object, along with the percentage of the total
+         * it represents when the chart adds it (like normalized stacked charts do)
          * @param  {Object} data Data value containing the info
          * @return {String}      Value to show
          */
@@ -253,6 +481,12 @@ define(function(require){
                 valueText = '-';
             } else {
                 valueText = getFormattedValue(value).toString();
+
+                if (data.percentage != null) {
+                    valueText = `${valueText} (${data.percentage}%)`;
+                } else if (hasPercentages && total) {
+                    valueText = `${valueText} (${(value / total * 100).toFixed(1)}%)`;
+                }
             }
 
             return valueText;
@@ -268,20 +502,70 @@ define(function(require){
             ttTextX = 0;
         }
 
+        /**
+         * Sets the total of the topics and the topics of the previous data point,
+         * used for the percentages, total row and deltas
+         * @param  {Object} dataPoint   Current datapoint to show info about
+         * @param  {Object[]} topics    Topics of the data point
+         * @return void
+         */
+        function setComparisonValues(dataPoint, topics) {
+            let previousDataPoint = dataPoint.previousDataPoint;
+
+            total = getTotal(topics);
+            previousTopics = previousDataPoint ? previousDataPoint[topicLabel] : null;
+
+            if (previousTopics && hasTotal) {
+                previousTopics = previousTopics.concat({
+                    [nameLabel]: totalLabel,
+                    [valueLabel]: getTotal(previousTopics)
+                });
+            }
+        }
+
         /**
          * Draws the data entries inside the tooltip for a given topic
          * @param  {Object} topic Topic to extract data from
          * @return void
          */
         function updateContent(topic){
-            let name = topic[nameLabel],
-                tooltipRight,
-                tooltipLeftText,
-                tooltipRightText,
-                elementText;
+            let tooltipRight = drawEntryTexts(topic.topicName || topic[nameLabel], getValueText(topic), getDelta(topic));
+
+            tooltipBody
+                .append('circle')
+                .classed('tooltip-circle', true)
+                .attr('cx', 23 - tooltipWidth / 4)
+                .attr('cy', (ttTextY + circleYOffset))
+                .attr('r', 5)
+                .style('fill', colorMap[topic[nameLabel]])
+                .style('stroke-width', 1);
+
+            ttTextY += tooltipRight.textHeight + 7;
+        }
+
+        /**
+         * Draws the row with the sum of the values of the topics
+         * @return void
+         */
+        function updateTotal() {
+            let totalTopic = getTotalTopic(),
+                tooltipRight = drawEntryTexts(totalLabel, getFormattedValue(total).toString(), getDelta(totalTopic));
 
-            tooltipLeftText = topic.topicName || name;
-            tooltipRightText = getValueText(topic);
+            tooltipRight.text.classed('tooltip-total', true);
+
+            ttTextY += tooltipRight.textHeight + 7;
+        }
+
+        /**
+         * Draws the texts of a row of the tooltip, with the delta next to the value when there is one
+         * @param  {String} tooltipLeftText     Name of the row
+         * @param  {String} tooltipRightText    Value of the row
+         * @param  {Number|null} delta          Difference with the previous value
+         * @return {Object}                     Value text and height of the row
+         */
+        function drawEntryTexts(tooltipLeftText, tooltipRightText, delta) {
+            let tooltipRight,
+                elementText;
 
             elementText = tooltipBody
                 .append('text')
@@ -302,22 +586,40 @@ define(function(require){
                 .style('fill', tooltipTextColor)
                 .text(tooltipRightText);
 
+            if (delta !== null) {
+                tooltipRight
+                  .append('tspan')
+                    .classed('tooltip-delta', true)
+                    .style('fill', getDeltaColor(delta))
+                    .text(getDeltaText(delta));
+            }
+
             textSize = elementText.node().getBBox();
             tooltipHeight += textSize.height + 5;
 
             // Not sure if necessary
             tooltipRight.attr('x', tooltipWidth - tooltipRight.node().getBBox().width - 10 - tooltipWidth / 4)
 
-            tooltipBody
-                .append('circle')
-                .classed('tooltip-circle', true)
-                .attr('cx', 23 - tooltipWidth / 4)
-                .attr('cy', (ttTextY + circleYOffset))
-                .attr('r', 5)
-                .style('fill', colorMap[name])
-                .style('stroke-width', 1);
+            return {
+                text: tooltipRight,
+                textHeight: textSize.height
+            };
+        }
+
+        /**
+         * Gets the vertical position of the tooltip. When it is shown by a touch,
+         * the tooltip is lifted over the finger if it would reach down to it
+         * @return {Number} Vertical position of the tooltip
+         */
+        function getVerticalPosition() {
+            let touchY;
+
+            if (!isTouchEvent()) {
+                return tooltipOffset.y;
+            }
+            touchY = getPointerPosition(tooltipTextContainer.node().parentNode)[1];
 
-            ttTextY += textSize.height + 7;
+            return Math.min(tooltipOffset.y, touchY - tooltipHeight - 10 - touchOffset);
         }
 
         /**
@@ -327,6 +629,8 @@ define(function(require){
          * @return void
          */
         function updatePositionAndSize(dataPoint, xPosition){
+            let yPosition = getVerticalPosition();
+
             tooltip
                 .attr('width', tooltipWidth)
                 .attr('height', tooltipHeight + 10);
@@ -335,11 +639,11 @@ define(function(require){
             if ((xPosition - tooltipWidth) < 0) {
                 // Tooltip on the right
                 tooltipTextContainer
-                    .attr('transform', 'translate(' + (tooltipWidth - 185) + ',' + tooltipOffset.y + ')');
+                    .attr('transform', 'translate(' + (tooltipWidth - 185) + ',' + yPosition + ')');
             } else {
                 // Tooltip on the left
                 tooltipTextContainer
-                    .attr('transform', 'translate(' + (-205) + ',' + tooltipOffset.y + ')');
+                    .attr('transform', 'translate(' + (-205) + ',' + yPosition + ')');
             }
 
             tooltipDivider
@@ -347,15 +651,13 @@ define(function(require){
         }
 
         /**
-         * Updates value of tooltipTitle with the data meaning and the date
+         * Updates value of tooltipTitle with the data meaning and the date,
+         * or the plain value when it isn't a date, as with the names of a bar chart
          * @param  {Object} dataPoint Point of data to use as source
          * @return void
          */
         function updateTitle(dataPoint) {
-            var date = new Date(dataPoint[dateLabel]),
-                tooltipTitleText = title + ' - ' + formatDate(date);
-
-            tooltipTitle.text(tooltipTitleText);
+            tooltipTitle.text(getTitleText(dataPoint));
         }
 
         /**
@@ -393,20 +695,69 @@ define(function(require){
          * @return void
          */
         function updateTooltip(dataPoint, xPosition) {
-            var topics = dataPoint[topicLabel];
-
-            // sort order by forceOrder array if passed
-            if (forceOrder.length) {
-                topics = _sortByForceOrder(topics);
-            }
+            let topics = getTopics(dataPoint);
 
             cleanContent();
             resetSizeAndPositionPointers();
+            setComparisonValues(dataPoint, topics);
             updateTitle(dataPoint);
             topics.forEach(updateContent);
+
+            if (hasTotal) {
+                updateTotal();
+            }
             updatePositionAndSize(dataPoint, xPosition);
         }
 
+        /**
+         * Renders the template on the HTML tooltip and places it next to the element
+         * it is attached to. As the SVG tooltip, it goes on the left of the element unless
+         * the position leaves no room there, flipping to the other side when it would
+         * overflow the chart container.
+         * When shown by a touch, it is placed over the finger instead, so the finger doesn't hide it
+         *
+         * @param  {Object} dataPoint  Current datapoint to show info about
+         * @param  {Number} xPosition  Position of the data point on the chart
+         * @return void
+         */
+        function updateHtmlTooltip(dataPoint, xPosition) {
+            let containerRect = htmlContainer.node().getBoundingClientRect(),
+                anchorMatrix = anchorNode.getScreenCTM(),
+                anchorX = anchorMatrix ? anchorMatrix.e - containerRect.left : 0,
+                anchorY = anchorMatrix ? anchorMatrix.f - containerRect.top : 0,
+                verticalMargin = htmlTooltipMargin,
+                tooltipNode,
+                leftSide,
+                rightSide,
+                left,
+                top;
+
+            if (isTouchEvent()) {
+                [anchorX, anchorY] = getPointerPosition(htmlContainer.node());
+                verticalMargin = touchOffset;
+            }
+
+            htmlTooltip.html((template || defaultTemplate)(dataPoint, colorMap));
+
+            tooltipNode = htmlTooltip.node();
+            leftSide = anchorX - tooltipNode.offsetWidth - htmlTooltipMargin;
+            rightSide = anchorX + htmlTooltipMargin;
+            top = anchorY - tooltipNode.offsetHeight - verticalMargin;
+
+            if ((xPosition - tooltipNode.offsetWidth - htmlTooltipMargin) < 0) {
+                left = rightSide + tooltipNode.offsetWidth > containerRect.width ? leftSide : rightSide;
+            } else {
+                left = leftSide < 0 ? rightSide : leftSide;
+            }
+            if (top < 0) {
+                top = anchorY + verticalMargin;
+            }
+
+            htmlTooltip
+                .style('left', `${Math.max(0, left)}px`)
+                .style('top', `${Math.max(0, Math.min(top, containerRect.height - tooltipNode.offsetHeight))}px`);
+        }
+
         /**
          * Wraps a text given the text, width, x position and textFormatter function
          * @param  {D3Selection} text  Selection with the text to wrap inside
@@ -530,7 +881,7 @@ define(function(require){
          * @public
          */
         exports.hide = function() {
-            svg.style('display', 'none');
+            (isHtml ? htmlTooltip : svg).style('display', 'none');
 
             return this;
         };
@@ -541,7 +892,119 @@ define(function(require){
          * @public
          */
         exports.show = function() {
-            svg.style('display', 'block');
+            (isHtml ? htmlTooltip : svg).style('display', 'block');
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets whether the tooltip is rendered as HTML, on an absolutely positioned div
+         * placed on the element containing the chart, instead of as SVG.
+         * Needs to be set before rendering the tooltip
+         * @param  {Boolean} _x Desired rendering mode
+         * @return { Boolean | module} Current rendering mode or module to chain calls
+         * @public
+         */
+        exports.isHtml = function(_x) {
+            if (!arguments.length) {
+                return isHtml;
+            }
+            isHtml = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the template of the HTML tooltip, a function that receives the data point
+         * and the color map of the topics and returns the HTML to render.
+         * Remember to escape the values of the data when they are not trusted
+         * @param  {Function} _x Desired template
+         * @return { Function | module} Current template or module to chain calls
+         * @public
+         */
+        exports.template = function(_x) {
+            if (!arguments.length) {
+                return template;
+            }
+            template = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets whether the tooltip shows the difference of each value with the one of the previous data point,
+         * colored depending on whether it went up or down. The previous data point is read
+         * from the previousDataPoint property of the data point, that line and stacked area charts add
+         * @param  {Boolean} _x Desired delta mode
+         * @return { Boolean | module} Current delta mode or module to chain calls
+         * @public
+         */
+        exports.hasDelta = function(_x) {
+            if (!arguments.length) {
+                return hasDelta;
+            }
+            hasDelta = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets whether the tooltip shows the share of the total each value represents
+         * @param  {Boolean} _x Desired percentages mode
+         * @return { Boolean | module} Current percentages mode or module to chain calls
+         * @public
+         */
+        exports.hasPercentages = function(_x) {
+            if (!arguments.length) {
+                return hasPercentages;
+            }
+            hasPercentages = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets whether the tooltip shows a last row with the sum of the values
+         * @param  {Boolean} _x Desired total mode
+         * @return { Boolean | module} Current total mode or module to chain calls
+         * @public
+         */
+        exports.hasTotal = function(_x) {
+            if (!arguments.length) {
+                return hasTotal;
+            }
+            hasTotal = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the name of the total row
+         * @param  {String} _x Desired total label
+         * @return { String | module} Current total label or module to chain calls
+         * @public
+         */
+        exports.totalLabel = function(_x) {
+            if (!arguments.length) {
+                return totalLabel;
+            }
+            totalLabel = _x;
+
+            return this;
+        };
+
+        /**
+         * Gets or Sets the function that formats the values, totals and deltas of the tooltip.
+         * By default, integers and decimals get abbreviated with their own formats
+         * @param  {Function} _x Desired value formatter
+         * @return { Function | module} Current value formatter or module to chain calls
+         * @public
+         */
+        exports.valueFormatter = function(_x) {
+            if (!arguments.length) {
+                return valueFormatter;
+            }
+            valueFormatter = _x;
 
             return this;
         };
@@ -586,7 +1049,12 @@ define(function(require){
          */
         exports.update = function(dataPoint, colorMapping, position) {
             colorMap = colorMapping;
-            updateTooltip(dataPoint, position);
+
+            if (isHtml) {
+                updateHtmlTooltip(dataPoint, position);
+            } else {
+                updateTooltip(dataPoint, position);
+            }
 
             return this;
         };
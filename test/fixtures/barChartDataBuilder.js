@@ -4,7 +4,8 @@ define(function(require) {
     var _ = require('underscore'),
 
         jsonColors = require('json!../json/barColors.json'),
-        jsonLetters = require('json!../json/barDataLetters.json');
+        jsonLetters = require('json!../json/barDataLetters.json'),
+        jsonNegativeValues = require('json!../json/barDataNegativeValues.json');
 
 
     function BarDataBuilder(config){
@@ -18,6 +19,12 @@ define(function(require) {
             return new this.Klass(attributes);
         };
 
+        this.withNegativeValues = function(){
+            var attributes = _.extend({}, this.config, jsonNegativeValues);
+
+            return new this.Klass(attributes);
+        };
+
         this.withColors = function(){
             var attributes = _.extend({}, this.config, jsonColors);
 
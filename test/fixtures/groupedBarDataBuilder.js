@@ -0,0 +1,29 @@
+define(function(require) {
+    'use strict';
+
+    var _ = require('underscore'),
+
+        jsonThreeGroups = require('json!../json/groupedBarDataThreeGroups.json');
+
+
+    function GroupedBarDataBuilder(config){
+        this.Klass = GroupedBarDataBuilder;
+
+        this.config = _.defaults({}, config);
+
+        this.with3Groups = function(){
+            var attributes = _.extend({}, this.config, jsonThreeGroups);
+
+            return new this.Klass(attributes);
+        };
+
+        this.build = function() {
+            return this.config;
+        };
+    }
+
+    return {
+        GroupedBarDataBuilder: GroupedBarDataBuilder
+    };
+
+});
@@ -8,7 +8,8 @@ define(function(require) {
         jsonOneSource = require('json!../json/lineDataOneSet.json'),
         jsonMultiMonthValueRange = require('json!../json/multiMonthLineData'),
         jsonHourDateRange = require('json!../json/lineDataOneSetHourly.json'),
-        jsonSmallValueRange = require('json!../json/lineDataSmallValueRange');
+        jsonSmallValueRange = require('json!../json/lineDataSmallValueRange'),
+        jsonNegativeValues = require('json!../json/lineDataNegativeValues.json');
 
 
     function LineDataBuilder(config) {
@@ -46,6 +47,12 @@ define(function(require) {
             return new this.Klass(attributes);
         };
 
+        this.withNegativeValues = function() {
+            var attributes = _.extend({}, this.config, jsonNegativeValues);
+
+            return new this.Klass(attributes);
+        };
+
         this.withAllDatas = function() {
             var attributes = _.extend({}, this.config, jsonAllDatas);
 
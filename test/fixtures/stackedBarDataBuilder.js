@@ -3,7 +3,8 @@ define(function(require) {
 
     var _ = require('underscore'),
 
-        jsonThreeSources = require('json!../json/stackbarDataThreeSources.json');
+        jsonThreeSources = require('json!../json/stackbarDataThreeSources.json'),
+        jsonNegativeValues = require('json!../json/stackbarDataNegativeValues.json');
 
 
     function StackedBarDataBuilder(config){
@@ -17,6 +18,12 @@ define(function(require) {
             return new this.Klass(attributes);
         };
 
+        this.withNegativeValues = function(){
+            var attributes = _.extend({}, this.config, jsonNegativeValues);
+
+            return new this.Klass(attributes);
+        };
+
         this.build = function() {
             return this.config;
         };
@@ -5,6 +5,26 @@ define(['d3', 'bar', 'barChartDataBuilder'], function(d3, chart, dataBuilder) {
         return new dataBuilder.BarDataBuilder();
     }
 
+    function pressKey(element, keyCode) {
+        let event = document.createEvent('Event');
+
+        event.initEvent('keydown', true, true);
+        event.keyCode = keyCode;
+        element.dispatchEvent(event);
+
+        return event;
+    }
+
+    function touch(element, type) {
+        let event = document.createEvent('Event');
+
+        event.initEvent(type, true, true);
+        event.changedTouches = [{identifier: 0, clientX: 0, clientY: 0}];
+        element.dispatchEvent(event);
+
+        return event;
+    }
+
     describe('Bar Chart', () => {
         let barChart, dataset, containerFixture, f;
 
@@ -215,6 +235,145 @@ define(['d3', 'bar', 'barChartDataBuilder'], function(d3, chart, dataBuilder) {
                 expect(defaultAnimation).not.toBe(testAnimation);
                 expect(newAnimation).toBe(testAnimation);
             });
+
+            it('should provide title getter and setter', () => {
+                let defaultTitle = barChart.title(),
+                    testTitle = 'Letter frequency',
+                    newTitle;
+
+                barChart.title(testTitle);
+                newTitle = barChart.title();
+
+                expect(defaultTitle).not.toBe(testTitle);
+                expect(newTitle).toBe(testTitle);
+            });
+
+            it('should provide desc getter and setter', () => {
+                let defaultDesc = barChart.desc(),
+                    testDesc = 'Frequency of each letter in English texts',
+                    newDesc;
+
+                barChart.desc(testDesc);
+                newDesc = barChart.desc();
+
+                expect(defaultDesc).not.toBe(testDesc);
+                expect(newDesc).toBe(testDesc);
+            });
+        });
+
+        describe('Accessibility', function() {
+            let bars;
+
+            beforeEach(() => {
+                bars = containerFixture.selectAll('.bar').nodes();
+            });
+
+            it('should label the chart as an image with a summary of the data', () => {
+                let svg = containerFixture.select('svg');
+
+                expect(svg.attr('role')).toEqual('img');
+                expect(svg.attr('aria-label')).toEqual(`Bar chart with ${dataset.length} bars, with values from 0.001 to 0.127`);
+            });
+
+            it('should render the title and the description', () => {
+                barChart
+                    .title('Letter frequency')
+                    .desc('Frequency of each letter');
+                containerFixture.datum(dataset).call(barChart);
+
+                expect(containerFixture.select('svg title').text()).toEqual('Letter frequency');
+                expect(containerFixture.select('svg desc').text()).toEqual('Frequency of each letter');
+                expect(containerFixture.select('svg').attr('aria-label')).toMatch(/^Letter frequency\. Bar chart/);
+            });
+
+            it('should make only the first bar reachable with the tab key', () => {
+                expect(bars[0].getAttribute('tabindex')).toEqual('0');
+                expect(bars[1].getAttribute('tabindex')).toEqual('-1');
+            });
+
+            it('should inspect and announce a bar when focused', () => {
+                let callback = jasmine.createSpy('moveCallback');
+
+                barChart.on('customMouseMove', callback);
+                bars[0].focus();
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback.calls.argsFor(0)[0]).toBe(d3.select(bars[0]).datum());
+                expect(containerFixture.select('.britechart-live-region').text()).toEqual('A: 0.082');
+            });
+
+            it('should move the focus across the bars with the arrow keys', () => {
+                let event;
+
+                bars[0].focus();
+                event = pressKey(bars[0], 39);
+
+                expect(event.defaultPrevented).toBe(true);
+                expect(document.activeElement).toBe(bars[1]);
+                expect(bars[0].getAttribute('tabindex')).toEqual('-1');
+                expect(bars[1].getAttribute('tabindex')).toEqual('0');
+
+                pressKey(bars[1], 35);
+
+                expect(document.activeElement).toBe(bars[bars.length - 1]);
+            });
+        });
+
+        describe('when there are negative values', function() {
+
+            beforeEach(() => {
+                dataset = aTestDataSet()
+                    .withNegativeValues()
+                    .build();
+                containerFixture.selectAll('svg').remove();
+            });
+
+            it('should render a zero line', () => {
+                barChart = chart();
+                containerFixture.datum(dataset).call(barChart);
+
+                expect(containerFixture.selectAll('.zero-line').size()).toEqual(1);
+            });
+
+            it('should grow the vertical bars up and down from the zero line', () => {
+                barChart = chart();
+                containerFixture.datum(dataset).call(barChart);
+
+                let zeroY = +containerFixture.select('.zero-line').attr('y1');
+
+                containerFixture.selectAll('.bar').each(function(d) {
+                    let bar = d3.select(this),
+                        y = +bar.attr('y'),
+                        barHeight = +bar.attr('height');
+
+                    expect(barHeight).toBeGreaterThan(0);
+                    if (d.value < 0) {
+                        expect(y).toEqual(zeroY);
+                    } else {
+                        expect(y + barHeight).toEqual(zeroY);
+                    }
+                });
+            });
+
+            it('should grow the horizontal bars left and right from the zero line', () => {
+                barChart = chart().horizontal(true);
+                containerFixture.datum(dataset).call(barChart);
+
+                let zeroX = +containerFixture.select('.zero-line').attr('x1');
+
+                containerFixture.selectAll('.bar').each(function(d) {
+                    let bar = d3.select(this),
+                        x = +bar.attr('x'),
+                        barWidth = +bar.attr('width');
+
+                    expect(barWidth).toBeGreaterThan(0);
+                    if (d.value < 0) {
+                        expect(x + barWidth).toEqual(zeroX);
+                    } else {
+                        expect(x).toEqual(zeroX);
+                    }
+                });
+            });
         });
 
         describe('when hovering a bar', function() {
@@ -230,6 +389,47 @@ define(['d3', 'bar', 'barChartDataBuilder'], function(d3, chart, dataBuilder) {
             });
         });
 
+        describe('when touching the bars', function() {
+            let bars;
+
+            beforeEach(() => {
+                bars = containerFixture.selectAll('.bar').nodes();
+                spyOn(document, 'elementFromPoint').and.returnValue(bars[0]);
+            });
+
+            it('should inspect the touched bar', () => {
+                let overCallback = jasmine.createSpy('overCallback'),
+                    moveCallback = jasmine.createSpy('moveCallback');
+
+                barChart
+                    .on('customMouseOver', overCallback)
+                    .on('customMouseMove', moveCallback);
+                touch(bars[0], 'touchstart');
+
+                expect(overCallback.calls.count()).toBe(1);
+                expect(moveCallback.calls.count()).toBe(1);
+                expect(moveCallback.calls.argsFor(0)[0]).toBe(d3.select(bars[0]).datum());
+            });
+
+            it('should move to the bar under the finger without scrolling when dragging', () => {
+                let outCallback = jasmine.createSpy('outCallback'),
+                    overCallback = jasmine.createSpy('overCallback'),
+                    event;
+
+                barChart
+                    .on('customMouseOut', outCallback)
+                    .on('customMouseOver', overCallback);
+                touch(bars[0], 'touchstart');
+                document.elementFromPoint.and.returnValue(bars[1]);
+                event = touch(bars[0], 'touchmove');
+
+                expect(outCallback.calls.count()).toBe(1);
+                expect(overCallback.calls.count()).toBe(2);
+                expect(overCallback.calls.mostRecent().object).toBe(bars[1]);
+                expect(event.defaultPrevented).toBe(true);
+            });
+        });
+
         describe('Export chart functionality', () => {
 
             it('should have exportChart defined', () => {
@@ -1,4 +1,4 @@
-define(['jquery', 'd3', 'brush', 'brushChartDataBuilder'], function($, d3, chart, dataBuilder) {
+define(['jquery', 'd3', 'brush', 'line', 'brushChartDataBuilder'], function($, d3, chart, line, dataBuilder) {
     'use strict';
 
     describe('Brush Chart', () => {
@@ -57,8 +57,39 @@ define(['jquery', 'd3', 'brush', 'brushChartDataBuilder'], function($, d3, chart
             expect(containerFixture.selectAll('.handle.handle--w.brush-rect').empty()).toEqual(false);
         });
 
+        it('should label the chart as an image with a summary of the data', () => {
+            let svg = containerFixture.select('svg');
+
+            expect(svg.attr('role')).toEqual('img');
+            expect(svg.attr('aria-label')).toMatch(/^Brush chart from \w+ \d+, \d{4} to /);
+        });
+
         describe('the API', function() {
 
+            it('should provide title getter and setter', () => {
+                let defaultTitle = brushChart.title(),
+                    testTitle = 'Test title',
+                    newTitle;
+
+                brushChart.title(testTitle);
+                newTitle = brushChart.title();
+
+                expect(defaultTitle).not.toBe(testTitle);
+                expect(newTitle).toBe(testTitle);
+            });
+
+            it('should provide desc getter and setter', () => {
+                let defaultDesc = brushChart.desc(),
+                    testDesc = 'Test description',
+                    newDesc;
+
+                brushChart.desc(testDesc);
+                newDesc = brushChart.desc();
+
+                expect(defaultDesc).not.toBe(testDesc);
+                expect(newDesc).toBe(testDesc);
+            });
+
             it('should provide margin getter and setter', function() {
                 var defaultMargin = brushChart.margin(),
                     testMargin = {top: 4, right: 4, bottom: 4, left: 4},
@@ -166,6 +197,287 @@ define(['jquery', 'd3', 'brush', 'brushChartDataBuilder'], function($, d3, chart
                 expect(defaultForcedXFormat).not.toBe(testXFormat);
                 expect(newForcedXFormat).toBe(testXFormat);
             });
+
+            it('should provide a snapInterval getter and setter', () => {
+                let defaultSnapInterval = brushChart.snapInterval(),
+                    testSnapInterval = brushChart.snapIntervals.WEEK,
+                    newSnapInterval;
+
+                brushChart.snapInterval(testSnapInterval);
+                newSnapInterval = brushChart.snapInterval();
+
+                expect(defaultSnapInterval).not.toBe(testSnapInterval);
+                expect(newSnapInterval).toBe(testSnapInterval);
+            });
+
+            it('should provide a snapIntervals accessor', () => {
+                let snapIntervals = brushChart.snapIntervals;
+
+                expect(snapIntervals).toEqual({
+                    NONE: 'none',
+                    HOUR: 'hour',
+                    DAY: 'day',
+                    WEEK: 'week',
+                    MONTH: 'month',
+                    QUARTER: 'quarter',
+                    YEAR: 'year'
+                });
+            });
+
+            it('should provide a focusChart getter and setter', () => {
+                let defaultFocusChart = brushChart.focusChart(),
+                    testFocusChart = line(),
+                    newFocusChart;
+
+                brushChart.focusChart(testFocusChart);
+                newFocusChart = brushChart.focusChart();
+
+                expect(defaultFocusChart).not.toBe(testFocusChart);
+                expect(newFocusChart).toBe(testFocusChart);
+            });
+
+            it('should provide a presets getter and setter', () => {
+                let defaultPresets = brushChart.presets(),
+                    testPresets = [{id: 'test', label: 'Test', getRange: (lastDate) => [lastDate, lastDate]}],
+                    newPresets;
+
+                brushChart.presets(testPresets);
+                newPresets = brushChart.presets();
+
+                expect(defaultPresets).not.toBe(testPresets);
+                expect(newPresets).toBe(testPresets);
+            });
+
+            it('should provide a brushPresets accessor', () => {
+                let brushPresets = brushChart.brushPresets;
+
+                expect(brushPresets).toEqual({
+                    LAST_7_DAYS: 'last-7-days',
+                    LAST_30_DAYS: 'last-30-days',
+                    YEAR_TO_DATE: 'year-to-date'
+                });
+            });
+
+            it('should provide a preset for each of the brushPresets', () => {
+                let presetIds = brushChart.presets().map(({id}) => id);
+
+                expect(presetIds).toEqual(['last-7-days', 'last-30-days', 'year-to-date']);
+            });
+
+            it('should provide an on method to listen to the brush events', () => {
+                let callback = () => {};
+
+                expect(brushChart.on('brushEnd', callback)).toBe(brushChart);
+                expect(brushChart.on('brushEnd')).toBe(callback);
+            });
+        });
+
+        describe('when the selection changes', function() {
+            let lastDate;
+
+            beforeEach(() => {
+                lastDate = new Date(dataset[dataset.length - 1].date);
+            });
+
+            it('should show the handles on the edges of the selection', () => {
+                let handles, selection;
+
+                brushChart.dateRange([dataset[2].date, dataset[6].date]);
+                handles = containerFixture.selectAll('.brush-handle');
+                selection = containerFixture.select('.brush-chart .selection');
+
+                expect(handles.size()).toBe(2);
+                expect(handles.attr('display')).not.toBe('none');
+                expect(handles.attr('transform')).toContain(`translate(${selection.attr('x')},`);
+            });
+
+            it('should dispatch brush with the dates of the selection', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                brushChart.on('brush', callbackSpy);
+                brushChart.dateRange([dataset[2].date, dataset[6].date]);
+
+                expect(callbackSpy.calls.count()).toBe(1);
+                expect(callbackSpy.calls.mostRecent().args[0][0].getTime())
+                    .toBeCloseTo(new Date(dataset[2].date).getTime(), -5);
+            });
+
+            it('should clear the selection and dispatch brushClear', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                brushChart.dateRange([dataset[2].date, dataset[6].date]);
+                brushChart.on('brushClear', callbackSpy);
+                brushChart.clear();
+
+                expect(callbackSpy.calls.count()).toBe(1);
+                expect(containerFixture.select('.brush-chart .selection').style('display')).toBe('none');
+                expect(containerFixture.select('.brush-handle').attr('display')).toBe('none');
+            });
+
+            it('should select the range of a preset and dispatch brushEnd', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    range;
+
+                brushChart.on('brushEnd', callbackSpy);
+                brushChart.applyPreset(brushChart.brushPresets.LAST_7_DAYS);
+                range = callbackSpy.calls.mostRecent().args[0];
+
+                expect(callbackSpy.calls.count()).toBe(1);
+                expect(range[1].getTime()).toBe(lastDate.getTime());
+                expect(range[1] - range[0]).toBe(7 * 24 * 60 * 60 * 1000);
+                expect(+containerFixture.select('.brush-chart .selection').attr('width')).toBeGreaterThan(0);
+            });
+
+            it('should clip the range of a preset to the dates of the data', () => {
+                let firstDate = new Date(dataset[0].date);
+
+                brushChart.applyPreset(brushChart.brushPresets.YEAR_TO_DATE);
+
+                expect(brushChart.dateRange()[0].getTime()).toBe(firstDate.getTime());
+            });
+
+            it('should ignore unknown presets', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                brushChart.on('brushEnd', callbackSpy);
+                brushChart.applyPreset('unknown');
+
+                expect(callbackSpy.calls.count()).toBe(0);
+            });
+        });
+
+        describe('when bound to a focus chart', function() {
+            let focusChart, focusContainer;
+
+            /**
+             * Brushes with the mouse between the given positions of the brush overlay
+             * @param  {Number} startRatio  Start of the selection, from 0 to 1
+             * @param  {Number} endRatio    End of the selection, from 0 to 1
+             * @return {void}
+             */
+            function brushWithMouse(startRatio, endRatio) {
+                // selectAll keeps the brush data of the overlay, that tells the brush what is dragged
+                let overlay = containerFixture.selectAll('.brush-chart .overlay').node(),
+                    ctm = overlay.getScreenCTM(),
+                    width = +overlay.getAttribute('width'),
+                    createMouseEvent = (type, ratio) => new MouseEvent(type, {
+                        view: window,
+                        bubbles: true,
+                        clientX: ctm.e + ctm.a * width * ratio,
+                        clientY: ctm.f + ctm.d
+                    });
+
+                overlay.dispatchEvent(createMouseEvent('mousedown', startRatio));
+                window.dispatchEvent(createMouseEvent('mousemove', endRatio));
+                window.dispatchEvent(createMouseEvent('mouseup', endRatio));
+            }
+
+            /**
+             * Renders a line chart bound to the brush with the given brush data
+             * @param  {BrushChartData} data    Data to show on the line chart
+             * @return {Module}                 Line chart
+             */
+            function renderFocusChart(data) {
+                let lineChart = line(),
+                    lineData = {
+                        dataByTopic: [{
+                            topic: 1,
+                            topicName: 'Quantity',
+                            dates: data.map(({date, value}) => ({date, value}))
+                        }]
+                    };
+
+                brushChart.focusChart(lineChart);
+
+                focusContainer = containerFixture.append('div');
+                focusContainer.datum(lineData).call(lineChart);
+
+                return lineChart;
+            }
+
+            beforeEach(() => {
+                focusChart = renderFocusChart(dataset);
+            });
+
+            it('should make the focus chart zoomable', () => {
+                expect(focusChart.isZoomable()).toBe(true);
+            });
+
+            it('should move the brush selection when zooming the focus chart', () => {
+                let selection = containerFixture.select('.brush-chart .selection');
+
+                focusChart.zoomTo(dataset[2].date, dataset[6].date);
+
+                expect(selection.style('display')).not.toBe('none');
+                expect(+selection.attr('width')).toBeGreaterThan(0);
+            });
+
+            it('should not zoom the focus chart back when setting the brush programmatically', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                focusChart.on('customZoom', callbackSpy);
+                brushChart.dateRange([dataset[2].date, dataset[6].date]);
+
+                expect(callbackSpy.calls.count()).toBe(0);
+            });
+
+            it('should call onBrush once when the preset animates the focus chart', (done) => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                brushChart.onBrush(callbackSpy);
+                brushChart.applyPreset(brushChart.brushPresets.LAST_7_DAYS);
+
+                setTimeout(() => {
+                    expect(callbackSpy.calls.count()).toBe(1);
+                    done();
+                }, 1000);
+            });
+
+            it('should zoom the focus chart into the dates brushed with the mouse', (done) => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    oneHour = 60 * 60 * 1000,
+                    zoomedDateRange;
+
+                brushChart.onBrush(callbackSpy);
+                focusChart.on('customZoom.spec', (dateRange) => {
+                    zoomedDateRange = dateRange;
+                });
+                brushWithMouse(0.25, 0.5);
+
+                setTimeout(() => {
+                    let [startDate, endDate] = callbackSpy.calls.mostRecent().args[0];
+
+                    // The focus chart goes through pixels, so it can be some minutes off
+                    expect(Math.abs(zoomedDateRange[0] - startDate)).toBeLessThan(oneHour);
+                    expect(Math.abs(zoomedDateRange[1] - endDate)).toBeLessThan(oneHour);
+                    done();
+                }, 1000);
+            });
+
+            it('should follow the focus chart after brushing outside of its dates', (done) => {
+                let selection = containerFixture.selectAll('.brush-chart .selection'),
+                    width = +containerFixture.selectAll('.brush-chart .overlay').attr('width'),
+                    partialFocusChart = renderFocusChart(dataset.slice(0, 10));
+
+                brushWithMouse(0.8, 0.95);
+
+                setTimeout(() => {
+                    partialFocusChart.zoomTo(dataset[2].date, dataset[6].date);
+
+                    expect(selection.style('display')).not.toBe('none');
+                    expect(+selection.attr('x') + +selection.attr('width')).toBeLessThan(width * 0.5);
+                    done();
+                }, 1000);
+            });
+
+            it('should stop listening to the focus chart when unbound', () => {
+                let selection = containerFixture.select('.brush-chart .selection');
+
+                brushChart.focusChart(null);
+                focusChart.zoomTo(dataset[2].date, dataset[6].date);
+
+                expect(selection.style('display')).toBe('none');
+            });
         });
     });
 });
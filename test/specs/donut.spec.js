@@ -7,6 +7,16 @@ define(['d3', 'donut', 'donutChartDataBuilder'], function(d3, chart, dataBuilder
         return new dataBuilder.DonutDataBuilder();
     }
 
+    function touch(element, type) {
+        let event = document.createEvent('Event');
+
+        event.initEvent(type, true, true);
+        event.changedTouches = [{identifier: 0, clientX: 0, clientY: 0}];
+        element.dispatchEvent(event);
+
+        return event;
+    }
+
     function buildDataSet(dataSetName) {
         return aTestDataSet()
             [dataSetName]()
@@ -112,6 +122,30 @@ define(['d3', 'donut', 'donutChartDataBuilder'], function(d3, chart, dataBuilder
                     expect(actual).toBe(expected);
                 });
 
+                it('should provide title getter and setter', () => {
+                    let previous = donutChart.title(),
+                        expected = 'Sales by product',
+                        actual;
+
+                    donutChart.title(expected);
+                    actual = donutChart.title();
+
+                    expect(previous).not.toBe(expected);
+                    expect(actual).toBe(expected);
+                });
+
+                it('should provide desc getter and setter', () => {
+                    let previous = donutChart.desc(),
+                        expected = 'Share of the sales of each product',
+                        actual;
+
+                    donutChart.desc(expected);
+                    actual = donutChart.desc();
+
+                    expect(previous).not.toBe(expected);
+                    expect(actual).toBe(expected);
+                });
+
                 it('should provide width getter and setter', () => {
                     let previous = donutChart.width(),
                         expected = 20,
@@ -172,6 +206,18 @@ define(['d3', 'donut', 'donutChartDataBuilder'], function(d3, chart, dataBuilder
                     expect(newId).toBe(testId);
                 });
 
+                it('should provide a hiddenSeries getter and setter', () => {
+                    let defaultHiddenSeries = donutChart.hiddenSeries(),
+                        testHiddenSeries = [1],
+                        newHiddenSeries;
+
+                    donutChart.hiddenSeries(testHiddenSeries);
+                    newHiddenSeries = donutChart.hiddenSeries();
+
+                    expect(defaultHiddenSeries).not.toBe(testHiddenSeries);
+                    expect(newHiddenSeries).toBe(testHiddenSeries);
+                });
+
                 it('should provide a hasFixedHighlightedSlice getter and setter', () => {
                     let defaultId = donutChart.hasFixedHighlightedSlice(),
                         testValue = true,
@@ -185,6 +231,22 @@ define(['d3', 'donut', 'donutChartDataBuilder'], function(d3, chart, dataBuilder
                 });
             });
 
+            describe('when hiding series', () => {
+
+                it('should leave no room for the hidden slices', () => {
+                    let hiddenId = dataset[0].id,
+                        hiddenSlice;
+
+                    containerFixture.selectAll('svg').remove();
+                    donutChart = chart().hiddenSeries([hiddenId]);
+                    containerFixture.datum(dataset).call(donutChart);
+                    hiddenSlice = containerFixture.selectAll('.chart-group .arc path')
+                        .filter(({data}) => data.id === hiddenId);
+
+                    expect(hiddenSlice.datum().startAngle).toEqual(hiddenSlice.datum().endAngle);
+                });
+            });
+
             describe('when mouse events are triggered', () => {
 
                 it('should trigger an event on hover', () => {
@@ -206,6 +268,85 @@ define(['d3', 'donut', 'donutChartDataBuilder'], function(d3, chart, dataBuilder
                 });
             });
 
+            describe('Accessibility', () => {
+                let slices;
+
+                beforeEach(() => {
+                    slices = containerFixture.selectAll('.chart-group .arc path').nodes();
+                });
+
+                it('should label the chart as an image with a summary of the data', () => {
+                    let svg = containerFixture.select('svg');
+
+                    expect(svg.attr('role')).toEqual('img');
+                    expect(svg.attr('aria-label')).toMatch(new RegExp(`^Donut chart with ${dataset.length} slices, the largest being`));
+                });
+
+                it('should inspect and announce a slice when focused', () => {
+                    let callback = jasmine.createSpy('hoverCallback'),
+                        sliceData = d3.select(slices[0]).datum().data;
+
+                    donutChart.on('customMouseOver', callback);
+                    slices[0].focus();
+
+                    expect(callback.calls.count()).toBe(1);
+                    expect(containerFixture.select('.britechart-live-region').text())
+                        .toEqual(`${sliceData.name}: ${sliceData.percentage}% (${sliceData.quantity})`);
+                });
+
+                it('should move the focus across the slices with the arrow keys', () => {
+                    let event = document.createEvent('Event');
+
+                    event.initEvent('keydown', true, true);
+                    event.keyCode = 39;
+                    slices[0].focus();
+                    slices[0].dispatchEvent(event);
+
+                    expect(document.activeElement).toBe(slices[1]);
+                    expect(slices[1].getAttribute('tabindex')).toEqual('0');
+                });
+
+                it('should not make the hidden slices focusable', () => {
+                    donutChart.hiddenSeries([dataset[0].id]);
+                    containerFixture.datum(dataset).call(donutChart);
+
+                    expect(slices[0].hasAttribute('tabindex')).toBe(false);
+                    expect(slices[1].getAttribute('tabindex')).toEqual('0');
+                });
+            });
+
+            describe('when touch events are triggered', () => {
+                let slices;
+
+                beforeEach(() => {
+                    slices = containerFixture.selectAll('.chart-group .arc path').nodes();
+                    spyOn(document, 'elementFromPoint').and.returnValue(slices[0]);
+                });
+
+                it('should inspect the touched slice', () => {
+                    let callback = jasmine.createSpy('hoverCallback');
+
+                    donutChart.on('customMouseOver', callback);
+                    touch(slices[0], 'touchstart');
+
+                    expect(callback.calls.count()).toBe(1);
+                    expect(callback.calls.argsFor(0)[0]).toBe(d3.select(slices[0]).datum());
+                });
+
+                it('should move to the slice under the finger without scrolling when dragging', () => {
+                    let outCallback = jasmine.createSpy('mouseOutCallback'),
+                        event;
+
+                    donutChart.on('customMouseOut', outCallback);
+                    touch(slices[0], 'touchstart');
+                    document.elementFromPoint.and.returnValue(slices[1]);
+                    event = touch(slices[0], 'touchmove');
+
+                    expect(outCallback.calls.count()).toBe(1);
+                    expect(event.defaultPrevented).toBe(true);
+                });
+            });
+
             describe('Export chart functionality', () => {
 
                 it('should have exportChart defined', () => {
@@ -0,0 +1,346 @@
+define(['d3', 'grouped-bar', 'groupedBarDataBuilder'], function(d3, chart, dataBuilder) {
+    'use strict';
+
+    function aTestDataSet() {
+        return new dataBuilder.GroupedBarDataBuilder();
+    }
+
+    describe('Grouped Bar Chart', () => {
+        let groupedBarChart, dataset, containerFixture, f;
+
+        beforeEach(() => {
+            // Copying the data, as some specs change the entries
+            dataset = JSON.parse(JSON.stringify(aTestDataSet()
+                .with3Groups()
+                .build()));
+            groupedBarChart = chart()
+                .grid('horizontal');
+
+            // DOM Fixture Setup
+            f = jasmine.getFixtures();
+            f.fixturesPath = 'base/test/fixtures/';
+            f.load('testContainer.html');
+
+            containerFixture = d3.select('.test-container');
+            containerFixture.datum(dataset.data).call(groupedBarChart);
+        });
+
+        afterEach(() => {
+            containerFixture.remove();
+            f = jasmine.getFixtures();
+            f.cleanUp();
+            f.clearCache();
+        });
+
+        it('should render a chart with minimal requirements', () => {
+            expect(containerFixture.select('.grouped-bar').empty()).toBeFalsy();
+        });
+
+        it('should render container, axis and chart groups', () => {
+            expect(containerFixture.select('g.container-group').empty()).toBeFalsy();
+            expect(containerFixture.select('g.chart-group').empty()).toBeFalsy();
+            expect(containerFixture.select('g.x-axis-group').empty()).toBeFalsy();
+            expect(containerFixture.select('g.y-axis-group').empty()).toBeFalsy();
+            expect(containerFixture.select('g.grid-lines-group').empty()).toBeFalsy();
+            expect(containerFixture.select('g.metadata-group').empty()).toBeFalsy();
+        });
+
+        it('should render grid lines', () => {
+            expect(containerFixture.select('.horizontal-grid-line').empty()).toBeFalsy();
+        });
+
+        it('should render an X and Y axis', () => {
+            expect(containerFixture.select('.x-axis-group .axis').empty()).toBeFalsy();
+            expect(containerFixture.select('.y-axis-group.axis').empty()).toBeFalsy();
+        });
+
+        it('should render a layer for each name', () => {
+            let names = d3.set(dataset.data, ({name}) => name).values();
+
+            expect(containerFixture.selectAll('.layer').size()).toEqual(names.length);
+        });
+
+        it('should render a bar for each data entry', () => {
+            expect(containerFixture.selectAll('.bar').size()).toEqual(dataset.data.length);
+        });
+
+        it('should group the bars by the stack of the entries, as the stacked bar chart does', () => {
+            let stacks = d3.set(dataset.data.map(({stack}) => stack)).values();
+
+            expect(groupedBarChart.groupLabel()).toBe('stack');
+            expect(containerFixture.select('.layer').selectAll('.bar').size()).toEqual(stacks.length);
+        });
+
+        it('should leave the passed data untouched', () => {
+            expect(dataset.data).toEqual(aTestDataSet().with3Groups().build().data);
+        });
+
+        it('should place the bars of each group side by side', () => {
+            let bars = containerFixture.select('.layer').selectAll('.bar').nodes(),
+                xPositions = bars.map((bar) => +bar.getAttribute('x')),
+                width = +bars[0].getAttribute('width');
+
+            expect(xPositions[1]).not.toBeLessThan(xPositions[0] + width);
+            expect(xPositions[2]).not.toBeLessThan(xPositions[1] + width);
+        });
+
+        it('should color the bars by their group', () => {
+            let firstGroup = dataset.data[0].stack,
+                groupColors = containerFixture.selectAll('.bar')
+                    .filter(({group}) => group === firstGroup)
+                    .nodes()
+                    .map((bar) => bar.getAttribute('fill'));
+
+            expect(d3.set(groupColors).size()).toEqual(1);
+            expect(containerFixture.select('.bar').attr('fill')).not.toEqual(
+                containerFixture.select('.bar:nth-child(2)').attr('fill')
+            );
+        });
+
+        it('should label the chart as an image with a summary of the data', () => {
+            let svg = containerFixture.select('svg');
+
+            expect(svg.attr('role')).toEqual('img');
+            expect(svg.attr('aria-label')).toMatch(/^Grouped bar chart with \d+ groups of 3 bars$/);
+        });
+
+        describe('API', function() {
+
+            it('should provide title getter and setter', () => {
+                let previous = groupedBarChart.title(),
+                    expected = 'Test title',
+                    actual;
+
+                groupedBarChart.title(expected);
+                actual = groupedBarChart.title();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide desc getter and setter', () => {
+                let previous = groupedBarChart.desc(),
+                    expected = 'Test description',
+                    actual;
+
+                groupedBarChart.desc(expected);
+                actual = groupedBarChart.desc();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide margin getter and setter', () => {
+                let previous = groupedBarChart.margin(),
+                    expected = {top: 4, right: 4, bottom: 4, left: 4},
+                    actual;
+
+                groupedBarChart.margin(expected);
+                actual = groupedBarChart.margin();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide height getter and setter', () => {
+                let previous = groupedBarChart.height(),
+                    expected = 200,
+                    actual;
+
+                groupedBarChart.height(expected);
+                actual = groupedBarChart.height();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide width getter and setter', () => {
+                let previous = groupedBarChart.width(),
+                    expected = 200,
+                    actual;
+
+                groupedBarChart.width(expected);
+                actual = groupedBarChart.width();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide horizontal direction getter and setter', () => {
+                let previous = groupedBarChart.horizontal(),
+                    expected = true,
+                    actual;
+
+                groupedBarChart.horizontal(expected);
+                actual = groupedBarChart.horizontal();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide colorSchema getter and setter', () => {
+                let previous = groupedBarChart.colorSchema(),
+                    expected = ['#ffffff', '#fafefc', '#000000'],
+                    actual;
+
+                groupedBarChart.colorSchema(expected);
+                actual = groupedBarChart.colorSchema();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide grid getter and setter', () => {
+                let previous = groupedBarChart.grid(),
+                    expected = 'full',
+                    actual;
+
+                groupedBarChart.grid(expected);
+                actual = groupedBarChart.grid();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide groupLabel getter and setter', () => {
+                let previous = groupedBarChart.groupLabel(),
+                    expected = 'group',
+                    actual;
+
+                groupedBarChart.groupLabel(expected);
+                actual = groupedBarChart.groupLabel();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide groupPadding getter and setter', () => {
+                let previous = groupedBarChart.groupPadding(),
+                    expected = 0.3,
+                    actual;
+
+                groupedBarChart.groupPadding(expected);
+                actual = groupedBarChart.groupPadding();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide nameLabel getter and setter', () => {
+                let previous = groupedBarChart.nameLabel(),
+                    expected = 'key',
+                    actual;
+
+                groupedBarChart.nameLabel(expected);
+                actual = groupedBarChart.nameLabel();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide valueLabel getter and setter', () => {
+                let previous = groupedBarChart.valueLabel(),
+                    expected = 'views',
+                    actual;
+
+                groupedBarChart.valueLabel(expected);
+                actual = groupedBarChart.valueLabel();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide animation getter and setter', () => {
+                let previous = groupedBarChart.isAnimated(),
+                    expected = true,
+                    actual;
+
+                groupedBarChart.isAnimated(expected);
+                actual = groupedBarChart.isAnimated();
+
+                expect(previous).not.toBe(actual);
+                expect(actual).toBe(expected);
+            });
+        });
+
+        describe('when horizontal', function() {
+
+            beforeEach(() => {
+                containerFixture.selectAll('svg').remove();
+                groupedBarChart = chart()
+                    .horizontal(true)
+                    .grid('vertical');
+
+                containerFixture.datum(dataset.data).call(groupedBarChart);
+            });
+
+            it('should render a bar for each data entry', () => {
+                expect(containerFixture.selectAll('.bar').size()).toEqual(dataset.data.length);
+            });
+
+            it('should render vertical grid lines', () => {
+                expect(containerFixture.select('.vertical-grid-line').empty()).toBeFalsy();
+            });
+
+            it('should place the bars of each group one below the other', () => {
+                let bars = containerFixture.select('.layer').selectAll('.bar').nodes(),
+                    yPositions = bars.map((bar) => +bar.getAttribute('y')),
+                    height = +bars[0].getAttribute('height');
+
+                expect(yPositions[1]).not.toBeLessThan(yPositions[0] + height);
+                expect(+bars[0].getAttribute('width')).toBeGreaterThan(0);
+            });
+        });
+
+        describe('when there are negative values', function() {
+
+            beforeEach(() => {
+                dataset.data[0].value = -10;
+                containerFixture.selectAll('svg').remove();
+                groupedBarChart = chart();
+
+                containerFixture.datum(dataset.data).call(groupedBarChart);
+            });
+
+            it('should render a zero line', () => {
+                expect(containerFixture.selectAll('.zero-line').size()).toEqual(1);
+            });
+
+            it('should grow the negative bars down from the zero line', () => {
+                let zeroY = +containerFixture.select('.zero-line').attr('y1'),
+                    negativeBar = containerFixture.select('.bar');
+
+                expect(+negativeBar.attr('y')).toEqual(zeroY);
+                expect(+negativeBar.attr('height')).toBeGreaterThan(0);
+            });
+        });
+
+        describe('when hovering', function() {
+
+            it('should trigger a callback on mouse over', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                groupedBarChart.on('customMouseOver', callbackSpy);
+                containerFixture.select('.grouped-bar').dispatch('mouseover');
+
+                expect(callbackSpy.calls.count()).toBe(1);
+            });
+
+            it('should trigger a callback on mouse out', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                groupedBarChart.on('customMouseOut', callbackSpy);
+                containerFixture.select('.grouped-bar').dispatch('mouseout');
+
+                expect(callbackSpy.calls.count()).toBe(1);
+            });
+        });
+
+        describe('Export chart functionality', () => {
+
+            it('should have exportChart defined', () => {
+                expect(groupedBarChart.exportChart).toBeDefined();
+            });
+        });
+    });
+});
@@ -1,10 +1,19 @@
-define(['d3', 'legend', 'donutChartDataBuilder'], function(d3, legend, dataBuilder) {
+define(['d3', 'legend', 'donut', 'donutChartDataBuilder'], function(d3, legend, donut, dataBuilder) {
     'use strict';
 
     function aTestDataSet() {
         return new dataBuilder.DonutDataBuilder();
     }
 
+    function aLongDataSet(length) {
+        return d3.range(length).map((index) => ({
+            id: index,
+            name: `A very long topic name for the entry number ${index}`,
+            quantity: index * 10,
+            percentage: 4
+        }));
+    }
+
     describe('Legend Component', () =>{
         let legendChart, dataset, containerFixture, f;
 
@@ -174,6 +183,18 @@ define(['d3', 'legend', 'donutChartDataBuilder'], function(d3, legend, dataBuild
                     expect(actual).toBe(expected);
                 });
 
+                it('should provide maxRows getter and setter', () =>{
+                    let previous = legendChart.maxRows(),
+                        expected = 5,
+                        actual;
+
+                    legendChart.maxRows(expected);
+                    actual = legendChart.maxRows();
+
+                    expect(previous).not.toBe(expected);
+                    expect(actual).toBe(expected);
+                });
+
                 it('should provide markerSize getter and setter', () =>{
                     let previous = legendChart.markerSize(),
                         expected = 10,
@@ -216,6 +237,132 @@ define(['d3', 'legend', 'donutChartDataBuilder'], function(d3, legend, dataBuild
                     expect(d3.select(elements[3]).attr('class')).toEqual('legend-entry');
                     expect(d3.select(elements[4]).attr('class')).toEqual('legend-entry');
                 });
+
+                it('should provide a bindChart function', () => {
+                    expect(legendChart.bindChart(donut(), containerFixture)).toBe(legendChart);
+                });
+            });
+
+            describe('when clicking the entries', () => {
+                let entries;
+
+                function shiftClick(node) {
+                    node.dispatchEvent(new MouseEvent('click', {shiftKey: true}));
+                }
+
+                beforeEach(() => {
+                    entries = containerFixture.selectAll('.legend-entry');
+                });
+
+                it('should hide the clicked entry', () => {
+                    d3.select(entries.nodes()[0]).dispatch('click');
+
+                    expect(entries.filter('.is-hidden').data()).toEqual([dataset[0]]);
+                });
+
+                it('should show the entry again on a second click', () => {
+                    d3.select(entries.nodes()[0]).dispatch('click');
+                    d3.select(entries.nodes()[0]).dispatch('click');
+
+                    expect(entries.filter('.is-hidden').empty()).toBe(true);
+                });
+
+                it('should hide all the other entries on shift-click', () => {
+                    shiftClick(entries.nodes()[1]);
+
+                    expect(entries.filter('.is-hidden').size()).toEqual(dataset.length - 1);
+                    expect(d3.select(entries.nodes()[1]).classed('is-hidden')).toBe(false);
+                });
+
+                it('should show all the entries when shift-clicking the only visible one', () => {
+                    shiftClick(entries.nodes()[1]);
+                    shiftClick(entries.nodes()[1]);
+
+                    expect(entries.filter('.is-hidden').empty()).toBe(true);
+                });
+
+                it('should not hide the last visible entry', () => {
+                    shiftClick(entries.nodes()[1]);
+                    d3.select(entries.nodes()[1]).dispatch('click');
+
+                    expect(d3.select(entries.nodes()[1]).classed('is-hidden')).toBe(false);
+                });
+
+                it('should trigger a customLegendToggle event with the visible ids', () => {
+                    let callback = jasmine.createSpy('toggleCallback');
+
+                    legendChart.on('customLegendToggle', callback);
+                    d3.select(entries.nodes()[0]).dispatch('click');
+
+                    expect(callback.calls.count()).toBe(1);
+                    expect(callback.calls.mostRecent().args[0]).toEqual(
+                        dataset.slice(1).map(({id}) => id)
+                    );
+                });
+
+                it('should hide the series of the bound chart', () => {
+                    let donutChart = donut(),
+                        donutContainer = containerFixture.append('div');
+
+                    donutContainer.datum(dataset).call(donutChart);
+                    legendChart.bindChart(donutChart, donutContainer);
+                    d3.select(entries.nodes()[0]).dispatch('click');
+
+                    expect(donutChart.hiddenSeries()).toEqual([dataset[0].id]);
+                });
+            });
+
+            describe('when the entries do not fit in the legend', () => {
+                let longDataset;
+
+                beforeEach(() => {
+                    longDataset = aLongDataSet(25);
+                    containerFixture.selectAll('svg').remove();
+                    legendChart = legend();
+                    containerFixture.datum(longDataset).call(legendChart);
+                });
+
+                it('should show only the entries of the first page', () => {
+                    let entries = containerFixture.selectAll('.legend-entry');
+
+                    expect(entries.size()).toBeLessThan(longDataset.length);
+                    expect(entries.data()[0].id).toEqual(longDataset[0].id);
+                });
+
+                it('should render a pager with the current page', () => {
+                    expect(containerFixture.select('.legend-pager').empty()).toBeFalsy();
+                    expect(containerFixture.select('.legend-pager-label').text()).toEqual('1/5');
+                });
+
+                it('should disable the previous arrow on the first page', () => {
+                    expect(containerFixture.select('.legend-pager-previous').classed('is-disabled')).toBe(true);
+                    expect(containerFixture.select('.legend-pager-next').classed('is-disabled')).toBe(false);
+                });
+
+                it('should show the next page when clicking the next arrow', () => {
+                    let firstPageSize = containerFixture.selectAll('.legend-entry').size();
+
+                    containerFixture.select('.legend-pager-next').dispatch('click');
+
+                    expect(containerFixture.selectAll('.legend-entry').data()[0].id).toEqual(longDataset[firstPageSize].id);
+                    expect(containerFixture.select('.legend-pager-label').text()).toEqual('2/5');
+                });
+
+                it('should limit the entries of each page with maxRows', () => {
+                    legendChart.maxRows(3);
+                    containerFixture.call(legendChart);
+
+                    expect(containerFixture.selectAll('.legend-entry').size()).toEqual(3);
+                    expect(containerFixture.select('.legend-pager-label').text()).toEqual('1/9');
+                });
+
+                it('should add a title with the full name to each entry', () => {
+                    let titles = containerFixture.selectAll('.legend-entry title').nodes();
+
+                    titles.forEach((title, index) => {
+                        expect(title.textContent).toEqual(longDataset[index].name);
+                    });
+                });
             });
         });
 
@@ -339,6 +486,36 @@ define(['d3', 'legend', 'donutChartDataBuilder'], function(d3, legend, dataBuild
                     expect(actual).toEqual(expected);
                 });
             });
+
+            describe('when the lines do not fit in the legend', () => {
+
+                beforeEach(() => {
+                    containerFixture.selectAll('svg').remove();
+                    legendChart = legend()
+                        .horizontal(true)
+                        .maxRows(2);
+                    containerFixture.datum(aLongDataSet(25)).call(legendChart);
+                });
+
+                it('should render at most maxRows lines', () => {
+                    expect(containerFixture.selectAll('.legend-line').size()).toEqual(2);
+                });
+
+                it('should render a pager', () => {
+                    expect(containerFixture.select('.legend-pager').empty()).toBeFalsy();
+                });
+
+                it('should truncate the names that do not fit in a line', () => {
+                    let nameWidths = containerFixture.selectAll('.legend-entry-name')
+                            .nodes()
+                            .map((node) => node.getComputedTextLength()),
+                        legendWidth = legendChart.width();
+
+                    nameWidths.forEach((nameWidth) => {
+                        expect(nameWidth).toBeLessThan(legendWidth);
+                    });
+                });
+            });
         });
     });
 });
@@ -22,6 +22,30 @@ define([
         return _.contains(element.node().classList, className);
     }
 
+    function clickAt(container, x) {
+        let rect = container.node().getBoundingClientRect();
+
+        container.node().dispatchEvent(new MouseEvent('click', {
+            clientX: rect.left + x,
+            clientY: rect.top + 50
+        }));
+    }
+
+    function touchAt(container, type, x) {
+        let rect = container.node().getBoundingClientRect(),
+            event = document.createEvent('Event');
+
+        event.initEvent(type, true, true);
+        event.changedTouches = [{
+            identifier: 0,
+            clientX: rect.left + x,
+            clientY: rect.top + 50
+        }];
+        container.node().dispatchEvent(event);
+
+        return event;
+    }
+
     describe('Line Chart', () => {
         let dataset, containerFixture, f, lineChart;
 
@@ -186,6 +210,563 @@ define([
             });
         });
 
+        describe('when there are missing values', function() {
+
+            beforeEach(() => {
+                // Copying the data, as the fixtures are shared between specs
+                dataset = JSON.parse(JSON.stringify(aTestDataSet().with5Topics().build()));
+                dataset.dataByTopic[0].dates[2].value = null;
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            it('should treat them as zeros by default', () => {
+                lineChart = chart();
+                containerFixture.datum(dataset).call(lineChart);
+
+                let path = containerFixture.select('.line').attr('d');
+
+                expect(path.split('M').length - 1).toEqual(1);
+                expect(path).not.toContain('NaN');
+            });
+
+            it('should break the line when the mode is gap', () => {
+                lineChart = chart().missingValueMode('gap');
+                containerFixture.datum(dataset).call(lineChart);
+
+                let path = containerFixture.select('.line').attr('d');
+
+                expect(path.split('M').length - 1).toEqual(2);
+                expect(path).not.toContain('NaN');
+            });
+
+            it('should join the known values when the mode is interpolate', () => {
+                lineChart = chart().missingValueMode('interpolate');
+                containerFixture.datum(dataset).call(lineChart);
+
+                let path = containerFixture.select('.line').attr('d');
+
+                expect(path.split('M').length - 1).toEqual(1);
+                expect(path).not.toContain('NaN');
+            });
+
+            it('should leave the missing values of the data untouched', () => {
+                lineChart = chart();
+                containerFixture.datum(dataset).call(lineChart);
+
+                expect(dataset.dataByTopic[0].dates[2].value).toBeNull();
+            });
+
+            it('should keep the gap when switching to gap mode and rendering the same data again', () => {
+                lineChart = chart();
+                containerFixture.datum(dataset).call(lineChart);
+                lineChart.missingValueMode('gap');
+                containerFixture.call(lineChart);
+
+                expect(containerFixture.selectAll('.topic').data()[0].dates[2].value).toBeNull();
+            });
+        });
+
+        describe('when zoomable', function() {
+            let startDate, endDate;
+
+            beforeEach(() => {
+                dataset = aTestDataSet().with5Topics().build();
+                lineChart = chart().isZoomable(true);
+                startDate = new Date(dataset.dataByTopic[0].dates[2].date);
+                endDate = new Date(dataset.dataByTopic[0].dates[6].date);
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+                containerFixture.datum(dataset).call(lineChart);
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            it('should clip the lines to the chart area', () => {
+                let clipPath = containerFixture.select('clipPath');
+
+                expect(clipPath.empty()).toBeFalsy();
+                expect(containerFixture.select('.chart-group').attr('clip-path'))
+                    .toEqual(`url(#${clipPath.attr('id')})`);
+            });
+
+            it('should render an area to capture the zoom gestures', () => {
+                expect(containerFixture.selectAll('.zoom-area').size()).toEqual(1);
+            });
+
+            it('should dispatch a customZoom event with the visible range when zooming to some dates', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    visibleRange;
+
+                lineChart.on('customZoom', callbackSpy);
+                lineChart.zoomTo(startDate, endDate);
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(callbackSpy.calls.count()).toBe(1);
+                expect(visibleRange[0].getTime()).toBeCloseTo(startDate.getTime(), -7);
+                expect(visibleRange[1].getTime()).toBeCloseTo(endDate.getTime(), -7);
+            });
+
+            it('should show the whole date range after resetting the zoom', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    visibleRange;
+
+                lineChart.on('customZoom', callbackSpy);
+                lineChart.zoomTo(startDate, endDate);
+                lineChart.resetZoom();
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(callbackSpy.calls.count()).toBe(2);
+                expect(visibleRange[0].getTime()).toBeLessThan(startDate.getTime());
+                expect(visibleRange[1].getTime()).toBeGreaterThan(endDate.getTime());
+            });
+
+            it('should zoom to the same range when the dates come reversed', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                lineChart.on('customZoom', callbackSpy);
+                lineChart.zoomTo(startDate, endDate);
+                lineChart.zoomTo(endDate, startDate);
+
+                expect(callbackSpy.calls.count()).toBe(2);
+                expect(callbackSpy.calls.mostRecent().args[0]).toEqual(callbackSpy.calls.first().args[0]);
+            });
+
+            it('should not zoom when the range is empty', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                lineChart.on('customZoom', callbackSpy);
+                lineChart.zoomTo(startDate, startDate);
+                lineChart.zoomTo('not a date', endDate);
+
+                expect(callbackSpy.calls.count()).toBe(0);
+            });
+
+            it('should clamp the range to the dates of the data', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    fullRange, visibleRange;
+
+                lineChart.on('customZoom', callbackSpy);
+                lineChart.resetZoom();
+                fullRange = callbackSpy.calls.mostRecent().args[0];
+                lineChart.zoomTo(startDate, new Date(fullRange[1].getTime() + 1e10));
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(visibleRange[0].getTime()).toBeCloseTo(startDate.getTime(), -7);
+                expect(visibleRange[1].getTime()).toEqual(fullRange[1].getTime());
+            });
+
+            it('should not zoom in more than the maximum zoom allows', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    fullRange, visibleRange;
+
+                lineChart.on('customZoom', callbackSpy);
+                lineChart.resetZoom();
+                fullRange = callbackSpy.calls.mostRecent().args[0];
+                lineChart.zoomTo(startDate, new Date(startDate.getTime() + 1));
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(visibleRange[1] - visibleRange[0]).toBeCloseTo((fullRange[1] - fullRange[0]) / 20, -3);
+            });
+        });
+
+        describe('when there are negative values', function() {
+
+            beforeEach(() => {
+                dataset = aTestDataSet().withNegativeValues().build();
+                lineChart = chart();
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+                containerFixture.datum(dataset).call(lineChart);
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            it('should include the negative values on the y axis', () => {
+                let tickValues = containerFixture.selectAll('.y-axis-group .tick').data();
+
+                expect(Math.min(...tickValues)).toBeLessThan(0);
+                expect(Math.min(...tickValues)).not.toBeGreaterThan(-5);
+            });
+
+            it('should render a zero line', () => {
+                expect(containerFixture.selectAll('.zero-line').size()).toEqual(1);
+            });
+        });
+
+        describe('when hiding series', function() {
+            let hiddenTopic;
+
+            beforeEach(() => {
+                dataset = aTestDataSet().with5Topics().build();
+                hiddenTopic = dataset.dataByTopic[0].topic;
+                lineChart = chart().hiddenSeries([hiddenTopic]);
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+                containerFixture.datum(dataset).call(lineChart);
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            it('should not draw the hidden topics', () => {
+                let drawnTopics = containerFixture.selectAll('.topic').data().map(({topic}) => topic);
+
+                expect(drawnTopics.length).toEqual(dataset.dataByTopic.length - 1);
+                expect(drawnTopics).not.toContain(hiddenTopic);
+            });
+
+            it('should keep the colors of the visible topics', () => {
+                let hiddenLineColors = containerFixture.selectAll('.line').nodes()
+                        .map((line) => line.style.stroke),
+                    allLineColors;
+
+                containerFixture.selectAll('svg').remove();
+                containerFixture.datum(dataset).call(chart());
+                allLineColors = containerFixture.selectAll('.line').nodes()
+                    .map((line) => line.style.stroke);
+
+                expect(hiddenLineColors).toEqual(allLineColors.slice(1));
+            });
+        });
+
+        describe('Accessibility', function() {
+            let container;
+
+            beforeEach(() => {
+                dataset = aTestDataSet().with5Topics().build();
+                lineChart = chart()
+                    .title('Visits')
+                    .desc('Daily visits by city');
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+                containerFixture.datum(dataset).call(lineChart);
+                container = containerFixture.select('svg');
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            function pressKey(keyCode) {
+                let event = document.createEvent('Event');
+
+                event.initEvent('keydown', true, true);
+                event.keyCode = keyCode;
+                container.node().dispatchEvent(event);
+
+                return event;
+            }
+
+            it('should label the chart as an image with its title and a summary of the data', () => {
+                expect(container.attr('role')).toEqual('img');
+                expect(container.attr('aria-label')).toMatch(/^Visits\. Line chart with 5 series, from /);
+                expect(container.select('title').text()).toEqual('Visits');
+                expect(container.select('desc').text()).toEqual('Daily visits by city');
+            });
+
+            it('should be reachable with the tab key', () => {
+                expect(container.attr('tabindex')).toEqual('0');
+            });
+
+            it('should inspect and announce the first date when focused', () => {
+                let callback = jasmine.createSpy('mouseMoveCallback');
+
+                lineChart.on('customMouseMove', callback);
+                container.node().focus();
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback.calls.argsFor(0)[2]).toEqual(0);
+                expect(containerFixture.select('.britechart-live-region').text()).toMatch(/^\w+ \d+, \d{4}: /);
+            });
+
+            it('should move across the dates with the arrow keys', () => {
+                let callback = jasmine.createSpy('mouseMoveCallback'),
+                    event;
+
+                container.node().focus();
+                lineChart.on('customMouseMove', callback);
+                event = pressKey(39);
+
+                expect(event.defaultPrevented).toBe(true);
+                expect(callback.calls.argsFor(0)[2]).toBeGreaterThan(0);
+
+                pressKey(36);
+
+                expect(callback.calls.argsFor(1)[2]).toEqual(0);
+            });
+        });
+
+        describe('when touched', function() {
+            let container, firstPointX;
+
+            beforeEach(() => {
+                dataset = aTestDataSet().with5Topics().build();
+                lineChart = chart();
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+                containerFixture.datum(dataset).call(lineChart);
+                container = containerFixture.select('svg');
+                firstPointX = lineChart.margin().left;
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            it('should inspect the touched data point on touch start', () => {
+                let overCallback = jasmine.createSpy('hoverCallback'),
+                    moveCallback = jasmine.createSpy('mouseMoveCallback');
+
+                lineChart
+                    .on('customMouseOver', overCallback)
+                    .on('customMouseMove', moveCallback);
+                touchAt(container, 'touchstart', firstPointX);
+
+                expect(overCallback.calls.count()).toBe(1);
+                expect(moveCallback.calls.count()).toBe(1);
+                expect(moveCallback.calls.argsFor(0)[2]).toEqual(0);
+            });
+
+            it('should scrub through the data points without scrolling on touch move', () => {
+                let callback = jasmine.createSpy('mouseMoveCallback'),
+                    event;
+
+                lineChart.on('customMouseMove', callback);
+                touchAt(container, 'touchstart', firstPointX);
+                event = touchAt(container, 'touchmove', lineChart.width() - lineChart.margin().right);
+
+                expect(callback.calls.count()).toBe(2);
+                expect(callback.calls.argsFor(1)[2]).toBeGreaterThan(0);
+                expect(event.defaultPrevented).toBe(true);
+            });
+        });
+
+        describe('when pinnable', function() {
+            let container, firstPointX, lastPointX;
+
+            beforeEach(() => {
+                dataset = aTestDataSet().with5Topics().build();
+                lineChart = chart().isPinnable(true);
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+                containerFixture.datum(dataset).call(lineChart);
+                container = containerFixture.select('svg');
+                firstPointX = lineChart.margin().left;
+                lastPointX = lineChart.width() - lineChart.margin().right;
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            it('should trigger a customPin event with the clicked data point', () => {
+                let callback = jasmine.createSpy('pinCallback');
+
+                lineChart.on('customPin', callback);
+                clickAt(container, firstPointX);
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback.calls.argsFor(0)[2]).toEqual(0);
+                expect(callback.calls.argsFor(0)[3]).toBe(0);
+            });
+
+            it('should keep the marker and tooltip when the mouse leaves the chart', () => {
+                let callback = jasmine.createSpy('mouseOutCallback'),
+                    markerTransform;
+
+                lineChart.on('customMouseOut', callback);
+                clickAt(container, firstPointX);
+                markerTransform = container.select('.hover-marker').attr('transform');
+                container.dispatch('mouseout');
+
+                expect(callback.calls.count()).toBe(0);
+                expect(container.select('.hover-marker').attr('transform')).toEqual(markerTransform);
+            });
+
+            it('should pin a second data point with its own marker', () => {
+                let callback = jasmine.createSpy('pinCallback');
+
+                lineChart.on('customPin', callback);
+                clickAt(container, firstPointX);
+                clickAt(container, lastPointX);
+
+                expect(callback.calls.count()).toBe(2);
+                expect(callback.calls.argsFor(1)[3]).toBe(1);
+                expect(container.selectAll('.pinned-marker').size()).toEqual(1);
+            });
+
+            it('should unpin the data points when clicking a pinned one', () => {
+                let callback = jasmine.createSpy('unpinCallback');
+
+                lineChart.on('customUnpin', callback);
+                clickAt(container, firstPointX);
+                clickAt(container, lastPointX);
+                clickAt(container, firstPointX);
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback.calls.argsFor(0)[0].length).toEqual(2);
+                expect(container.select('.pinned-marker').empty()).toBeTruthy();
+            });
+
+            it('should unpin the data points when calling unpin', () => {
+                let callback = jasmine.createSpy('unpinCallback');
+
+                lineChart.on('customUnpin', callback);
+                clickAt(container, firstPointX);
+                lineChart.unpin();
+
+                expect(callback.calls.count()).toBe(1);
+            });
+        });
+
+        describe('when updating the data', function() {
+
+            beforeEach(() => {
+                dataset = aTestDataSet().with5Topics().build();
+                lineChart = chart().grid('full');
+
+                // DOM Fixture Setup
+                f = jasmine.getFixtures();
+                f.fixturesPath = 'base/test/fixtures/';
+                f.load('testContainer.html');
+
+                containerFixture = d3.select('.test-container');
+                containerFixture.datum(dataset).call(lineChart);
+            });
+
+            afterEach(() => {
+                containerFixture.remove();
+                f = jasmine.getFixtures();
+                f.cleanUp();
+                f.clearCache();
+            });
+
+            it('should keep a single svg element', () => {
+                containerFixture.datum(dataset).call(lineChart);
+
+                expect(containerFixture.selectAll('svg').nodes().length).toEqual(1);
+            });
+
+            it('should not duplicate the lines of the topics that stay', () => {
+                let numLines = dataset.dataByTopic.length;
+
+                containerFixture.datum(dataset).call(lineChart);
+
+                expect(containerFixture.selectAll('.topic').nodes().length).toEqual(numLines);
+                expect(containerFixture.selectAll('.line').nodes().length).toEqual(numLines);
+            });
+
+            it('should bind the lines to the topics by their id', () => {
+                let expected = dataset.dataByTopic.map(({topic}) => topic),
+                    actual;
+
+                containerFixture.datum(dataset).call(lineChart);
+                actual = containerFixture.selectAll('.topic').data().map(({topic}) => topic);
+
+                expect(actual).toEqual(expected);
+            });
+
+            it('should add a line for a new topic', () => {
+                let newTopic = {
+                        topicName: 'Berkeley',
+                        topic: 999,
+                        dates: dataset.dataByTopic[0].dates.map(({date, value}) => ({date, value}))
+                    },
+                    newDataset = {
+                        dataByTopic: dataset.dataByTopic.concat(newTopic)
+                    };
+
+                containerFixture.datum(newDataset).call(lineChart);
+
+                expect(containerFixture.selectAll('.topic').nodes().length).toEqual(newDataset.dataByTopic.length);
+            });
+
+            it('should not duplicate the grid lines', () => {
+                let horizontalLines = containerFixture.selectAll('.horizontal-grid-line').nodes().length,
+                    verticalLines = containerFixture.selectAll('.vertical-grid-line').nodes().length;
+
+                containerFixture.datum(dataset).call(lineChart);
+
+                expect(containerFixture.selectAll('.horizontal-grid-line').nodes().length).toEqual(horizontalLines);
+                expect(containerFixture.selectAll('.vertical-grid-line').nodes().length).toEqual(verticalLines);
+                expect(containerFixture.selectAll('.extended-x-line').nodes().length).toEqual(1);
+            });
+
+            it('should not duplicate the overlay, the vertical marker or the gradient', () => {
+                containerFixture.datum(dataset).call(lineChart);
+
+                expect(containerFixture.selectAll('.overlay').nodes().length).toEqual(1);
+                expect(containerFixture.selectAll('.vertical-marker').nodes().length).toEqual(1);
+                expect(containerFixture.selectAll('linearGradient').nodes().length).toEqual(1);
+            });
+        });
+
         describe('when different date ranges', function() {
 
             beforeEach(() => {
@@ -224,6 +805,18 @@ define([
 
         describe('API', function() {
 
+            it('should provide hiddenSeries getter and setter', () => {
+                let defaultHiddenSeries = lineChart.hiddenSeries(),
+                    testHiddenSeries = [103],
+                    newHiddenSeries;
+
+                lineChart.hiddenSeries(testHiddenSeries);
+                newHiddenSeries = lineChart.hiddenSeries();
+
+                expect(defaultHiddenSeries).not.toBe(testHiddenSeries);
+                expect(newHiddenSeries).toBe(testHiddenSeries);
+            });
+
             it('should provide margin getter and setter', () => {
                 let defaultMargin = lineChart.margin(),
                     testMargin = {top: 4, right: 4, bottom: 4, left: 4},
@@ -403,6 +996,76 @@ define([
                 expect(newVerticalTicks).toBe(testVerticalTicks);
             });
 
+            it('should provide missingValueMode getter and setter', () => {
+                let defaultMissingValueMode = lineChart.missingValueMode(),
+                    testMissingValueMode = 'gap',
+                    newMissingValueMode;
+
+                lineChart.missingValueMode(testMissingValueMode);
+                newMissingValueMode = lineChart.missingValueMode();
+
+                expect(defaultMissingValueMode).not.toBe(testMissingValueMode);
+                expect(newMissingValueMode).toBe(testMissingValueMode);
+            });
+
+            it('should provide a missingValueModes accessor', () => {
+                let missingValueModes = lineChart.missingValueModes;
+
+                expect(missingValueModes).toEqual({
+                    GAP: 'gap',
+                    INTERPOLATE: 'interpolate',
+                    ZERO: 'zero'
+                });
+            });
+
+            it('should provide title getter and setter', () => {
+                let defaultTitle = lineChart.title(),
+                    testTitle = 'Visits',
+                    newTitle;
+
+                lineChart.title(testTitle);
+                newTitle = lineChart.title();
+
+                expect(defaultTitle).not.toBe(testTitle);
+                expect(newTitle).toBe(testTitle);
+            });
+
+            it('should provide desc getter and setter', () => {
+                let defaultDesc = lineChart.desc(),
+                    testDesc = 'Daily visits by city',
+                    newDesc;
+
+                lineChart.desc(testDesc);
+                newDesc = lineChart.desc();
+
+                expect(defaultDesc).not.toBe(testDesc);
+                expect(newDesc).toBe(testDesc);
+            });
+
+            it('should provide isPinnable getter and setter', () => {
+                let defaultPinnable = lineChart.isPinnable(),
+                    testPinnable = true,
+                    newPinnable;
+
+                lineChart.isPinnable(testPinnable);
+                newPinnable = lineChart.isPinnable();
+
+                expect(defaultPinnable).not.toBe(testPinnable);
+                expect(newPinnable).toBe(testPinnable);
+            });
+
+            it('should provide isZoomable getter and setter', () => {
+                let defaultZoomable = lineChart.isZoomable(),
+                    testZoomable = true,
+                    newZoomable;
+
+                lineChart.isZoomable(testZoomable);
+                newZoomable = lineChart.isZoomable();
+
+                expect(defaultZoomable).not.toBe(testZoomable);
+                expect(newZoomable).toBe(testZoomable);
+            });
+
             it('should provide lineGradient getter and setter', () => {
                 let defaultVerticalTicks = lineChart.lineGradient(),
                     testLineGradient = ['#ddd', '#ccc'],
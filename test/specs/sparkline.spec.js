@@ -80,8 +80,39 @@ define([
             });
         });
 
+        it('should label the chart as an image with a summary of the data', () => {
+            let svg = containerFixture.select('svg');
+
+            expect(svg.attr('role')).toEqual('img');
+            expect(svg.attr('aria-label')).toMatch(/^Sparkline with \d+ values, from /);
+        });
+
         describe('API', () => {
 
+            it('should provide title getter and setter', () => {
+                let defaultTitle = sparklineChart.title(),
+                    testTitle = 'Test title',
+                    newTitle;
+
+                sparklineChart.title(testTitle);
+                newTitle = sparklineChart.title();
+
+                expect(defaultTitle).not.toBe(testTitle);
+                expect(newTitle).toBe(testTitle);
+            });
+
+            it('should provide desc getter and setter', () => {
+                let defaultDesc = sparklineChart.desc(),
+                    testDesc = 'Test description',
+                    newDesc;
+
+                sparklineChart.desc(testDesc);
+                newDesc = sparklineChart.desc();
+
+                expect(defaultDesc).not.toBe(testDesc);
+                expect(newDesc).toBe(testDesc);
+            });
+
             it('should provide margin getter and setter', () => {
                 let defaultMargin = sparklineChart.margin(),
                     testMargin = {top: 4, right: 4, bottom: 4, left: 4},
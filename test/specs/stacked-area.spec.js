@@ -21,6 +21,15 @@ define([
         return _.contains(element.node().classList, className);
     }
 
+    function clickAt(container, x) {
+        let rect = container.node().getBoundingClientRect();
+
+        container.node().dispatchEvent(new MouseEvent('click', {
+            clientX: rect.left + x,
+            clientY: rect.top + 50
+        }));
+    }
+
     describe('Stacked Area Chart', () => {
         let dataset, containerFixture, f, stackedAreaChart;
 
@@ -140,8 +149,39 @@ define([
             expect(callback.calls.count()).toBe(1);
         });
 
+        it('should label the chart as an image with a summary of the data', () => {
+            let svg = containerFixture.select('svg');
+
+            expect(svg.attr('role')).toEqual('img');
+            expect(svg.attr('aria-label')).toMatch(/^Stacked area chart with \d+ series, from /);
+        });
+
         describe('API', function() {
 
+            it('should provide title getter and setter', () => {
+                let defaultTitle = stackedAreaChart.title(),
+                    testTitle = 'Test title',
+                    newTitle;
+
+                stackedAreaChart.title(testTitle);
+                newTitle = stackedAreaChart.title();
+
+                expect(defaultTitle).not.toBe(testTitle);
+                expect(newTitle).toBe(testTitle);
+            });
+
+            it('should provide desc getter and setter', () => {
+                let defaultDesc = stackedAreaChart.desc(),
+                    testDesc = 'Test description',
+                    newDesc;
+
+                stackedAreaChart.desc(testDesc);
+                newDesc = stackedAreaChart.desc();
+
+                expect(defaultDesc).not.toBe(testDesc);
+                expect(newDesc).toBe(testDesc);
+            });
+
             it('should provide margin getter and setter', () => {
                 let defaultMargin = stackedAreaChart.margin(),
                     testMargin = {top: 4, right: 4, bottom: 4, left: 4},
@@ -322,6 +362,100 @@ define([
                 expect(newVerticalTicks).toBe(testVerticalTicks);
             });
 
+            it('should provide missingValueMode getter and setter', () => {
+                let defaultMissingValueMode = stackedAreaChart.missingValueMode(),
+                    testMissingValueMode = 'interpolate',
+                    newMissingValueMode;
+
+                stackedAreaChart.missingValueMode(testMissingValueMode);
+                newMissingValueMode = stackedAreaChart.missingValueMode();
+
+                expect(defaultMissingValueMode).not.toBe(testMissingValueMode);
+                expect(newMissingValueMode).toBe(testMissingValueMode);
+            });
+
+            it('should provide a missingValueModes accessor', () => {
+                let missingValueModes = stackedAreaChart.missingValueModes;
+
+                expect(missingValueModes).toEqual({
+                    GAP: 'gap',
+                    INTERPOLATE: 'interpolate',
+                    ZERO: 'zero'
+                });
+            });
+
+            it('should provide normalized getter and setter', () => {
+                let defaultNormalized = stackedAreaChart.normalized(),
+                    testNormalized = true,
+                    newNormalized;
+
+                stackedAreaChart.normalized(testNormalized);
+                newNormalized = stackedAreaChart.normalized();
+
+                expect(defaultNormalized).not.toBe(testNormalized);
+                expect(newNormalized).toBe(testNormalized);
+            });
+
+            it('should provide hiddenSeries getter and setter', () => {
+                let defaultHiddenSeries = stackedAreaChart.hiddenSeries(),
+                    testHiddenSeries = ['Direct'],
+                    newHiddenSeries;
+
+                stackedAreaChart.hiddenSeries(testHiddenSeries);
+                newHiddenSeries = stackedAreaChart.hiddenSeries();
+
+                expect(defaultHiddenSeries).not.toBe(testHiddenSeries);
+                expect(newHiddenSeries).toBe(testHiddenSeries);
+            });
+
+            it('should provide stackOffset getter and setter', () => {
+                let defaultStackOffset = stackedAreaChart.stackOffset(),
+                    testStackOffset = stackedAreaChart.stackOffsets.WIGGLE,
+                    newStackOffset;
+
+                stackedAreaChart.stackOffset(testStackOffset);
+                newStackOffset = stackedAreaChart.stackOffset();
+
+                expect(defaultStackOffset).not.toBe(testStackOffset);
+                expect(newStackOffset).toBe(testStackOffset);
+            });
+
+            it('should provide stackOrder getter and setter', () => {
+                let defaultStackOrder = stackedAreaChart.stackOrder(),
+                    testStackOrder = stackedAreaChart.stackOrders.INSIDE_OUT,
+                    newStackOrder;
+
+                stackedAreaChart.stackOrder(testStackOrder);
+                newStackOrder = stackedAreaChart.stackOrder();
+
+                expect(defaultStackOrder).not.toBe(testStackOrder);
+                expect(newStackOrder).toBe(testStackOrder);
+            });
+
+            it('should provide isPinnable getter and setter', () => {
+                let defaultPinnable = stackedAreaChart.isPinnable(),
+                    testPinnable = true,
+                    newPinnable;
+
+                stackedAreaChart.isPinnable(testPinnable);
+                newPinnable = stackedAreaChart.isPinnable();
+
+                expect(defaultPinnable).not.toBe(testPinnable);
+                expect(newPinnable).toBe(testPinnable);
+            });
+
+            it('should provide isZoomable getter and setter', () => {
+                let defaultZoomable = stackedAreaChart.isZoomable(),
+                    testZoomable = true,
+                    newZoomable;
+
+                stackedAreaChart.isZoomable(testZoomable);
+                newZoomable = stackedAreaChart.isZoomable();
+
+                expect(defaultZoomable).not.toBe(testZoomable);
+                expect(newZoomable).toBe(testZoomable);
+            });
+
             it('should provide animation getter and setter', () => {
                 let defaultAnimation = stackedAreaChart.isAnimated(),
                     testAnimation = true,
@@ -335,6 +469,319 @@ define([
             });
         });
 
+        describe('when there are missing values', function() {
+            let missingName, entriesWithName;
+
+            beforeEach(function() {
+                // Copying the data, as the fixtures are shared between specs
+                dataset = JSON.parse(JSON.stringify(aTestDataSet().with3Sources().build()));
+                missingName = dataset.data[0].name;
+                entriesWithName = dataset.data.filter(({name}) => name === missingName);
+                entriesWithName[Math.floor(entriesWithName.length / 2)].views = null;
+            });
+
+            it('should not render invalid areas when treating them as zeros', () => {
+                stackedAreaChart = stackedArea()
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+
+                containerFixture.selectAll('.layer').each(function() {
+                    expect(d3.select(this).attr('d')).not.toContain('NaN');
+                });
+            });
+
+            it('should break the area of the missing entry when the mode is gap', () => {
+                stackedAreaChart = stackedArea()
+                                    .missingValueMode('gap')
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+
+                containerFixture.selectAll('.layer').each(function(d) {
+                    let path = d3.select(this).attr('d');
+
+                    expect(path).not.toContain('NaN');
+                    if (d.key === missingName) {
+                        expect(path.split('M').length - 1).toEqual(2);
+                    }
+                });
+            });
+        });
+
+        describe('when normalized', function() {
+
+            beforeEach(function() {
+                containerFixture.remove();
+                stackedAreaChart = stackedArea()
+                                    .normalized(true)
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+            });
+
+            it('should show percentages from 0 to 100 on the y axis', () => {
+                let tickLabels = containerFixture.selectAll('.y-axis-group .tick text').nodes()
+                        .map((node) => node.textContent);
+
+                expect(tickLabels[0]).toBe('0%');
+                expect(tickLabels[tickLabels.length - 1]).toBe('100%');
+            });
+
+            it('should stack the areas up to the top of the chart', () => {
+                let topLayerPath = containerFixture.select('.layer-container:last-child .layer').attr('d'),
+                    topY = Math.min(...topLayerPath.match(/,-?[\d.]+/g).map((coord) => +coord.slice(1)));
+
+                expect(topY).toBe(0);
+            });
+        });
+
+        describe('when the stack order is a list of keys', function() {
+
+            beforeEach(function() {
+                dataset = aTestDataSet().with3Sources().build();
+                containerFixture.remove();
+                stackedAreaChart = stackedArea()
+                                    .stackOrder(['Eventbrite', 'Email'])
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+            });
+
+            it('should stack the listed keys first and the rest on top', () => {
+                let stackedKeys = containerFixture.selectAll('.layer').data()
+                        .sort((a, b) => a.index - b.index)
+                        .map(({key}) => key);
+
+                expect(stackedKeys).toEqual(['Eventbrite', 'Email', 'Direct']);
+            });
+        });
+
+        describe('when hiding series', function() {
+
+            beforeEach(function() {
+                dataset = aTestDataSet().with3Sources().build();
+                containerFixture.remove();
+                stackedAreaChart = stackedArea()
+                                    .hiddenSeries(['Email'])
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+            });
+
+            it('should leave the hidden areas out of the stack', () => {
+                let stackedKeys = containerFixture.selectAll('.layer').data().map(({key}) => key);
+
+                expect(stackedKeys).toEqual(['Direct', 'Eventbrite']);
+            });
+
+            it('should not duplicate the areas, grid lines or overlay when re-rendered', () => {
+                stackedAreaChart.hiddenSeries([]).grid('horizontal');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+                stackedAreaChart.hiddenSeries(['Email']);
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+
+                expect(containerFixture.selectAll('.layer-container').size()).toBeLessThan(4);
+                expect(containerFixture.selectAll('.horizontal-grid-line').size())
+                    .toEqual(containerFixture.selectAll('.y-axis-group .tick').size());
+                expect(containerFixture.selectAll('.overlay').size()).toEqual(1);
+            });
+        });
+
+        describe('when pinnable', function() {
+            let container, firstPointX, lastPointX;
+
+            beforeEach(function() {
+                containerFixture.remove();
+                stackedAreaChart = stackedArea()
+                                    .isPinnable(true)
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+                container = containerFixture.select('.stacked-area');
+                firstPointX = stackedAreaChart.margin().left;
+                lastPointX = stackedAreaChart.width() - stackedAreaChart.margin().right;
+            });
+
+            it('should trigger a customPin event with the clicked data point', () => {
+                let callback = jasmine.createSpy('pinCallback');
+
+                stackedAreaChart.on('customPin', callback);
+                clickAt(container, firstPointX);
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback.calls.argsFor(0)[3]).toBe(0);
+            });
+
+            it('should not trigger mouse out events while pinned', () => {
+                let callback = jasmine.createSpy('mouseOutCallback');
+
+                stackedAreaChart.on('customMouseOut', callback);
+                clickAt(container, firstPointX);
+                container.dispatch('mouseout');
+
+                expect(callback.calls.count()).toBe(0);
+            });
+
+            it('should pin a second data point and unpin both on the next click', () => {
+                let unpinCallback = jasmine.createSpy('unpinCallback');
+
+                stackedAreaChart.on('customUnpin', unpinCallback);
+                clickAt(container, firstPointX);
+                clickAt(container, lastPointX);
+
+                expect(container.selectAll('.pinned-marker').size()).toEqual(1);
+                expect(container.selectAll('.pinned-marker .data-point-highlighter').empty()).toBeFalsy();
+
+                clickAt(container, lastPointX);
+
+                expect(unpinCallback.calls.count()).toBe(1);
+                expect(container.select('.pinned-marker').empty()).toBeTruthy();
+            });
+        });
+
+        describe('when drawn as a streamgraph', function() {
+
+            beforeEach(function() {
+                containerFixture.remove();
+                stackedAreaChart = stackedArea()
+                                    .stackOffset('wiggle')
+                                    .stackOrder('insideOut')
+                                    .grid('full')
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+            });
+
+            it('should not show values on the y axis', () => {
+                let tickLabels = containerFixture.selectAll('.y-axis-group .tick text').nodes()
+                        .map((node) => node.textContent);
+
+                expect(tickLabels.length).toBeGreaterThan(0);
+                expect(tickLabels.every((label) => label === '')).toBe(true);
+            });
+
+            it('should only render vertical grid lines', () => {
+                expect(containerFixture.select('.horizontal-grid-line').empty()).toBe(true);
+                expect(containerFixture.select('.vertical-grid-line').empty()).toBe(false);
+                expect(containerFixture.select('.zero-line').empty()).toBe(true);
+            });
+        });
+
+        describe('when zoomable', function() {
+            let startDate, endDate;
+
+            beforeEach(function() {
+                dataset = aTestDataSet().withReportData().build();
+                [startDate, endDate] = d3.extent(dataset.data, ({dateUTC}) => new Date(dateUTC));
+                stackedAreaChart = stackedArea()
+                                    .isZoomable(true)
+                                    .valueLabel('views')
+                                    .dateLabel('dateUTC');
+
+                containerFixture.selectAll('svg').remove();
+                containerFixture = d3.select('.test-container').append('svg');
+                containerFixture.datum(dataset.data).call(stackedAreaChart);
+            });
+
+            it('should clip the areas to the chart area', () => {
+                let clipPath = containerFixture.select('clipPath');
+
+                expect(clipPath.empty()).toBeFalsy();
+                expect(containerFixture.select('.chart-group').attr('clip-path'))
+                    .toEqual(`url(#${clipPath.attr('id')})`);
+            });
+
+            it('should dispatch a customZoom event with the visible range when zooming to some dates', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    zoomStartDate = new Date(startDate.getTime() + (endDate - startDate) / 4),
+                    zoomEndDate = new Date(startDate.getTime() + (endDate - startDate) / 2),
+                    visibleRange;
+
+                stackedAreaChart.on('customZoom', callbackSpy);
+                stackedAreaChart.zoomTo(zoomStartDate, zoomEndDate);
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(callbackSpy.calls.count()).toBe(1);
+                expect(visibleRange[0].getTime()).toBeCloseTo(zoomStartDate.getTime(), -7);
+                expect(visibleRange[1].getTime()).toBeCloseTo(zoomEndDate.getTime(), -7);
+            });
+
+            it('should show the whole date range after resetting the zoom', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    visibleRange;
+
+                stackedAreaChart.on('customZoom', callbackSpy);
+                stackedAreaChart.zoomTo(startDate, endDate);
+                stackedAreaChart.resetZoom();
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(visibleRange[0].getTime()).toEqual(startDate.getTime());
+                expect(visibleRange[1].getTime()).toEqual(endDate.getTime());
+            });
+
+            it('should zoom to the same range when the dates come reversed', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    zoomStartDate = new Date(startDate.getTime() + (endDate - startDate) / 4),
+                    zoomEndDate = new Date(startDate.getTime() + (endDate - startDate) / 2);
+
+                stackedAreaChart.on('customZoom', callbackSpy);
+                stackedAreaChart.zoomTo(zoomStartDate, zoomEndDate);
+                stackedAreaChart.zoomTo(zoomEndDate, zoomStartDate);
+
+                expect(callbackSpy.calls.count()).toBe(2);
+                expect(callbackSpy.calls.mostRecent().args[0]).toEqual(callbackSpy.calls.first().args[0]);
+            });
+
+            it('should not zoom when the range is empty', () => {
+                let callbackSpy = jasmine.createSpy('callback');
+
+                stackedAreaChart.on('customZoom', callbackSpy);
+                stackedAreaChart.zoomTo(startDate, startDate);
+                stackedAreaChart.zoomTo('not a date', endDate);
+
+                expect(callbackSpy.calls.count()).toBe(0);
+            });
+
+            it('should clamp the range to the dates of the data', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    zoomStartDate = new Date(startDate.getTime() + (endDate - startDate) / 4),
+                    visibleRange;
+
+                stackedAreaChart.on('customZoom', callbackSpy);
+                stackedAreaChart.zoomTo(zoomStartDate, new Date(endDate.getTime() + 1e10));
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(visibleRange[0].getTime()).toBeCloseTo(zoomStartDate.getTime(), -7);
+                expect(visibleRange[1].getTime()).toEqual(endDate.getTime());
+            });
+
+            it('should not zoom in more than the maximum zoom allows', () => {
+                let callbackSpy = jasmine.createSpy('callback'),
+                    visibleRange;
+
+                stackedAreaChart.on('customZoom', callbackSpy);
+                stackedAreaChart.zoomTo(startDate, new Date(startDate.getTime() + 1));
+                visibleRange = callbackSpy.calls.mostRecent().args[0];
+
+                expect(visibleRange[1] - visibleRange[0]).toBeCloseTo((endDate - startDate) / 20, -3);
+            });
+        });
+
         describe('Aspect Ratio', function() {
 
             describe('when an aspect ratio is set', function() {
@@ -0,0 +1,376 @@
+define(['d3', 'stacked-bar', 'stackedBarDataBuilder'], function(d3, chart, dataBuilder) {
+    'use strict';
+
+    function aTestDataSet() {
+        return new dataBuilder.StackedBarDataBuilder();
+    }
+
+    function mouseAt(container, type, x) {
+        let rect = container.node().getBoundingClientRect();
+
+        container.node().dispatchEvent(new MouseEvent(type, {
+            clientX: rect.left + x,
+            clientY: rect.top + 50
+        }));
+    }
+
+    function touchAt(container, type, x) {
+        let rect = container.node().getBoundingClientRect(),
+            event = document.createEvent('Event');
+
+        event.initEvent(type, true, true);
+        event.changedTouches = [{
+            identifier: 0,
+            clientX: rect.left + x,
+            clientY: rect.top + 50
+        }];
+        container.node().dispatchEvent(event);
+
+        return event;
+    }
+
+    describe('Stacked Bar Chart', () => {
+        let stackedBarChart, dataset, containerFixture, f;
+
+        beforeEach(() => {
+            dataset = aTestDataSet()
+                .with3Sources()
+                .build();
+            stackedBarChart = chart()
+                .nameLabel('date')
+                .valueLabel('views');
+
+            // DOM Fixture Setup
+            f = jasmine.getFixtures();
+            f.fixturesPath = 'base/test/fixtures/';
+            f.load('testContainer.html');
+
+            containerFixture = d3.select('.test-container');
+            containerFixture.datum(dataset.data).call(stackedBarChart);
+        });
+
+        afterEach(() => {
+            containerFixture.remove();
+            f = jasmine.getFixtures();
+            f.cleanUp();
+            f.clearCache();
+        });
+
+        it('should render a chart with minimal requirements', () => {
+            expect(containerFixture.select('.stacked-bar').empty()).toBeFalsy();
+        });
+
+        it('should render a layer for each stack and a bar for each data entry', () => {
+            expect(containerFixture.selectAll('.layer').size()).toEqual(3);
+            expect(containerFixture.selectAll('.bar').size()).toEqual(dataset.data.length);
+        });
+
+        it('should not render a zero line when all the values are positive', () => {
+            expect(containerFixture.selectAll('.zero-line').size()).toEqual(0);
+        });
+
+        describe('when there are negative values', function() {
+
+            beforeEach(() => {
+                dataset = aTestDataSet().withNegativeValues().build();
+                containerFixture.selectAll('svg').remove();
+                stackedBarChart = chart()
+                    .nameLabel('date')
+                    .valueLabel('views');
+                containerFixture.datum(dataset.data).call(stackedBarChart);
+            });
+
+            it('should include the negative values on the y axis', () => {
+                let tickValues = containerFixture.selectAll('.y-axis-group .tick').data();
+
+                expect(Math.min(...tickValues)).not.toBeGreaterThan(-10);
+            });
+
+            it('should render a zero line', () => {
+                expect(containerFixture.selectAll('.zero-line').size()).toEqual(1);
+            });
+
+            it('should stack the negative values below zero and the positive ones above it', () => {
+                let bars = containerFixture.selectAll('.bar').data(),
+                    firstDateBars = bars.filter(({data}) => data.key === '2011-01-05');
+
+                expect(bars.every(([y0, y1]) => y0 >= 0 || y1 <= 0)).toBe(true);
+                expect(Math.min(...firstDateBars.map(([y0]) => y0))).toEqual(-8);
+                expect(Math.max(...firstDateBars.map(([, y1]) => y1))).toEqual(15);
+            });
+
+            it('should not render bars with negative sizes', () => {
+                containerFixture.selectAll('.bar').each(function() {
+                    expect(+this.getAttribute('height')).not.toBeLessThan(0);
+                });
+            });
+
+            it('should not render bars with negative sizes when horizontal', () => {
+                containerFixture.selectAll('svg').remove();
+                stackedBarChart = chart()
+                    .horizontal(true)
+                    .nameLabel('date')
+                    .valueLabel('views');
+                containerFixture.datum(dataset.data).call(stackedBarChart);
+
+                containerFixture.selectAll('.bar').each(function() {
+                    expect(+this.getAttribute('width')).not.toBeLessThan(0);
+                });
+            });
+        });
+
+        describe('when hiding series', function() {
+
+            beforeEach(() => {
+                containerFixture.selectAll('svg').remove();
+                stackedBarChart = chart()
+                    .hiddenSeries(['Email'])
+                    .nameLabel('date')
+                    .valueLabel('views');
+                containerFixture.datum(dataset.data).call(stackedBarChart);
+            });
+
+            it('should leave the hidden stacks out of the layers', () => {
+                let stackedKeys = containerFixture.selectAll('.layer').data().map(({key}) => key);
+
+                expect(stackedKeys).toEqual(['Direct', 'Eventbrite']);
+                expect(containerFixture.selectAll('.bar').size()).toEqual(8);
+            });
+
+            it('should bring the stacks back without duplicating them when re-rendered', () => {
+                stackedBarChart.hiddenSeries([]);
+                containerFixture.datum(dataset.data).call(stackedBarChart);
+
+                expect(containerFixture.selectAll('.layer').size()).toEqual(3);
+                expect(containerFixture.selectAll('.bar').size()).toEqual(dataset.data.length);
+            });
+        });
+
+        describe('when pinnable', function() {
+            let container, firstBarX, lastBarX;
+
+            beforeEach(() => {
+                let barXs;
+
+                containerFixture.selectAll('svg').remove();
+                stackedBarChart = chart()
+                    .isPinnable(true)
+                    .nameLabel('date')
+                    .valueLabel('views');
+                containerFixture.datum(dataset.data).call(stackedBarChart);
+
+                // Selecting from the container would bind its data to the chart
+                container = containerFixture.selectAll('.stacked-bar');
+                barXs = container.select('.layer').selectAll('.bar').nodes()
+                    .map((bar) => stackedBarChart.margin().left + +bar.getAttribute('x'));
+                firstBarX = barXs[0];
+                lastBarX = barXs[barXs.length - 1];
+            });
+
+            it('should trigger a customPin event with the clicked data point', () => {
+                let callback = jasmine.createSpy('pinCallback');
+
+                stackedBarChart.on('customPin', callback);
+                mouseAt(container, 'click', firstBarX);
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback.calls.argsFor(0)[0].key).toBe('2011-01-05');
+                expect(callback.calls.argsFor(0)[4]).toBe(0);
+            });
+
+            it('should not trigger mouse out events while pinned', () => {
+                let callback = jasmine.createSpy('mouseOutCallback');
+
+                stackedBarChart.on('customMouseOut', callback);
+                mouseAt(container, 'click', firstBarX);
+                container.dispatch('mouseout');
+
+                expect(callback.calls.count()).toBe(0);
+            });
+
+            it('should pin a second data point and unpin both on the next click', () => {
+                let pinCallback = jasmine.createSpy('pinCallback'),
+                    unpinCallback = jasmine.createSpy('unpinCallback');
+
+                stackedBarChart
+                    .on('customPin', pinCallback)
+                    .on('customUnpin', unpinCallback);
+                mouseAt(container, 'click', firstBarX);
+                mouseAt(container, 'click', lastBarX);
+
+                expect(pinCallback.calls.count()).toBe(2);
+                expect(pinCallback.calls.argsFor(1)[4]).toBe(1);
+                expect(container.selectAll('.pinned-marker').size()).toEqual(1);
+
+                mouseAt(container, 'click', lastBarX);
+
+                expect(unpinCallback.calls.count()).toBe(1);
+                expect(unpinCallback.calls.argsFor(0)[0].length).toBe(2);
+                expect(container.select('.pinned-marker').empty()).toBeTruthy();
+            });
+
+            it('should unpin the data points when re-rendered', () => {
+                let unpinCallback = jasmine.createSpy('unpinCallback');
+
+                stackedBarChart.on('customUnpin', unpinCallback);
+                mouseAt(container, 'click', firstBarX);
+                containerFixture.datum(dataset.data).call(stackedBarChart);
+
+                expect(unpinCallback.calls.count()).toBe(1);
+            });
+        });
+
+        describe('when touched', function() {
+            let container, barXs;
+
+            beforeEach(() => {
+                // Selecting from the container would bind its data to the chart
+                container = containerFixture.selectAll('.stacked-bar');
+                barXs = container.select('.layer').selectAll('.bar').nodes()
+                    .map((bar) => stackedBarChart.margin().left + +bar.getAttribute('x'));
+            });
+
+            it('should inspect the touched data point on touch start', () => {
+                let overCallback = jasmine.createSpy('hoverCallback'),
+                    moveCallback = jasmine.createSpy('mouseMoveCallback');
+
+                stackedBarChart
+                    .on('customMouseOver', overCallback)
+                    .on('customMouseMove', moveCallback);
+                touchAt(container, 'touchstart', barXs[0]);
+
+                expect(overCallback.calls.count()).toBe(1);
+                expect(moveCallback.calls.count()).toBe(1);
+                expect(moveCallback.calls.argsFor(0)[0].key).toBe('2011-01-05');
+            });
+
+            it('should scrub through the data points without scrolling on touch move', () => {
+                let callback = jasmine.createSpy('mouseMoveCallback'),
+                    event;
+
+                stackedBarChart.on('customMouseMove', callback);
+                touchAt(container, 'touchstart', barXs[0]);
+                event = touchAt(container, 'touchmove', barXs[2]);
+
+                expect(callback.calls.count()).toBe(2);
+                expect(callback.calls.argsFor(1)[0].key).not.toBe('2011-01-05');
+                expect(event.defaultPrevented).toBe(true);
+            });
+        });
+
+        describe('when navigating with the keyboard', function() {
+            let container;
+
+            beforeEach(() => {
+                container = containerFixture.select('svg');
+            });
+
+            function pressKey(keyCode) {
+                let event = document.createEvent('Event');
+
+                event.initEvent('keydown', true, true);
+                event.keyCode = keyCode;
+                container.node().dispatchEvent(event);
+
+                return event;
+            }
+
+            it('should label the chart as an image with a summary of the data', () => {
+                expect(container.attr('role')).toEqual('img');
+                expect(container.attr('aria-label')).toEqual('Stacked bar chart with 4 bars, stacking 3 series');
+            });
+
+            it('should be reachable with the tab key', () => {
+                expect(container.attr('tabindex')).toEqual('0');
+            });
+
+            it('should inspect and announce the first bar when focused', () => {
+                let callback = jasmine.createSpy('mouseMoveCallback');
+
+                stackedBarChart.on('customMouseMove', callback);
+                container.node().focus();
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback.calls.argsFor(0)[0].key).toBe('2011-01-05');
+                expect(containerFixture.select('.britechart-live-region').text()).toMatch(/^2011-01-05: .*, total /);
+            });
+
+            it('should move across the bars with the arrow keys', () => {
+                let callback = jasmine.createSpy('mouseMoveCallback'),
+                    event;
+
+                container.node().focus();
+                stackedBarChart.on('customMouseMove', callback);
+                event = pressKey(39);
+
+                expect(event.defaultPrevented).toBe(true);
+                expect(callback.calls.argsFor(0)[0].key).not.toBe('2011-01-05');
+
+                pressKey(36);
+
+                expect(callback.calls.argsFor(1)[0].key).toBe('2011-01-05');
+            });
+
+            it('should ignore other keys', () => {
+                let callback = jasmine.createSpy('mouseMoveCallback'),
+                    event;
+
+                container.node().focus();
+                stackedBarChart.on('customMouseMove', callback);
+                event = pressKey(65);
+
+                expect(event.defaultPrevented).toBe(false);
+                expect(callback.calls.count()).toBe(0);
+            });
+        });
+
+        describe('when normalized', function() {
+
+            beforeEach(() => {
+                containerFixture.selectAll('svg').remove();
+                stackedBarChart = chart()
+                    .normalized(true)
+                    .nameLabel('date')
+                    .valueLabel('views');
+                containerFixture.datum(dataset.data).call(stackedBarChart);
+            });
+
+            it('should stack the share of each value, adding up to one on every bar', () => {
+                let barTotals = {};
+
+                containerFixture.selectAll('.bar').data().forEach((bar) => {
+                    let [y0, y1] = bar;
+
+                    barTotals[bar.data.key] = (barTotals[bar.data.key] || 0) + y1 - y0;
+                });
+
+                Object.keys(barTotals).forEach((key) => {
+                    expect(barTotals[key]).toBeCloseTo(1, 6);
+                });
+            });
+
+            it('should show percentages on the y axis', () => {
+                let tickLabels = containerFixture.selectAll('.y-axis-group .tick text').nodes()
+                        .map(({textContent}) => textContent);
+
+                expect(tickLabels[0]).toBe('0%');
+                expect(tickLabels[tickLabels.length - 1]).toBe('100%');
+                expect(tickLabels.every((label) => /%$/.test(label))).toBe(true);
+            });
+
+            it('should give the tooltip the percentage of each value', () => {
+                let callback = jasmine.createSpy('hoverCallback'),
+                    container = containerFixture.selectAll('.stacked-bar'),
+                    firstBarX = stackedBarChart.margin().left + +containerFixture.selectAll('.bar').attr('x'),
+                    values;
+
+                stackedBarChart.on('customMouseMove', callback);
+                mouseAt(container, 'mousemove', firstBarX);
+                values = callback.calls.mostRecent().args[0].values;
+
+                expect(values.map(({stack}) => stack)).toEqual(['Direct', 'Eventbrite', 'Email']);
+                expect(values.map(({percentage}) => percentage)).toEqual(['0.0', '69.7', '30.3']);
+            });
+        });
+    });
+});
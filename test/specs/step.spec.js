@@ -60,8 +60,39 @@ define(['jquery', 'd3', 'step', 'stepChartDataBuilder'], function($, d3, chart,
             expect(containerFixture.selectAll('.step').size()).toEqual(numSteps);
         });
 
+        it('should label the chart as an image with a summary of the data', () => {
+            let svg = containerFixture.select('svg');
+
+            expect(svg.attr('role')).toEqual('img');
+            expect(svg.attr('aria-label')).toMatch(/^Step chart with \d+ steps, with values from /);
+        });
+
         describe('API', function() {
 
+            it('should provide title getter and setter', () => {
+                let defaultTitle = stepChart.title(),
+                    testTitle = 'Test title',
+                    newTitle;
+
+                stepChart.title(testTitle);
+                newTitle = stepChart.title();
+
+                expect(defaultTitle).not.toBe(testTitle);
+                expect(newTitle).toBe(testTitle);
+            });
+
+            it('should provide desc getter and setter', () => {
+                let defaultDesc = stepChart.desc(),
+                    testDesc = 'Test description',
+                    newDesc;
+
+                stepChart.desc(testDesc);
+                newDesc = stepChart.desc();
+
+                expect(defaultDesc).not.toBe(testDesc);
+                expect(newDesc).toBe(testDesc);
+            });
+
             it('should provide margin getter and setter', () => {
                 let defaultMargin = stepChart.margin(),
                     testMargin = {top: 4, right: 4, bottom: 4, left: 4},
@@ -1,4 +1,4 @@
-define(['jquery', 'd3', 'tooltip'], function($, d3, tooltip) {
+define(['jquery', 'd3', 'd3-selection', 'tooltip'], function($, d3, d3Selection, tooltip) {
     'use strict';
 
     describe('Tooltip Component', () => {
@@ -308,8 +308,333 @@ define(['jquery', 'd3', 'tooltip'], function($, d3, tooltip) {
             });
         });
 
+        describe('Percentages', function() {
+
+            it('should show the percentage along with the value when the entry has one', () =>  {
+                var expected = '100 (25.0%)',
+                    actual;
+
+                tooltipChart.update({
+                    date: '2015-08-05T07:00:00.000Z',
+                    topics: [
+                        {
+                            name: 103,
+                            value: 100,
+                            percentage: '25.0',
+                            topicName: 'San Francisco'
+                        }
+                    ]
+                }, topicColorMap, 0);
+
+                actual = containerFixture.select('.britechart-tooltip .tooltip-right-text')
+                            .text();
+
+                expect(actual).toEqual(expected);
+            });
+        });
+
+        describe('Totals, percentages and deltas', function() {
+            let dataPoint = {
+                date: '2015-08-05T07:00:00.000Z',
+                topics: [
+                    {
+                        name: 103,
+                        value: 300,
+                        topicName: 'San Francisco'
+                    },
+                    {
+                        name: 81,
+                        value: 100,
+                        topicName: 'Oakland'
+                    }
+                ],
+                previousDataPoint: {
+                    date: '2015-08-04T07:00:00.000Z',
+                    topics: [
+                        {
+                            name: 103,
+                            value: 200,
+                            topicName: 'San Francisco'
+                        },
+                        {
+                            name: 81,
+                            value: 150,
+                            topicName: 'Oakland'
+                        }
+                    ]
+                }
+            };
+
+            it('should add a total row with the sum of the values', () => {
+                tooltipChart.hasTotal(true);
+                tooltipChart.update(dataPoint, topicColorMap, 0);
+
+                expect(containerFixture.selectAll('.tooltip-right-text').size()).toEqual(3);
+                expect(containerFixture.select('.tooltip-total').text()).toEqual('400');
+            });
+
+            it('should show the share of the total of each value', () => {
+                let actual;
+
+                tooltipChart.hasPercentages(true);
+                tooltipChart.update(dataPoint, topicColorMap, 0);
+                actual = containerFixture.selectAll('.tooltip-right-text').nodes().map((node) => node.textContent);
+
+                expect(actual).toEqual(['300 (75.0%)', '100 (25.0%)']);
+            });
+
+            it('should show the difference with the previous data point, colored by its direction', () => {
+                let deltas;
+
+                tooltipChart.hasDelta(true);
+                tooltipChart.update(dataPoint, topicColorMap, 0);
+                deltas = containerFixture.selectAll('.tooltip-delta');
+
+                expect(deltas.nodes().map((node) => node.textContent)).toEqual([' \u25B2100', ' \u25BC50']);
+                expect(deltas.nodes()[0].style.fill).not.toEqual(deltas.nodes()[1].style.fill);
+            });
+
+            it('should not show differences when there is no previous data point', () => {
+                tooltipChart.hasDelta(true);
+                tooltipChart.update({
+                    date: dataPoint.date,
+                    topics: dataPoint.topics
+                }, topicColorMap, 0);
+
+                expect(containerFixture.selectAll('.tooltip-delta').empty()).toBeTruthy();
+            });
+
+            it('should format the values with the value formatter', () => {
+                tooltipChart
+                    .hasTotal(true)
+                    .valueFormatter((value) => `$${value}`);
+                tooltipChart.update(dataPoint, topicColorMap, 0);
+
+                expect(containerFixture.select('.tooltip-right-text').text()).toEqual('$300');
+                expect(containerFixture.select('.tooltip-total').text()).toEqual('$400');
+            });
+        });
+
+        describe('when shown by a touch', function() {
+            let dataPoint = {
+                date: '2015-08-05T07:00:00.000Z',
+                topics: [
+                    {
+                        name: 103,
+                        value: 300,
+                        topicName: 'San Francisco'
+                    }
+                ]
+            };
+
+            function getTooltipY() {
+                let transform = containerFixture.select('.tooltip-text').attr('transform');
+
+                return +transform.match(/,\s*(-?[\d.]+)\)/)[1];
+            }
+
+            function touchAt(y) {
+                let groupMatrix = containerFixture.select('.tooltip-group').node().getScreenCTM(),
+                    event = {
+                        type: 'touchstart',
+                        changedTouches: [{
+                            identifier: 0,
+                            clientX: groupMatrix.e,
+                            clientY: groupMatrix.f + y
+                        }]
+                    };
+
+                d3Selection.customEvent(event, () => tooltipChart.update(dataPoint, topicColorMap, 0));
+            }
+
+            it('should keep its place when the finger is below it', () => {
+                touchAt(200);
+
+                expect(getTooltipY()).toEqual(-55);
+            });
+
+            it('should move over the finger when it would be covered by it', () => {
+                let tooltipHeight = +containerFixture.select('.tooltip-text-container').attr('height');
+
+                touchAt(20);
+
+                expect(getTooltipY()).toBeLessThan(-55);
+                expect(getTooltipY() + tooltipHeight).toBeLessThan(20);
+            });
+        });
+
+        describe('when rendered as HTML', function() {
+            let dataPoint = {
+                    date: '2015-08-05T07:00:00.000Z',
+                    topics: [
+                        {
+                            name: 103,
+                            value: 100,
+                            topicName: '<b>San Francisco</b>'
+                        },
+                        {
+                            name: 81,
+                            value: 50,
+                            topicName: 'Oakland'
+                        }
+                    ]
+                },
+                anchor;
+
+            beforeEach(() => {
+                d3.select('.test-container').style('width', '300px');
+                containerFixture.attr('width', 300).attr('height', 200);
+                anchor = containerFixture.append('g').attr('transform', 'translate(290,100)');
+
+                tooltipChart = tooltip().isHtml(true);
+                anchor.datum([]).call(tooltipChart);
+            });
+
+            it('should render a div on the element containing the chart', () => {
+                expect(d3.select('.test-container > .britechart-tooltip-html').empty()).toBeFalsy();
+                expect(anchor.select('.britechart-tooltip').empty()).toBeTruthy();
+            });
+
+            it('should be hidden by default and visible when required', () => {
+                let htmlTooltip = d3.select('.britechart-tooltip-html');
+
+                expect(htmlTooltip.style('display')).toBe('none');
+                tooltipChart.show();
+                expect(htmlTooltip.style('display')).toBe('block');
+            });
+
+            it('should add an entry for each topic, escaping the names', () => {
+                tooltipChart.update(dataPoint, topicColorMap, 290);
+
+                expect(d3.selectAll('.britechart-tooltip-html .tooltip-entry').size()).toEqual(2);
+                expect(d3.select('.britechart-tooltip-html .tooltip-left-text').text()).toEqual('<b>San Francisco</b>');
+                expect(d3.select('.britechart-tooltip-html .tooltip-right-text').text()).toEqual('100');
+            });
+
+            it('should render the template with the data point and the color map', () => {
+                let templateSpy = jasmine.createSpy('template').and.returnValue('<a href="#">Details</a>');
+
+                tooltipChart.template(templateSpy);
+                tooltipChart.update(dataPoint, topicColorMap, 290);
+
+                expect(templateSpy).toHaveBeenCalledWith(dataPoint, topicColorMap);
+                expect(d3.select('.britechart-tooltip-html a').text()).toEqual('Details');
+            });
+
+            it('should stay inside the chart container', () => {
+                let htmlTooltip = d3.select('.britechart-tooltip-html'),
+                    left;
+
+                tooltipChart.show();
+                tooltipChart.update(dataPoint, topicColorMap, 290);
+                left = parseFloat(htmlTooltip.style('left'));
+
+                expect(left + htmlTooltip.node().offsetWidth).not.toBeGreaterThan(300);
+                expect(parseFloat(htmlTooltip.style('top'))).not.toBeLessThan(0);
+            });
+
+            it('should place the tooltip on the side the position leaves room for', () => {
+                let htmlTooltip = d3.select('.britechart-tooltip-html');
+
+                d3.select('.test-container').style('width', '600px');
+                containerFixture.attr('width', 600);
+                anchor.attr('transform', 'translate(300,100)');
+                tooltipChart.show();
+
+                tooltipChart.update(dataPoint, topicColorMap, 300);
+                expect(parseFloat(htmlTooltip.style('left')) + htmlTooltip.node().offsetWidth).not.toBeGreaterThan(300);
+
+                tooltipChart.update(dataPoint, topicColorMap, 5);
+                expect(parseFloat(htmlTooltip.style('left'))).not.toBeLessThan(300);
+            });
+        });
+
         describe('API', function() {
 
+            it('should provide isHtml getter and setter', () => {
+                let current = tooltipChart.isHtml(),
+                    expected = true,
+                    actual;
+
+                tooltipChart.isHtml(expected);
+                actual = tooltipChart.isHtml();
+
+                expect(current).not.toBe(expected);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide template getter and setter', () => {
+                let current = tooltipChart.template(),
+                    expected = () => '<p></p>',
+                    actual;
+
+                tooltipChart.template(expected);
+                actual = tooltipChart.template();
+
+                expect(current).not.toBe(expected);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide hasDelta getter and setter', () => {
+                let current = tooltipChart.hasDelta(),
+                    expected = true,
+                    actual;
+
+                tooltipChart.hasDelta(expected);
+                actual = tooltipChart.hasDelta();
+
+                expect(current).not.toBe(expected);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide hasPercentages getter and setter', () => {
+                let current = tooltipChart.hasPercentages(),
+                    expected = true,
+                    actual;
+
+                tooltipChart.hasPercentages(expected);
+                actual = tooltipChart.hasPercentages();
+
+                expect(current).not.toBe(expected);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide hasTotal getter and setter', () => {
+                let current = tooltipChart.hasTotal(),
+                    expected = true,
+                    actual;
+
+                tooltipChart.hasTotal(expected);
+                actual = tooltipChart.hasTotal();
+
+                expect(current).not.toBe(expected);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide totalLabel getter and setter', () => {
+                let current = tooltipChart.totalLabel(),
+                    expected = 'Sum',
+                    actual;
+
+                tooltipChart.totalLabel(expected);
+                actual = tooltipChart.totalLabel();
+
+                expect(current).not.toBe(expected);
+                expect(actual).toBe(expected);
+            });
+
+            it('should provide valueFormatter getter and setter', () => {
+                let current = tooltipChart.valueFormatter(),
+                    expected = (value) => `$${value}`,
+                    actual;
+
+                tooltipChart.valueFormatter(expected);
+                actual = tooltipChart.valueFormatter();
+
+                expect(current).not.toBe(expected);
+                expect(actual).toBe(expected);
+            });
+
             it('should provide title getter and setter', () => {
                 let current = tooltipChart.title(),
                     expected = 'test',
@@ -17,6 +17,7 @@ var webpack = require('webpack'),
     currentCharts = {
         'bar': './src/charts/bar.js',
         'donut': './src/charts/donut.js',
+        'grouped-bar': './src/charts/grouped-bar.js',
         'legend': './src/charts/legend.js',
         'line': './src/charts/line.js',
         'tooltip': './src/charts/tooltip.js',
@@ -64,6 +65,7 @@ config = {
             'demo-line': './demos/demo-line.js',
             'demo-stacked-area': './demos/demo-stacked-area.js',
             'demo-stacked-bar': './demos/demo-stacked-bar.js',
+            'demo-grouped-bar': './demos/demo-grouped-bar.js',
             'demo-bar': './demos/demo-bar.js',
             'demo-donut': './demos/demo-donut.js',
             'demo-sparkline': './demos/demo-sparkline.js',